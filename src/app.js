@@ -2,35 +2,26 @@ const express = require('express');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
-const cron = require('node-cron');
 require('dotenv').config();
 
-// 1. IMPORTACIÓN DE WORKERS (Desestructurados correctamente)
-const { enviarFacturasAlSRI, autorizarFacturasSRI } = require('./workers/authWorker');
+// 1. WORKERS DEL SRI (firma, recepción y autorización)
+// En producción corren en su propio proceso (node src/worker.js); la API los
+// arranca solo si SRI_WORKERS_ENABLED no es "false".
+const { iniciarWorkers, detenerWorkers } = require('./workers/scheduler');
+const WORKERS_EN_API = process.env.SRI_WORKERS_ENABLED !== 'false';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 // --- 1. DECLARACIÓN DEL ROUTER PRINCIPAL ---
 const mainRouter = express.Router();
 // --- CONFIGURACIÓN DE CRON JOBS ---
-
-// Job 1: Enviar facturas FIRMADAS al SRI (Cada 20 segundos)
-cron.schedule('*/30 * * * * *', async () => {
-    try {
-        await enviarFacturasAlSRI();
-    } catch (err) {
-        console.error('❌ Error en Cron de Envío:', err.message);
-    }
-});
-
-// Job 2: Autorizar facturas RECIBIDAS (Cada minuto)
-cron.schedule('*/60 * * * * *', async () => {
-    try {
-        await autorizarFacturasSRI();
-    } catch (err) {
-        console.error('❌ Error en Cron de Autorización:', err.message);
-    }
-});
+// Los jobs solo despiertan a los workers: qué comprobante procesar lo decide la
+// cola `sri_jobs` (SKIP LOCKED), así que varias réplicas no se pisan.
+if (WORKERS_EN_API) {
+    iniciarWorkers();
+} else {
+    console.log('[Workers] ℹ️ SRI_WORKERS_ENABLED=false: la API no procesa la cola del SRI.');
+}
 
 // --- MIDDLEWARES GLOBALES ---
 app.use(cors({
@@ -129,6 +120,21 @@ const swaggerOptions = {
                 apiKeyAuth: { type: 'apiKey', in: 'header', name: 'x-api-key' },
                 n8nKeyAuth: { type: 'apiKey', in: 'header', name: 'x-n8n-key' }
             },
+            schemas: {
+                // Error principal de un comprobante DEVUELTA/RECHAZADO (src/utils/erroresSri.js)
+                ErrorSri: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                        codigo: { type: 'string', example: '45' },
+                        mensaje: { type: 'string', example: 'SECUENCIAL REGISTRADO' },
+                        explicacion: { type: 'string', example: 'El número de comprobante (establecimiento, punto y secuencial) ya fue usado.' },
+                        sugerencia: { type: 'string', example: 'Ajuste el secuencial del punto de emisión y emita con un número nuevo.' },
+                        reintentable: { type: 'boolean', example: false },
+                        informacion_adicional: { type: 'string', nullable: true }
+                    }
+                }
+            },
         },
     },
     apis: ["./src/routes/*.js"], // Escanea los JSDoc en la carpeta de rutas
@@ -193,7 +199,7 @@ app.use((err, req, res, next) => {
   res.status(500).json({ ok: false, error: 'Algo salió mal en el servidor' });
 });
 // --- ARRANQUE DEL SERVIDOR ---
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`
     ---------------------------------------------------
     🚀 BACKEND SRI MODULARIZADO LISTO
@@ -204,6 +210,41 @@ app.listen(PORT, () => {
     `);
 });
 
+// --- APAGADO ORDENADO ---
+// Deja de aceptar conexiones y espera las peticiones en curso (p. ej. el fast-track
+// que está enviando al SRI); si la API corre los workers, termina también su comprobante.
+// Tope para drenar antes de salir a la fuerza (debe ser menor al grace period del orquestador)
+const SHUTDOWN_TIMEOUT_SEG = parseInt(process.env.API_SHUTDOWN_TIMEOUT_SEG, 10) || 90;
+let apagando = false;
+
+async function apagar(senal) {
+    if (apagando) return;
+    apagando = true;
+    console.log(`📴 ${senal} recibido: cerrando servidor y esperando las peticiones en curso...`);
+
+    const forzar = setTimeout(() => {
+        console.error(`⚠️ El drenado superó ${SHUTDOWN_TIMEOUT_SEG}s; saliendo con peticiones en curso.`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_SEG * 1000);
+    forzar.unref();
+
+    try {
+        const cerrado = new Promise(resolve => server.close(resolve));
+        // Las conexiones keep-alive sin petición activa no deben retener el cierre
+        if (server.closeIdleConnections) server.closeIdleConnections();
+        await cerrado;
+        if (WORKERS_EN_API) await detenerWorkers();
+        console.log('👋 Apagado limpio.');
+        process.exit(0);
+    } catch (err) {
+        console.error('❌ Error durante el apagado:', err.message);
+        process.exit(1);
+    }
+}
+
+process.on('SIGTERM', () => apagar('SIGTERM'));
+process.on('SIGINT', () => apagar('SIGINT'));
+
 
 module.exports = app;
 
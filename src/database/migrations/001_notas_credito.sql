@@ -0,0 +1,41 @@
+-- ─────────────────────────────────────────────────────────────
+-- Notas de crédito (codDoc 04)
+-- Cada comprobante vive en `invoices`; las notas de crédito
+-- referencian a la factura que modifican por su clave de acceso.
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS tipo_documento     VARCHAR(2)  NOT NULL DEFAULT '01',
+    ADD COLUMN IF NOT EXISTS doc_sustento_clave VARCHAR(49);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_doc_sustento
+    ON invoices (doc_sustento_clave)
+    WHERE doc_sustento_clave IS NOT NULL;
+
+-- El SRI exige una secuencia independiente por tipo de comprobante y punto
+-- de emisión. La factura sigue usando generar_secuencial(); el resto de tipos
+-- llevan su contador en este JSONB ({"04": 12, ...}).
+ALTER TABLE puntos_emision
+    ADD COLUMN IF NOT EXISTS secuenciales_documento JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE OR REPLACE FUNCTION generar_secuencial_documento(
+    p_punto_id puntos_emision.id%TYPE,
+    p_tipo     VARCHAR
+) RETURNS INTEGER AS $$
+DECLARE
+    v_secuencial INTEGER;
+BEGIN
+    -- El UPDATE bloquea la fila del punto: dos emisiones simultáneas nunca
+    -- obtienen el mismo número.
+    UPDATE puntos_emision
+       SET secuenciales_documento = jsonb_set(
+               secuenciales_documento,
+               ARRAY[p_tipo],
+               to_jsonb(COALESCE((secuenciales_documento ->> p_tipo)::INTEGER, 0) + 1)
+           )
+     WHERE id = p_punto_id
+    RETURNING (secuenciales_documento ->> p_tipo)::INTEGER INTO v_secuencial;
+
+    RETURN v_secuencial;
+END;
+$$ LANGUAGE plpgsql;
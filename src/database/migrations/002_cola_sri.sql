@@ -0,0 +1,77 @@
+-- ─────────────────────────────────────────────────────────────
+-- Cola de trabajos del SRI (recepción y autorización)
+-- Cada cambio de estado de un comprobante que requiere hablar con
+-- el SRI deja un trabajo en `sri_jobs`. Los workers lo reclaman con
+-- FOR UPDATE SKIP LOCKED, así que cualquier número de procesos puede
+-- compartir la carga sin enviar dos veces el mismo comprobante.
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS sri_jobs (
+    id               BIGSERIAL    PRIMARY KEY,
+    invoice_id       BIGINT       NOT NULL REFERENCES invoices (id) ON DELETE CASCADE,
+    tipo             VARCHAR(20)  NOT NULL CHECK (tipo IN ('RECEPCION', 'AUTORIZACION')),
+    -- PENDIENTE → EN_PROCESO → COMPLETADO, o MUERTO al agotar los intentos
+    estado           VARCHAR(20)  NOT NULL DEFAULT 'PENDIENTE'
+                     CHECK (estado IN ('PENDIENTE', 'EN_PROCESO', 'COMPLETADO', 'MUERTO')),
+    intentos         INTEGER      NOT NULL DEFAULT 0,
+    max_intentos     INTEGER      NOT NULL DEFAULT 8,
+    next_attempt_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    -- Visibilidad: si el worker muere, el trabajo vuelve a estar disponible al vencer
+    locked_until     TIMESTAMPTZ,
+    locked_by        VARCHAR(120),
+    ultimo_error     TEXT,
+    created_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- Un solo trabajo vivo por comprobante y tipo
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sri_jobs_vivo
+    ON sri_jobs (invoice_id, tipo)
+    WHERE estado IN ('PENDIENTE', 'EN_PROCESO');
+
+CREATE INDEX IF NOT EXISTS idx_sri_jobs_disponibles
+    ON sri_jobs (tipo, next_attempt_at)
+    WHERE estado = 'PENDIENTE';
+
+CREATE INDEX IF NOT EXISTS idx_sri_jobs_vencidos
+    ON sri_jobs (tipo, locked_until)
+    WHERE estado = 'EN_PROCESO';
+
+-- El trabajo se encola en la misma transacción que cambia el estado del
+-- comprobante: si el INSERT/UPDATE hace ROLLBACK, tampoco queda trabajo.
+CREATE OR REPLACE FUNCTION encolar_trabajo_sri() RETURNS TRIGGER AS $$
+DECLARE
+    v_tipo VARCHAR(20);
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.estado IS NOT DISTINCT FROM OLD.estado THEN
+        RETURN NEW;
+    END IF;
+
+    v_tipo := CASE NEW.estado
+        WHEN 'FIRMADO'  THEN 'RECEPCION'
+        WHEN 'RECIBIDA' THEN 'AUTORIZACION'
+    END;
+
+    IF v_tipo IS NOT NULL THEN
+        INSERT INTO sri_jobs (invoice_id, tipo)
+        VALUES (NEW.id, v_tipo)
+        ON CONFLICT (invoice_id, tipo) WHERE estado IN ('PENDIENTE', 'EN_PROCESO')
+        DO NOTHING;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_invoices_encolar_sri ON invoices;
+CREATE TRIGGER trg_invoices_encolar_sri
+    AFTER INSERT OR UPDATE OF estado ON invoices
+    FOR EACH ROW EXECUTE FUNCTION encolar_trabajo_sri();
+
+-- Comprobantes que ya esperaban al cron antes de la cola
+INSERT INTO sri_jobs (invoice_id, tipo)
+SELECT i.id, CASE i.estado WHEN 'FIRMADO' THEN 'RECEPCION' ELSE 'AUTORIZACION' END
+  FROM invoices i
+ WHERE i.estado IN ('FIRMADO', 'RECIBIDA')
+ON CONFLICT (invoice_id, tipo) WHERE estado IN ('PENDIENTE', 'EN_PROCESO')
+DO NOTHING;
@@ -0,0 +1,43 @@
+-- ─────────────────────────────────────────────────────────────
+-- Firma de comprobantes PENDIENTE (POST /invoices/emit)
+-- El endpoint solo registra la fila con el input del cliente; el
+-- trabajo FIRMA asigna secuencial, firma, sube XML/PDF y la deja
+-- FIRMADO, donde la toma la recepción de siempre.
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE sri_jobs DROP CONSTRAINT IF EXISTS sri_jobs_tipo_check;
+ALTER TABLE sri_jobs
+    ADD CONSTRAINT sri_jobs_tipo_check CHECK (tipo IN ('FIRMA', 'RECEPCION', 'AUTORIZACION'));
+
+CREATE OR REPLACE FUNCTION encolar_trabajo_sri() RETURNS TRIGGER AS $$
+DECLARE
+    v_tipo VARCHAR(20);
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.estado IS NOT DISTINCT FROM OLD.estado THEN
+        RETURN NEW;
+    END IF;
+
+    v_tipo := CASE NEW.estado
+        WHEN 'PENDIENTE' THEN 'FIRMA'
+        WHEN 'FIRMADO'   THEN 'RECEPCION'
+        WHEN 'RECIBIDA'  THEN 'AUTORIZACION'
+    END;
+
+    IF v_tipo IS NOT NULL THEN
+        INSERT INTO sri_jobs (invoice_id, tipo)
+        VALUES (NEW.id, v_tipo)
+        ON CONFLICT (invoice_id, tipo) WHERE estado IN ('PENDIENTE', 'EN_PROCESO')
+        DO NOTHING;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Facturas que quedaron PENDIENTE sin que nadie las procesara
+INSERT INTO sri_jobs (invoice_id, tipo)
+SELECT i.id, 'FIRMA'
+  FROM invoices i
+ WHERE i.estado = 'PENDIENTE'
+ON CONFLICT (invoice_id, tipo) WHERE estado IN ('PENDIENTE', 'EN_PROCESO')
+DO NOTHING;
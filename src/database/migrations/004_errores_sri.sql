@@ -0,0 +1,37 @@
+-- ─────────────────────────────────────────────────────────────
+-- Error principal del SRI en columnas propias
+-- Los comprobantes DEVUELTA/RECHAZADO guardan el identificador,
+-- el mensaje y la información adicional del error que explica el
+-- rechazo; la explicación y la corrección sugerida salen del
+-- catálogo de src/utils/erroresSri.js. mensajes_sri conserva la
+-- respuesta completa.
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS sri_error_codigo  VARCHAR(4),
+    ADD COLUMN IF NOT EXISTS sri_error_mensaje TEXT,
+    ADD COLUMN IF NOT EXISTS sri_error_info    TEXT;
+
+-- Reportes de rechazos por código
+CREATE INDEX IF NOT EXISTS idx_invoices_sri_error_codigo
+    ON invoices (emisor_id, sri_error_codigo)
+    WHERE sri_error_codigo IS NOT NULL;
+
+-- Comprobantes ya rechazados: el primer mensaje con identificador de
+-- mensajes_sri, sirve tanto para el formato normalizado actual como
+-- para el anterior (comprobantes del SRI anidados).
+WITH rechazados AS (
+    SELECT id,
+           jsonb_path_query_first(mensajes_sri::jsonb, 'lax $.** ? (exists(@.identificador))') AS mensaje
+      FROM invoices
+     WHERE estado IN ('DEVUELTA', 'RECHAZADO')
+       AND sri_error_codigo IS NULL
+       AND mensajes_sri::text ~ '^\s*[\[{]'
+)
+UPDATE invoices i
+   SET sri_error_codigo  = LEFT(r.mensaje ->> 'identificador', 4),
+       sri_error_mensaje = r.mensaje ->> 'mensaje',
+       sri_error_info    = r.mensaje ->> 'informacionAdicional'
+  FROM rechazados r
+ WHERE i.id = r.id
+   AND r.mensaje IS NOT NULL;
@@ -0,0 +1,38 @@
+-- ─────────────────────────────────────────────────────────────
+-- Corrección y reenvío de comprobantes DEVUELTA/RECHAZADO
+-- (POST /integrations/invoice/:id/resubmit). La fila de invoices
+-- siempre refleja el intento vigente; cada intento fallido se
+-- copia antes a invoice_intentos con la respuesta del SRI.
+-- ─────────────────────────────────────────────────────────────
+
+-- Número del intento vigente. El reenvío solo se registra si sigue
+-- siendo el que leyó al empezar: dos reenvíos simultáneos no se pisan.
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS intentos_envio INTEGER NOT NULL DEFAULT 1;
+
+-- Secuencial tomado para un reenvío con numeración nueva que aún no se registró
+-- (falló la firma o ganó otro reenvío). El siguiente reenvío lo reutiliza en vez
+-- de pedir otro, así el número no se pierde; se limpia al registrar el reenvío.
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS secuencial_reservado INTEGER;
+
+CREATE TABLE IF NOT EXISTS invoice_intentos (
+    id                       BIGSERIAL    PRIMARY KEY,
+    invoice_id               BIGINT       NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    intento                  INTEGER      NOT NULL,
+    estado                   VARCHAR(20)  NOT NULL,
+    secuencial               VARCHAR(9),
+    clave_acceso             VARCHAR(49),
+    fecha_emision            TIMESTAMPTZ,
+    identificacion_comprador VARCHAR(20),
+    razon_social_comprador   TEXT,
+    importe_total            NUMERIC(14, 2),
+    datos_factura            JSONB,
+    mensajes_sri             TEXT,
+    sri_error_codigo         VARCHAR(4),
+    sri_error_mensaje        TEXT,
+    sri_error_info           TEXT,
+    fecha_envio_sri          TIMESTAMPTZ,
+    created_at               TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    UNIQUE (invoice_id, intento)
+);
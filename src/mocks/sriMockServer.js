@@ -0,0 +1,280 @@
+const express = require('express');
+const { SignedXml } = require('xml-crypto');
+const { XMLParser } = require('fast-xml-parser');
+const { claveAccesoValida } = require('../utils/cryptoUtils');
+const { ERRORES_SRI } = require('../utils/erroresSri');
+
+/**
+ * Simulador local de los web services offline del SRI para desarrollo y pruebas:
+ *   node src/mocks/sriMockServer.js        (puerto SRI_MOCK_PORT, por defecto 3099)
+ *   SRI_WS_URL=http://localhost:3099/comprobantes-electronicos-ws node src/worker.js
+ *
+ * Implementa RecepcionComprobantesOffline (validarComprobante) y
+ * AutorizacionComprobantesOffline (autorizacionComprobante). En la recepción verifica,
+ * como el SRI, la clave de acceso (49 dígitos + módulo 11), la firma XAdES y que la
+ * clave no se haya recibido antes. Lo que responde después se programa por escenario:
+ *
+ *   {
+ *     "recepcion":    { "estado": "RECIBIDA" } | { "estado": "DEVUELTA", "mensajes": [{ "identificador": "45" }] },
+ *     "autorizacion": { "estado": "AUTORIZADO" | "NO AUTORIZADO", "en_proceso": 2, "mensajes": [...] },
+ *     "retraso_ms": 0
+ *   }
+ *
+ * `en_proceso` es el número de consultas que devuelven EN PROCESO antes del estado final.
+ * El escenario por defecto sale de SRI_MOCK_ESCENARIO (JSON) y se cambia en caliente:
+ *   PUT /mock/escenario            Escenario por defecto
+ *   PUT /mock/escenarios/:clave    Escenario para una clave concreta
+ *   GET /mock/comprobantes         Comprobantes recibidos y su estado
+ *   DELETE /mock                   Olvida comprobantes y escenarios
+ */
+
+const RUTA_WS = '/comprobantes-electronicos-ws';
+
+const ESCENARIO_BASE = {
+    recepcion: { estado: 'RECIBIDA' },
+    autorizacion: { estado: 'AUTORIZADO', en_proceso: 0 },
+    retraso_ms: 0
+};
+
+const parser = new XMLParser({ ignoreAttributes: false, removeNSPrefix: true, parseTagValue: false });
+
+// Texto oficial del identificador según el catálogo de errores
+const textoDe = (identificador) => (ERRORES_SRI[identificador] || {}).mensaje || 'ERROR';
+
+// Nodo del XML parseado en la ruta dada, o undefined si falta algún nivel
+const nodoEn = (objeto, ruta) => ruta.reduce((nodo, clave) => (nodo && typeof nodo === 'object' ? nodo[clave] : undefined), objeto);
+
+const escaparXml = (texto) => String(texto).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function leerEscenarioDeEntorno() {
+    if (!process.env.SRI_MOCK_ESCENARIO) return {};
+    try {
+        return JSON.parse(process.env.SRI_MOCK_ESCENARIO);
+    } catch (e) {
+        console.warn(`[SRI Mock] ⚠️ SRI_MOCK_ESCENARIO no es JSON válido (${e.message}); se usa el escenario base.`);
+        return {};
+    }
+}
+
+const combinarEscenario = (base, cambios = {}) => ({
+    ...base,
+    ...cambios,
+    recepcion: { ...base.recepcion, ...(cambios.recepcion || {}) },
+    autorizacion: { ...base.autorizacion, ...(cambios.autorizacion || {}) }
+});
+
+const mensaje = (identificador, informacionAdicional, tipo = 'ERROR') => ({
+    identificador: String(identificador),
+    mensaje: textoDe(identificador),
+    informacionAdicional,
+    tipo
+});
+
+/**
+ * Verifica la firma XAdES-BES del comprobante con el certificado incluido en KeyInfo:
+ * firma sobre SignedInfo y digests de las referencias (comprobante y SignedProperties).
+ * @returns {string|null} Motivo del fallo o null si la firma es válida
+ */
+function verificarFirma(xml) {
+    const bloques = xml.match(/<(\w+:)?Signature[\s>][\s\S]*?<\/\1Signature>/g);
+    if (!bloques) return 'El comprobante no está firmado.';
+    const firma = bloques[bloques.length - 1];
+
+    const certificado = (firma.match(/<(?:\w+:)?X509Certificate>([^<]+)<\/(?:\w+:)?X509Certificate>/) || [])[1];
+    if (!certificado) return 'La firma no incluye el certificado X509.';
+    if (!/SignedProperties/.test(firma)) return 'La firma no es XAdES (sin SignedProperties).';
+
+    try {
+        const pem = `-----BEGIN CERTIFICATE-----\n${certificado.replace(/\s+/g, '').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----`;
+        const sig = new SignedXml({ publicCert: pem });
+        sig.loadSignature(firma);
+        if (!sig.checkSignature(xml)) return 'La firma no corresponde al contenido del comprobante.';
+    } catch (e) {
+        return `La firma no pudo verificarse: ${e.message}`;
+    }
+    return null;
+}
+
+// ─── SOBRES SOAP DE RESPUESTA ────────────────────────────────────────────────
+const sobre = (contenido) =>
+    `<?xml version="1.0" encoding="UTF-8"?><soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>${contenido}</soap:Body></soap:Envelope>`;
+
+const mensajesXml = (mensajes = []) => mensajes.length === 0 ? '<mensajes/>' :
+    `<mensajes>${mensajes.map(m => `<mensaje><identificador>${escaparXml(m.identificador)}</identificador><mensaje>${escaparXml(m.mensaje || textoDe(m.identificador))}</mensaje>${m.informacionAdicional ? `<informacionAdicional>${escaparXml(m.informacionAdicional)}</informacionAdicional>` : ''}<tipo>${escaparXml(m.tipo || 'ERROR')}</tipo></mensaje>`).join('')}</mensajes>`;
+
+function respuestaRecepcion(estado, clave, mensajes = []) {
+    const comprobantes = estado === 'RECIBIDA' ? '<comprobantes/>' :
+        `<comprobantes><comprobante><claveAcceso>${escaparXml(clave || '')}</claveAcceso>${mensajesXml(mensajes)}</comprobante></comprobantes>`;
+    return sobre(`<ns2:validarComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.recepcion"><RespuestaRecepcionComprobante><estado>${estado}</estado>${comprobantes}</RespuestaRecepcionComprobante></ns2:validarComprobanteResponse>`);
+}
+
+function respuestaAutorizacion(clave, autorizaciones) {
+    const nodos = autorizaciones.map(a =>
+        `<autorizacion><estado>${a.estado}</estado>${a.numeroAutorizacion ? `<numeroAutorizacion>${a.numeroAutorizacion}</numeroAutorizacion>` : ''}<fechaAutorizacion>${a.fechaAutorizacion}</fechaAutorizacion><ambiente>PRUEBAS</ambiente><comprobante><![CDATA[${a.comprobante || ''}]]></comprobante>${mensajesXml(a.mensajes)}</autorizacion>`
+    ).join('');
+    return sobre(`<ns2:autorizacionComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.autorizacion"><RespuestaAutorizacionComprobante><claveAccesoConsultada>${escaparXml(clave)}</claveAccesoConsultada><numeroComprobantes>${autorizaciones.length}</numeroComprobantes><autorizaciones>${nodos}</autorizaciones></RespuestaAutorizacionComprobante></ns2:autorizacionComprobanteResponse>`);
+}
+
+const soapFault = (texto) =>
+    sobre(`<soap:Fault><faultcode>soap:Client</faultcode><faultstring>${escaparXml(texto)}</faultstring></soap:Fault>`);
+
+/**
+ * Crea la app del simulador. Se exporta para levantarla dentro de pruebas automatizadas.
+ * @param {object} [opciones]
+ * @param {object} [opciones.escenario] - Escenario por defecto (se combina con el base)
+ */
+function crearServidorMock({ escenario } = {}) {
+    const app = express();
+    app.use(express.text({ type: () => true, limit: '5mb' }));
+
+    const estado = {
+        porDefecto: combinarEscenario(ESCENARIO_BASE, escenario || leerEscenarioDeEntorno()),
+        porClave: {},
+        comprobantes: {}        // clave → { xml, recibido, consultas, escenario }
+    };
+
+    const escenarioDe = (clave) => combinarEscenario(estado.porDefecto, estado.porClave[clave]);
+    const esperar = (ms) => new Promise(r => setTimeout(r, ms || 0));
+    const enviarXml = (res, status, xml) => res.status(status).type('text/xml').send(xml);
+
+    // ─── RECEPCIÓN ───────────────────────────────────────────────────────────
+    app.post(`${RUTA_WS}/RecepcionComprobantesOffline`, async (req, res) => {
+        try {
+            const cuerpo = parser.parse(req.body || '');
+            const base64 = nodoEn(cuerpo, ['Envelope', 'Body', 'validarComprobante', 'xml']);
+            if (typeof base64 !== 'string' || !base64) return enviarXml(res, 500, soapFault('Argumentos nulos: falta el nodo <xml>.'));
+
+            const xml = Buffer.from(base64, 'base64').toString('utf8');
+            const clave = (xml.match(/<claveAcceso>(\d*)<\/claveAcceso>/) || [])[1] || null;
+            const escenarioClave = escenarioDe(clave);
+            await esperar(escenarioClave.retraso_ms);
+
+            // Validaciones que el SRI hace siempre, antes de cualquier escenario
+            if (!clave || !claveAccesoValida(clave)) {
+                console.log(`[SRI Mock] ❌ DEVUELTA ${clave || '(sin clave)'}: clave de acceso inválida`);
+                return enviarXml(res, 200, respuestaRecepcion('DEVUELTA', clave, [
+                    mensaje('35', 'La clave de acceso no tiene 49 dígitos o su dígito verificador (módulo 11) no corresponde.')
+                ]));
+            }
+            const errorFirma = verificarFirma(xml);
+            if (errorFirma) {
+                console.log(`[SRI Mock] ❌ DEVUELTA ${clave}: ${errorFirma}`);
+                return enviarXml(res, 200, respuestaRecepcion('DEVUELTA', clave, [mensaje('39', errorFirma)]));
+            }
+            if (estado.comprobantes[clave]) {
+                console.log(`[SRI Mock] ❌ DEVUELTA ${clave}: clave ya recibida`);
+                return enviarXml(res, 200, respuestaRecepcion('DEVUELTA', clave, [mensaje('43', 'La clave de acceso ya fue recibida.')]));
+            }
+
+            const { recepcion } = escenarioClave;
+            if (recepcion.estado === 'DEVUELTA') {
+                const mensajes = (recepcion.mensajes || [{ identificador: '35' }])
+                    .map(m => ({ ...mensaje(m.identificador, m.informacionAdicional, m.tipo), ...m }));
+                console.log(`[SRI Mock] ❌ DEVUELTA ${clave} (escenario): ${mensajes.map(m => m.identificador).join(', ')}`);
+                return enviarXml(res, 200, respuestaRecepcion('DEVUELTA', clave, mensajes));
+            }
+
+            estado.comprobantes[clave] = { xml, recibido: new Date(), consultas: 0 };
+            console.log(`[SRI Mock] ✅ RECIBIDA ${clave}`);
+            enviarXml(res, 200, respuestaRecepcion('RECIBIDA', clave));
+        } catch (error) {
+            // Express no captura los rechazos de handlers async: sin esto la petición quedaría colgada
+            console.error('[SRI Mock] ❌ Error en la recepción:', error.message);
+            enviarXml(res, 500, soapFault(`Error procesando la solicitud: ${error.message}`));
+        }
+    });
+
+    // ─── AUTORIZACIÓN ────────────────────────────────────────────────────────
+    app.post(`${RUTA_WS}/AutorizacionComprobantesOffline`, async (req, res) => {
+        try {
+            const cuerpo = parser.parse(req.body || '');
+            const clave = nodoEn(cuerpo, ['Envelope', 'Body', 'autorizacionComprobante', 'claveAccesoComprobante']);
+            if (typeof clave !== 'string' || !clave) return enviarXml(res, 500, soapFault('Argumentos nulos: falta claveAccesoComprobante.'));
+
+            const { autorizacion, retraso_ms } = escenarioDe(clave);
+            await esperar(retraso_ms);
+
+            const registro = estado.comprobantes[clave];
+            if (!registro) return enviarXml(res, 200, respuestaAutorizacion(clave, []));
+
+            registro.consultas += 1;
+            const fechaAutorizacion = new Date().toISOString();
+
+            if (registro.consultas <= (autorizacion.en_proceso || 0)) {
+                return enviarXml(res, 200, respuestaAutorizacion(clave, [{ estado: 'EN PROCESO', fechaAutorizacion }]));
+            }
+
+            if (autorizacion.estado === 'NO AUTORIZADO') {
+                const mensajes = (autorizacion.mensajes || [{ identificador: '65' }])
+                    .map(m => ({ ...mensaje(m.identificador, m.informacionAdicional, m.tipo), ...m }));
+                registro.estado = 'NO AUTORIZADO';
+                return enviarXml(res, 200, respuestaAutorizacion(clave, [{ estado: 'NO AUTORIZADO', fechaAutorizacion, comprobante: registro.xml, mensajes }]));
+            }
+
+            registro.estado = 'AUTORIZADO';
+            registro.fechaAutorizacion = registro.fechaAutorizacion || fechaAutorizacion;
+            enviarXml(res, 200, respuestaAutorizacion(clave, [{
+                estado: 'AUTORIZADO',
+                numeroAutorizacion: clave,
+                fechaAutorizacion: registro.fechaAutorizacion,
+                comprobante: registro.xml,
+                mensajes: []
+            }]));
+        } catch (error) {
+            console.error('[SRI Mock] ❌ Error en la autorización:', error.message);
+            enviarXml(res, 500, soapFault(`Error procesando la solicitud: ${error.message}`));
+        }
+    });
+
+    // ─── CONTROL DEL SIMULADOR ───────────────────────────────────────────────
+    // El cuerpo ya llega como texto (express.text arriba): se interpreta aquí como JSON
+    const leerJson = (req) => (req.body ? JSON.parse(req.body) : {});
+
+    app.get('/mock/escenario', (req, res) => res.json({ ok: true, escenario: estado.porDefecto, por_clave: estado.porClave }));
+
+    app.put('/mock/escenario', (req, res) => {
+        estado.porDefecto = combinarEscenario(ESCENARIO_BASE, leerJson(req));
+        res.json({ ok: true, escenario: estado.porDefecto });
+    });
+
+    app.put('/mock/escenarios/:clave', (req, res) => {
+        estado.porClave[req.params.clave] = leerJson(req);
+        res.json({ ok: true, clave: req.params.clave, escenario: escenarioDe(req.params.clave) });
+    });
+
+    app.get('/mock/comprobantes', (req, res) => res.json({
+        ok: true,
+        comprobantes: Object.entries(estado.comprobantes).map(([clave, c]) => ({
+            clave_acceso: clave, estado: c.estado || 'RECIBIDA', recibido: c.recibido, consultas: c.consultas
+        }))
+    }));
+
+    app.delete('/mock', (req, res) => {
+        estado.porClave = {};
+        estado.comprobantes = {};
+        res.json({ ok: true });
+    });
+
+    app.use((err, req, res, next) => {
+        console.error('[SRI Mock] ❌', err.message);
+        enviarXml(res, 500, soapFault(err.message));
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    const PORT = process.env.SRI_MOCK_PORT || 3099;
+    crearServidorMock().listen(PORT, () => {
+        console.log(`
+    ---------------------------------------------------
+    🧪 SIMULADOR SRI ESCUCHANDO
+    ---------------------------------------------------
+    SRI_WS_URL=http://localhost:${PORT}${RUTA_WS}
+    ---------------------------------------------------
+    `);
+    });
+}
+
+module.exports = { crearServidorMock, verificarFirma };
@@ -483,7 +483,6 @@ router.get('/check-status', serviceAuth, async (req, res) => {
  *               - punto_emision
  *               - cliente
  *               - items
- *               - pagos
  *             properties:
  *               establecimiento:
  *                 type: string
@@ -504,7 +503,7 @@ router.get('/check-status', serviceAuth, async (req, res) => {
  *                 properties:
  *                   tipo_id:
  *                     type: string
- *                     description: "Tipo de identificación según catálogo SRI."
+ *                     description: "Tipo de identificación según catálogo SRI: 04 RUC, 05 cédula, 06 pasaporte, 07 consumidor final (identificacion 9999999999999, solo hasta USD 50.00), 08 identificación del exterior. Cédula y RUC se validan con su dígito verificador."
  *                     example: "04"
  *                   nombre:
  *                     type: string
@@ -537,9 +536,63 @@ router.get('/check-status', serviceAuth, async (req, res) => {
  *                       type: number
  *                       nullable: true
  *                       example: 0.00
+ *                     tarifaIva:
+ *                       type: number
+ *                       description: "Tarifa de IVA vigente: 0, 5, 8, 12, 13, 14 o 15 (también 0.15). Por defecto 0. Una tarifa fuera del catálogo se rechaza con 400."
+ *                       example: 15
+ *                     codigoPorcentajeIva:
+ *                       type: string
+ *                       description: "Alternativa a tarifaIva: código del catálogo (GET /integrations/tax-catalog), p. ej. '6' no objeto o '7' exento."
+ *                       example: "4"
+ *                     impuestos:
+ *                       type: array
+ *                       description: "ICE e IRBPNR de la línea (uno de cada uno). El ICE se calcula primero y forma parte de la base del IVA. No se admiten con precios_incluyen_iva."
+ *                       items:
+ *                         type: object
+ *                         required:
+ *                           - impuesto
+ *                           - codigoPorcentaje
+ *                         properties:
+ *                           impuesto:
+ *                             type: string
+ *                             enum: [ICE, IRBPNR]
+ *                           codigoPorcentaje:
+ *                             type: string
+ *                             description: "Código del catálogo (GET /integrations/tax-catalog)."
+ *                             example: "3610"
+ *                           tarifa:
+ *                             type: number
+ *                             description: "Requerida si el catálogo no fija la tarifa: porcentaje (ad_valorem) o USD por unidad (especifico)."
+ *                           valor:
+ *                             type: number
+ *                             description: "Valor del impuesto ya calculado; reemplaza el cálculo (ICE específico por litro o grado)."
+ *                       example: [{ impuesto: "ICE", codigoPorcentaje: "3610" }, { impuesto: "IRBPNR", codigoPorcentaje: "5001" }]
+ *                     precioSinSubsidio:
+ *                       type: number
+ *                       description: "Precio unitario sin subsidio (bienes subsidiados como el GLP). Debe ser mayor o igual al precioUnitario; la diferencia por cantidad suma al totalSubsidio informado en el RIDE. No se admite con precios_incluyen_iva."
+ *                       example: 12.50
+ *                     detalles_adicionales:
+ *                       type: array
+ *                       maxItems: 3
+ *                       description: "Hasta 3 detalles adicionales de la línea (detAdicional), visibles en el RIDE bajo la descripción."
+ *                       items:
+ *                         type: object
+ *                         required: [nombre, valor]
+ *                         properties:
+ *                           nombre:
+ *                             type: string
+ *                             maxLength: 300
+ *                           valor:
+ *                             type: string
+ *                             maxLength: 300
+ *                       example: [{ nombre: "Lote", valor: "L-2024-118" }, { nombre: "Color", valor: "Azul" }]
+ *               precios_incluyen_iva:
+ *                 type: boolean
+ *                 default: false
+ *                 description: "Si es true, precio_unitario y descuento ya incluyen IVA: se calcula el precio neto por línea y el importe total coincide al centavo con el total bruto cobrado."
  *               pagos:
  *                 type: array
- *                 description: "Formas de pago según catálogo SRI."
+ *                 description: "Formas de pago según catálogo SRI. Deben sumar exactamente el importe total calculado (400 si difieren). Si se omite, se registra un único pago '01' por el total."
  *                 items:
  *                   type: object
  *                   required:
@@ -547,7 +600,8 @@ router.get('/check-status', serviceAuth, async (req, res) => {
  *                   properties:
  *                     forma_pago:
  *                       type: string
- *                       description: "Código de forma de pago SRI. Por defecto '01' (efectivo)."
+ *                       enum: ["01", "15", "16", "17", "18", "19", "20", "21"]
+ *                       description: "01 sin sistema financiero, 15 compensación de deudas, 16 tarjeta de débito, 17 dinero electrónico, 18 tarjeta prepago, 19 tarjeta de crédito, 20 otros con sistema financiero, 21 endoso de títulos. Por defecto '01'."
  *                       example: "01"
  *                     total:
  *                       type: number
@@ -560,6 +614,143 @@ router.get('/check-status', serviceAuth, async (req, res) => {
  *                       type: string
  *                       nullable: true
  *                       example: "dias"
+ *               propina:
+ *                 type: number
+ *                 description: "Propina o cargo por servicio en dólares. Se suma al importe total y no puede superar el 10% del subtotal sin impuestos."
+ *                 example: 2.50
+ *               propina_porcentaje:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 description: "Alternativa a propina: porcentaje del subtotal sin impuestos (máximo 10). No se envía junto con propina."
+ *                 example: 10
+ *               info_adicional:
+ *                 type: array
+ *                 maxItems: 15
+ *                 description: "Hasta 15 campos adicionales del comprobante (infoAdicional): email, teléfono, dirección, número de pedido, notas de entrega... Nombre y valor de 1 a 300 caracteres."
+ *                 items:
+ *                   type: object
+ *                   required: [nombre, valor]
+ *                   properties:
+ *                     nombre:
+ *                       type: string
+ *                       maxLength: 300
+ *                       example: "Email"
+ *                     valor:
+ *                       type: string
+ *                       maxLength: 300
+ *                       example: "cliente@correo.com"
+ *                 example: [{ nombre: "Email", valor: "cliente@correo.com" }, { nombre: "Pedido", valor: "PED-0042" }]
+ *               exportacion:
+ *                 type: object
+ *                 description: "Activa la factura de exportación. Solo para compradores con identificación del exterior (tipo_id 08) e items sin impuestos (IVA 0%, no objeto o exento). Flete, seguro y gastos son informativos y no se suman al importe total."
+ *                 required:
+ *                   - incoterm
+ *                   - lugar_incoterm
+ *                   - pais_origen
+ *                   - puerto_embarque
+ *                   - puerto_destino
+ *                   - pais_destino
+ *                 properties:
+ *                   incoterm:
+ *                     type: string
+ *                     enum: [EXW, FCA, FAS, FOB, CFR, CIF, CPT, CIP, DAP, DPU, DDP, DAT]
+ *                     example: "FOB"
+ *                   lugar_incoterm:
+ *                     type: string
+ *                     example: "Guayaquil"
+ *                   incoterm_total_sin_impuestos:
+ *                     type: string
+ *                     description: "Incoterm del total sin impuestos. Por defecto el mismo de la factura."
+ *                   pais_origen:
+ *                     type: string
+ *                     pattern: '^\d{3}$'
+ *                     description: "Código de país del SRI (3 dígitos)."
+ *                     example: "593"
+ *                   puerto_embarque:
+ *                     type: string
+ *                     example: "Guayaquil"
+ *                   puerto_destino:
+ *                     type: string
+ *                     example: "Miami"
+ *                   pais_destino:
+ *                     type: string
+ *                     pattern: '^\d{3}$'
+ *                     example: "110"
+ *                   pais_adquisicion:
+ *                     type: string
+ *                     pattern: '^\d{3}$'
+ *                   flete_internacional:
+ *                     type: number
+ *                     example: 350.00
+ *                   seguro_internacional:
+ *                     type: number
+ *                     example: 45.50
+ *                   gastos_aduaneros:
+ *                     type: number
+ *                   gastos_transporte_otros:
+ *                     type: number
+ *               reembolso:
+ *                 type: object
+ *                 description: "Factura por reembolso de gastos (codDocReembolso 41). Cada documento reembolsado lleva sus propios impuestos; la suma de bases debe ser el total sin impuestos de la factura y la suma de impuestos sus impuestos. Los totales son opcionales: si se envían deben coincidir con los documentos."
+ *                 required:
+ *                   - documentos
+ *                 properties:
+ *                   documentos:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       required: [proveedor, num_doc, fecha_emision, num_autorizacion, impuestos]
+ *                       properties:
+ *                         proveedor:
+ *                           type: object
+ *                           properties:
+ *                             tipo_id:
+ *                               type: string
+ *                               enum: ["04", "05", "06", "08"]
+ *                             identificacion:
+ *                               type: string
+ *                               example: "1792146739001"
+ *                             tipo_proveedor:
+ *                               type: string
+ *                               enum: ["01", "02"]
+ *                               description: "01 persona natural, 02 sociedad. Por defecto se deduce del RUC."
+ *                             cod_pais:
+ *                               type: string
+ *                               example: "593"
+ *                         cod_doc:
+ *                           type: string
+ *                           default: "01"
+ *                         num_doc:
+ *                           type: string
+ *                           example: "001-002-000000123"
+ *                         fecha_emision:
+ *                           type: string
+ *                           example: "01/10/2026"
+ *                         num_autorizacion:
+ *                           type: string
+ *                           description: "10, 37 o 49 dígitos."
+ *                         impuestos:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               tarifa_iva:
+ *                                 type: number
+ *                                 example: 15
+ *                               base_imponible:
+ *                                 type: number
+ *                                 example: 100.00
+ *                               valor:
+ *                                 type: number
+ *                                 description: "IVA del comprobante; si se omite se calcula. Se admite un centavo de diferencia."
+ *                                 example: 15.00
+ *                   total_comprobantes:
+ *                     type: number
+ *                   total_base_imponible:
+ *                     type: number
+ *                   total_impuesto:
+ *                     type: number
  *     responses:
  *       201:
  *         description: Factura generada y firmada exitosamente
@@ -591,7 +782,7 @@ router.get('/check-status', serviceAuth, async (req, res) => {
  *                   description: "Ruta del PDF generado en MinIO."
  *                   example: "invoices/1792146739001/2406202401179214673900110010010000000011234567813.pdf"
  *       400:
- *         description: Campos requeridos faltantes
+ *         description: "Campos requeridos faltantes, items inválidos o comprador inválido (cédula/RUC, consumidor final) o pagos que no suman el importe total o información adicional fuera de los límites del SRI o datos de exportación inválidos (comprador sin identificación del exterior, items con impuestos) o comprobantes de reembolso que no cuadran con la factura o propina mayor al 10% del subtotal. `errores` lista `{ campo, mensaje }`"
  *         content:
  *           application/json:
  *             schema:
@@ -631,6 +822,8 @@ router.get('/check-status', serviceAuth, async (req, res) => {
  *                 mensaje:
  *                   type: string
  *                   example: "La combinación Establecimiento [001] y Punto [001] no existe o no te pertenece."
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
  *       500:
  *         description: Error interno en cualquiera de los tres bloques de procesamiento
  *         content:
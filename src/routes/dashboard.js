@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../database/index');
 const { authMiddleware } = require('../middlewares/auth');
+const { errorSriDeFactura } = require('../utils/erroresSri');
 
 /**
  * @openapi
@@ -131,6 +132,10 @@ const { authMiddleware } = require('../middlewares/auth');
  *                           estado:
  *                             type: string
  *                             example: "AUTORIZADA"
+ *                           error_sri:
+ *                             description: "Error principal del SRI si el comprobante fue DEVUELTA/RECHAZADO; null en otro caso."
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/ErrorSri'
  *                           razon_social_comprador:
  *                             type: string
  *                             example: "Juan Pérez"
@@ -223,6 +228,7 @@ router.get('/', authMiddleware, async (req, res) => {
             emisor_id ? queryConReintento(
                 `SELECT 
                     f.clave_acceso, 
+                    f.tipo_documento,
                     e.codigo as estab, 
                     p.codigo as punto, 
                     f.secuencial, 
@@ -233,7 +239,10 @@ router.get('/', authMiddleware, async (req, res) => {
                     f.subtotal_0,
                     f.valor_iva,
                     f.importe_total, 
-                    f.fecha_emision
+                    f.fecha_emision,
+                    f.sri_error_codigo,
+                    f.sri_error_mensaje,
+                    f.sri_error_info
                  FROM invoices f
                  JOIN puntos_emision p ON f.punto_emision_id = p.id
                  JOIN establecimientos e ON p.establecimiento_id = e.id
@@ -269,6 +278,7 @@ router.get('/', authMiddleware, async (req, res) => {
         // Mapeo limpio de facturas para el Frontend
         const facturasMap = facturasResult.rows.map(f => ({
             clave_acceso: f.clave_acceso,
+            tipo: f.tipo_documento,
             numero: `${f.estab}-${f.punto}-${f.secuencial}`,
             cliente_nombre: f.razon_social_comprador,
             cliente_id: f.identificacion_comprador,
@@ -277,6 +287,7 @@ router.get('/', authMiddleware, async (req, res) => {
             iva: parseFloat(f.valor_iva),
             total: parseFloat(f.importe_total),
             estado: f.estado,
+            error_sri: errorSriDeFactura(f),
             fecha: new Date(f.fecha_emision).toISOString().split('T')[0]
         }));
 
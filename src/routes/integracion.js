@@ -2,7 +2,14 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../database/index');
 const { apiKeyAuth } = require('../middlewares/apiKeyAuth');
-const { emitirFacturaCore } = require('../utils/calculadoraSri');
+const { emitirFacturaCore, previsualizarFacturaCore, reenviarFacturaCore } = require('../utils/calculadoraSri');
+const { emitirNotaCreditoCore } = require('../utils/notaCreditoSri');
+const { emitirNotaDebitoCore } = require('../utils/notaDebitoSri');
+const { emitirRetencionCore } = require('../utils/retencionSri');
+const { emitirGuiaRemisionCore } = require('../utils/guiaRemisionSri');
+const { emitirLiquidacionCompraCore } = require('../utils/liquidacionCompraSri');
+const { catalogoImpuestos } = require('../utils/codigosImpuesto');
+const { errorSriDeFactura } = require('../utils/erroresSri');
 const axios = require('axios');
 
 
@@ -139,6 +146,10 @@ router.post('/validate', apiKeyAuth, async (req, res) => {
  *                         type: string
  *                         enum: [AUTORIZADO, RECHAZADO, PENDIENTE, ANULADO]
  *                         example: "AUTORIZADO"
+ *                       error_sri:
+ *                         description: "Error principal del SRI si el comprobante fue DEVUELTA/RECHAZADO; null en otro caso."
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/ErrorSri'
  *                       identificacion_comprador:
  *                         type: string
  *                         example: "0987654321001"
@@ -194,13 +205,17 @@ router.get('/status', apiKeyAuth, async (req, res) => {
           FROM (
             SELECT 
               id, 
+              tipo_documento,
               fecha_emision,           -- Nuevo campo solicitado
               estado, 
               identificacion_comprador, -- Nuevo campo solicitado
               razon_social_comprador,   -- Nuevo campo solicitado
               importe_total AS total,   -- Mapeado a 'total' para tu JSON
               clave_acceso,
-              created_at
+              created_at,
+              sri_error_codigo,
+              sri_error_mensaje,
+              sri_error_info
             FROM invoices 
             WHERE emisor_id = e.id
             ORDER BY created_at DESC
@@ -236,7 +251,10 @@ router.get('/status', apiKeyAuth, async (req, res) => {
         },
       },
       creditos: data.creditos_disponibles || 0,
-      historial: data.ultimas_facturas || [],
+      historial: (data.ultimas_facturas || []).map(({ sri_error_codigo, sri_error_mensaje, sri_error_info, ...factura }) => ({
+        ...factura,
+        error_sri: errorSriDeFactura({ sri_error_codigo, sri_error_mensaje, sri_error_info }),
+      })),
     });
   } catch (error) {
     console.error('[GET /integrations/status]', error.message);
@@ -273,7 +291,6 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *               - punto_emision
  *               - cliente
  *               - items
- *               - pagos
  *             properties:
  *               establecimiento:
  *                 type: string
@@ -294,7 +311,7 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *                 properties:
  *                   tipo_id:
  *                     type: string
- *                     description: "Tipo de identificación según catálogo SRI."
+ *                     description: "Tipo de identificación según catálogo SRI: 04 RUC, 05 cédula, 06 pasaporte, 07 consumidor final (identificacion 9999999999999, solo hasta USD 50.00), 08 identificación del exterior. Cédula y RUC se validan con su dígito verificador."
  *                     example: "04"
  *                   nombre:
  *                     type: string
@@ -327,9 +344,63 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *                       type: number
  *                       nullable: true
  *                       example: 0.00
+ *                     tarifaIva:
+ *                       type: number
+ *                       description: "Tarifa de IVA vigente: 0, 5, 8, 12, 13, 14 o 15 (también 0.15). Por defecto 0. Una tarifa fuera del catálogo se rechaza con 400."
+ *                       example: 15
+ *                     codigoPorcentajeIva:
+ *                       type: string
+ *                       description: "Alternativa a tarifaIva: código del catálogo (GET /integrations/tax-catalog), p. ej. '6' no objeto o '7' exento."
+ *                       example: "4"
+ *                     impuestos:
+ *                       type: array
+ *                       description: "ICE e IRBPNR de la línea (uno de cada uno). El ICE se calcula primero y forma parte de la base del IVA. No se admiten con precios_incluyen_iva."
+ *                       items:
+ *                         type: object
+ *                         required:
+ *                           - impuesto
+ *                           - codigoPorcentaje
+ *                         properties:
+ *                           impuesto:
+ *                             type: string
+ *                             enum: [ICE, IRBPNR]
+ *                           codigoPorcentaje:
+ *                             type: string
+ *                             description: "Código del catálogo (GET /integrations/tax-catalog)."
+ *                             example: "3610"
+ *                           tarifa:
+ *                             type: number
+ *                             description: "Requerida si el catálogo no fija la tarifa: porcentaje (ad_valorem) o USD por unidad (especifico)."
+ *                           valor:
+ *                             type: number
+ *                             description: "Valor del impuesto ya calculado; reemplaza el cálculo (ICE específico por litro o grado)."
+ *                       example: [{ impuesto: "ICE", codigoPorcentaje: "3610" }, { impuesto: "IRBPNR", codigoPorcentaje: "5001" }]
+ *                     precioSinSubsidio:
+ *                       type: number
+ *                       description: "Precio unitario sin subsidio (bienes subsidiados como el GLP). Debe ser mayor o igual al precioUnitario; la diferencia por cantidad suma al totalSubsidio informado en el RIDE. No se admite con precios_incluyen_iva."
+ *                       example: 12.50
+ *                     detalles_adicionales:
+ *                       type: array
+ *                       maxItems: 3
+ *                       description: "Hasta 3 detalles adicionales de la línea (detAdicional), visibles en el RIDE bajo la descripción."
+ *                       items:
+ *                         type: object
+ *                         required: [nombre, valor]
+ *                         properties:
+ *                           nombre:
+ *                             type: string
+ *                             maxLength: 300
+ *                           valor:
+ *                             type: string
+ *                             maxLength: 300
+ *                       example: [{ nombre: "Lote", valor: "L-2024-118" }, { nombre: "Color", valor: "Azul" }]
+ *               precios_incluyen_iva:
+ *                 type: boolean
+ *                 default: false
+ *                 description: "Si es true, precio_unitario y descuento ya incluyen IVA: se calcula el precio neto por línea y el importe total coincide al centavo con el total bruto cobrado."
  *               pagos:
  *                 type: array
- *                 description: "Formas de pago según catálogo SRI."
+ *                 description: "Formas de pago según catálogo SRI. Deben sumar exactamente el importe total calculado (400 si difieren). Si se omite, se registra un único pago '01' por el total."
  *                 items:
  *                   type: object
  *                   required:
@@ -337,7 +408,8 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *                   properties:
  *                     forma_pago:
  *                       type: string
- *                       description: "Código de forma de pago SRI. Por defecto '01' (efectivo)."
+ *                       enum: ["01", "15", "16", "17", "18", "19", "20", "21"]
+ *                       description: "01 sin sistema financiero, 15 compensación de deudas, 16 tarjeta de débito, 17 dinero electrónico, 18 tarjeta prepago, 19 tarjeta de crédito, 20 otros con sistema financiero, 21 endoso de títulos. Por defecto '01'."
  *                       example: "01"
  *                     total:
  *                       type: number
@@ -350,6 +422,143 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *                       type: string
  *                       nullable: true
  *                       example: "dias"
+ *               propina:
+ *                 type: number
+ *                 description: "Propina o cargo por servicio en dólares. Se suma al importe total y no puede superar el 10% del subtotal sin impuestos."
+ *                 example: 2.50
+ *               propina_porcentaje:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 description: "Alternativa a propina: porcentaje del subtotal sin impuestos (máximo 10). No se envía junto con propina."
+ *                 example: 10
+ *               info_adicional:
+ *                 type: array
+ *                 maxItems: 15
+ *                 description: "Hasta 15 campos adicionales del comprobante (infoAdicional): email, teléfono, dirección, número de pedido, notas de entrega... Nombre y valor de 1 a 300 caracteres."
+ *                 items:
+ *                   type: object
+ *                   required: [nombre, valor]
+ *                   properties:
+ *                     nombre:
+ *                       type: string
+ *                       maxLength: 300
+ *                       example: "Email"
+ *                     valor:
+ *                       type: string
+ *                       maxLength: 300
+ *                       example: "cliente@correo.com"
+ *                 example: [{ nombre: "Email", valor: "cliente@correo.com" }, { nombre: "Pedido", valor: "PED-0042" }]
+ *               exportacion:
+ *                 type: object
+ *                 description: "Activa la factura de exportación. Solo para compradores con identificación del exterior (tipo_id 08) e items sin impuestos (IVA 0%, no objeto o exento). Flete, seguro y gastos son informativos y no se suman al importe total."
+ *                 required:
+ *                   - incoterm
+ *                   - lugar_incoterm
+ *                   - pais_origen
+ *                   - puerto_embarque
+ *                   - puerto_destino
+ *                   - pais_destino
+ *                 properties:
+ *                   incoterm:
+ *                     type: string
+ *                     enum: [EXW, FCA, FAS, FOB, CFR, CIF, CPT, CIP, DAP, DPU, DDP, DAT]
+ *                     example: "FOB"
+ *                   lugar_incoterm:
+ *                     type: string
+ *                     example: "Guayaquil"
+ *                   incoterm_total_sin_impuestos:
+ *                     type: string
+ *                     description: "Incoterm del total sin impuestos. Por defecto el mismo de la factura."
+ *                   pais_origen:
+ *                     type: string
+ *                     pattern: '^\d{3}$'
+ *                     description: "Código de país del SRI (3 dígitos)."
+ *                     example: "593"
+ *                   puerto_embarque:
+ *                     type: string
+ *                     example: "Guayaquil"
+ *                   puerto_destino:
+ *                     type: string
+ *                     example: "Miami"
+ *                   pais_destino:
+ *                     type: string
+ *                     pattern: '^\d{3}$'
+ *                     example: "110"
+ *                   pais_adquisicion:
+ *                     type: string
+ *                     pattern: '^\d{3}$'
+ *                   flete_internacional:
+ *                     type: number
+ *                     example: 350.00
+ *                   seguro_internacional:
+ *                     type: number
+ *                     example: 45.50
+ *                   gastos_aduaneros:
+ *                     type: number
+ *                   gastos_transporte_otros:
+ *                     type: number
+ *               reembolso:
+ *                 type: object
+ *                 description: "Factura por reembolso de gastos (codDocReembolso 41). Cada documento reembolsado lleva sus propios impuestos; la suma de bases debe ser el total sin impuestos de la factura y la suma de impuestos sus impuestos. Los totales son opcionales: si se envían deben coincidir con los documentos."
+ *                 required:
+ *                   - documentos
+ *                 properties:
+ *                   documentos:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       required: [proveedor, num_doc, fecha_emision, num_autorizacion, impuestos]
+ *                       properties:
+ *                         proveedor:
+ *                           type: object
+ *                           properties:
+ *                             tipo_id:
+ *                               type: string
+ *                               enum: ["04", "05", "06", "08"]
+ *                             identificacion:
+ *                               type: string
+ *                               example: "1792146739001"
+ *                             tipo_proveedor:
+ *                               type: string
+ *                               enum: ["01", "02"]
+ *                               description: "01 persona natural, 02 sociedad. Por defecto se deduce del RUC."
+ *                             cod_pais:
+ *                               type: string
+ *                               example: "593"
+ *                         cod_doc:
+ *                           type: string
+ *                           default: "01"
+ *                         num_doc:
+ *                           type: string
+ *                           example: "001-002-000000123"
+ *                         fecha_emision:
+ *                           type: string
+ *                           example: "01/10/2026"
+ *                         num_autorizacion:
+ *                           type: string
+ *                           description: "10, 37 o 49 dígitos."
+ *                         impuestos:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               tarifa_iva:
+ *                                 type: number
+ *                                 example: 15
+ *                               base_imponible:
+ *                                 type: number
+ *                                 example: 100.00
+ *                               valor:
+ *                                 type: number
+ *                                 description: "IVA del comprobante; si se omite se calcula. Se admite un centavo de diferencia."
+ *                                 example: 15.00
+ *                   total_comprobantes:
+ *                     type: number
+ *                   total_base_imponible:
+ *                     type: number
+ *                   total_impuesto:
+ *                     type: number
  *     responses:
  *       201:
  *         description: Factura generada y firmada exitosamente
@@ -380,8 +589,12 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *                   type: string
  *                   description: "Ruta del PDF generado en MinIO."
  *                   example: "invoices/1792146739001/2406202401179214673900110010010000000011234567813.pdf"
+ *                 error_sri:
+ *                   description: "Solo si el SRI devolvió o rechazó la factura durante la misma petición (estado DEVUELTA/RECHAZADO)."
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ErrorSri'
  *       400:
- *         description: Campos requeridos faltantes
+ *         description: "Campos requeridos faltantes, items inválidos (p. ej. tarifas de IVA fuera del catálogo) o comprador inválido (cédula/RUC, consumidor final) o pagos inválidos (forma de pago fuera de la tabla 24, suma distinta del importe total) o información adicional fuera de los límites del SRI o datos de exportación inválidos (comprador sin identificación del exterior, items con impuestos) o comprobantes de reembolso que no cuadran con la factura o propina mayor al 10% del subtotal. `errores` lista `{ campo, mensaje }` por cada dato rechazado. Nada se cobra ni se consume secuencial."
  *         content:
  *           application/json:
  *             schema:
@@ -392,7 +605,18 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *                   example: false
  *                 mensaje:
  *                   type: string
- *                   example: "Los campos 'establecimiento' y 'punto_emision' son requeridos para la secuencia legal."
+ *                   example: "Los items contienen valores inválidos."
+ *                 errores:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       campo:
+ *                         type: string
+ *                         example: "items[1].tarifaIva"
+ *                       mensaje:
+ *                         type: string
+ *                         example: "items[1].tarifaIva '16' no es una tarifa de IVA vigente (0, 5, 8, 12, 13, 14, 15)."
  *       402:
  *         description: Créditos insuficientes para emitir la factura
  *         content:
@@ -421,6 +645,30 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  *                 mensaje:
  *                   type: string
  *                   example: "La combinación Establecimiento [001] y Punto [001] no existe o no te pertenece."
+ *       422:
+ *         description: El XML generado no cumple el XSD oficial del SRI (no consume secuencial ni crédito)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: false
+ *                 mensaje:
+ *                   type: string
+ *                   example: "El comprobante generado no cumple el esquema XSD 1.1.0 del SRI."
+ *                 errores:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ruta:
+ *                         type: string
+ *                         example: "/factura/detalles/detalle[2]/cantidad"
+ *                       mensaje:
+ *                         type: string
+ *                         example: "Element 'cantidad': [facet 'fractionDigits'] The value '1.1234567' has more fractional digits than are allowed ('6')."
  *       500:
  *         description: Error interno en cualquiera de los tres bloques de procesamiento
  *         content:
@@ -437,4 +685,885 @@ router.get('/status', apiKeyAuth, async (req, res) => {
  */
 router.post('/invoice', apiKeyAuth, emitirFacturaCore);
 
+/**
+ * @openapi
+ * /integrations/invoice/preview:
+ *   post:
+ *     summary: Vista previa de una factura (sin emitir)
+ *     description: |
+ *       Ejecuta las mismas validaciones, cálculo de totales, construcción del XML y
+ *       validación XSD que `POST /integrations/invoice`, pero sin emitir nada:
+ *       no consume secuencial, no descuenta créditos, no firma y no sube archivos a MinIO.
+ *
+ *       El XML usa el secuencial `000000000` (el SRI numera desde 1), por lo que su
+ *       clave de acceso nunca coincide con la de un comprobante real. El RIDE lleva
+ *       la marca de agua **BORRADOR**.
+ *     tags:
+ *       - Facturación
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       description: "Mismo cuerpo que `POST /integrations/invoice`."
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - establecimiento
+ *               - punto_emision
+ *               - cliente
+ *               - items
+ *             properties:
+ *               establecimiento:
+ *                 type: string
+ *                 example: "001"
+ *               punto_emision:
+ *                 type: string
+ *                 example: "001"
+ *               precios_incluyen_iva:
+ *                 type: boolean
+ *                 example: false
+ *               cliente:
+ *                 type: object
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               pagos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Vista previa generada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *                 borrador:
+ *                   type: boolean
+ *                   example: true
+ *                 totales:
+ *                   type: object
+ *                   description: "Totales calculados, los mismos que tendría la factura emitida."
+ *                   properties:
+ *                     totalSinImpuestos:
+ *                       type: string
+ *                       example: "200.00"
+ *                     totalDescuento:
+ *                       type: string
+ *                       example: "0.00"
+ *                     subtotal_iva:
+ *                       type: string
+ *                       example: "200.00"
+ *                     subtotal_0:
+ *                       type: string
+ *                       example: "0.00"
+ *                     totalIva:
+ *                       type: string
+ *                       example: "30.00"
+ *                     totalIce:
+ *                       type: string
+ *                       example: "0.00"
+ *                     totalIrbpnr:
+ *                       type: string
+ *                       example: "0.00"
+ *                     propina:
+ *                       type: string
+ *                       example: "0.00"
+ *                     totalSubsidio:
+ *                       type: string
+ *                       example: "0.00"
+ *                     importeTotal:
+ *                       type: string
+ *                       example: "230.00"
+ *                 xml:
+ *                   type: string
+ *                   description: "XML del comprobante sin firmar."
+ *                 pdf:
+ *                   type: string
+ *                   format: byte
+ *                   description: "RIDE en PDF (base64) con marca de agua BORRADOR."
+ *                 mensaje:
+ *                   type: string
+ *                   example: "Vista previa generada. No se consumió secuencial ni crédito."
+ *       400:
+ *         description: "Mismos rechazos de entrada que la emisión (items, comprador, pagos)."
+ *       401:
+ *         description: API Key inválida o ausente
+ *       404:
+ *         description: La combinación establecimiento + punto de emisión no existe o no pertenece al emisor
+ *       422:
+ *         description: El XML generado no cumple el XSD oficial del SRI
+ *       500:
+ *         description: Error interno al construir el XML o el RIDE
+ */
+router.post('/invoice/preview', apiKeyAuth, previsualizarFacturaCore);
+
+/**
+ * @openapi
+ * /integrations/invoice/{id}/resubmit:
+ *   post:
+ *     summary: Corregir y reenviar una factura DEVUELTA o RECHAZADA
+ *     description: |
+ *       Vuelve a construir, firmar y enviar la factura con los datos corregidos del
+ *       comprador y los items, sobre el mismo registro (mismo `id`). Se vuelve a cobrar
+ *       1 crédito, el que se devolvió cuando el SRI la rechazó.
+ *
+ *       La numeración depende del error que dio el SRI (`reenvio` en la respuesta):
+ *       - `MISMA_CLAVE` — mismo secuencial y misma clave de acceso (caso general).
+ *       - `NUEVA_CLAVE` — mismo secuencial con fecha de hoy y clave nueva (65 fecha extemporánea, 58 estructura de clave).
+ *       - `NUEVO_SECUENCIAL` — la numeración ya quedó registrada en el SRI (43 clave registrada, 45 secuencial registrado).
+ *
+ *       Con el error 70 (clave en procesamiento) no se reenvía: hay que esperar la autorización.
+ *       Cada intento fallido queda en el historial del comprobante (`intentos_anteriores`).
+ *     tags:
+ *       - Facturación
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: "id de la factura devuelto por `POST /integrations/invoice`."
+ *     requestBody:
+ *       required: true
+ *       description: "Mismo cuerpo que `POST /integrations/invoice`, ya corregido. `establecimiento` y `punto_emision` se ignoran: son los de la factura original."
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cliente
+ *               - items
+ *             properties:
+ *               precios_incluyen_iva:
+ *                 type: boolean
+ *                 example: false
+ *               cliente:
+ *                 type: object
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               pagos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Factura reenviada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *                 id:
+ *                   type: integer
+ *                   example: 120
+ *                 claveAcceso:
+ *                   type: string
+ *                   example: "2406202401179214673900110010010000000011234567813"
+ *                 secuencial:
+ *                   type: string
+ *                   example: "000000001"
+ *                 estado:
+ *                   type: string
+ *                   description: "Estado tras el intento inmediato con el SRI (FIRMADO si queda en manos de los jobs)."
+ *                   example: "AUTORIZADO"
+ *                 intento:
+ *                   type: integer
+ *                   description: "Número de este intento (el primer envío es el 1)."
+ *                   example: 2
+ *                 reenvio:
+ *                   type: string
+ *                   enum: [MISMA_CLAVE, NUEVA_CLAVE, NUEVO_SECUENCIAL]
+ *                 error_sri:
+ *                   description: "Solo si el SRI volvió a devolver o rechazar la factura en la misma petición."
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ErrorSri'
+ *                 intentos_anteriores:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       intento:
+ *                         type: integer
+ *                         example: 1
+ *                       estado:
+ *                         type: string
+ *                         example: "DEVUELTA"
+ *                       secuencial:
+ *                         type: string
+ *                       clave_acceso:
+ *                         type: string
+ *                       fecha_emision:
+ *                         type: string
+ *                         format: date-time
+ *                       error_sri:
+ *                         $ref: '#/components/schemas/ErrorSri'
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 mensaje:
+ *                   type: string
+ *                   example: "Factura autorizada exitosamente."
+ *       400:
+ *         description: "id inválido o mismos rechazos de entrada que la emisión (items, comprador, pagos). Nada se cobra."
+ *       401:
+ *         description: API Key inválida o ausente
+ *       402:
+ *         description: Créditos insuficientes
+ *       404:
+ *         description: La factura no existe o no pertenece al emisor
+ *       409:
+ *         description: "La factura no está DEVUELTA/RECHAZADO, el SRI aún procesa el envío anterior (70) o se reenvió en paralelo."
+ *       422:
+ *         description: El XML corregido no cumple el XSD oficial del SRI
+ *       500:
+ *         description: Error interno al firmar o registrar el reenvío
+ */
+router.post('/invoice/:id/resubmit', apiKeyAuth, reenviarFacturaCore);
+
+/**
+ * @openapi
+ * /integrations/credit-note:
+ *   post:
+ *     summary: Emitir una nota de crédito sobre una factura autorizada
+ *     description: |
+ *       Genera y firma una nota de crédito (codDoc 04, esquema v1.1.0) que modifica una
+ *       factura existente del emisor. El comprador se toma de la factura original.
+ *       El comprobante queda en estado `FIRMADO` y los jobs de recepción/autorización
+ *       lo envían al SRI.
+ *
+ *       Se rechaza si el valor supera el saldo no acreditado de la factura
+ *       (importe total menos las notas de crédito previas no devueltas, rechazadas ni en ERROR).
+ *     tags:
+ *       - Facturación
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clave_acceso
+ *               - motivo
+ *               - items
+ *             properties:
+ *               clave_acceso:
+ *                 type: string
+ *                 pattern: '^\d{49}$'
+ *                 description: "Clave de acceso de la factura que se modifica."
+ *                 example: "2406202401179214673900110010010000000011234567813"
+ *               motivo:
+ *                 type: string
+ *                 maxLength: 300
+ *                 example: "Devolución de mercadería"
+ *               establecimiento:
+ *                 type: string
+ *                 description: "Opcional. Por defecto el establecimiento de la factura original."
+ *                 example: "001"
+ *               punto_emision:
+ *                 type: string
+ *                 description: "Opcional. Por defecto el punto de emisión de la factura original."
+ *                 example: "001"
+ *               items:
+ *                 type: array
+ *                 description: "Líneas devueltas, mismo formato que los items de la factura."
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - descripcion
+ *                     - cantidad
+ *                     - precioUnitario
+ *                   properties:
+ *                     codigo:
+ *                       type: string
+ *                       example: "SKU-001"
+ *                     descripcion:
+ *                       type: string
+ *                       example: "Servicio de consultoría"
+ *                     cantidad:
+ *                       type: number
+ *                       example: 1
+ *                     precioUnitario:
+ *                       type: number
+ *                       example: 100.00
+ *                     tarifaIva:
+ *                       type: number
+ *                       example: 15
+ *     responses:
+ *       201:
+ *         description: Nota de crédito firmada y en cola de envío al SRI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                   example: true
+ *                 claveAcceso:
+ *                   type: string
+ *                   example: "2406202404179214673900110010010000000011234567812"
+ *                 estado:
+ *                   type: string
+ *                   example: "FIRMADO"
+ *                 factura_modificada:
+ *                   type: string
+ *                   example: "2406202401179214673900110010010000000011234567813"
+ *                 saldo_restante:
+ *                   type: string
+ *                   example: "15.00"
+ *       400:
+ *         description: Datos faltantes o el valor excede el saldo no acreditado de la factura
+ *       402:
+ *         description: Créditos insuficientes
+ *       404:
+ *         description: Factura original o punto de emisión no encontrado
+ *       409:
+ *         description: La factura original no está AUTORIZADA o su saldo se consumió durante la emisión
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/credit-note', apiKeyAuth, emitirNotaCreditoCore);
+
+/**
+ * @openapi
+ * /integrations/debit-note:
+ *   post:
+ *     summary: Emitir una nota de débito sobre una factura autorizada
+ *     description: |
+ *       Genera y firma una nota de débito (codDoc 05, esquema v1.0.0) para cobrar intereses
+ *       por mora, recargos u otros valores sobre una factura `AUTORIZADO` del emisor.
+ *       Cada motivo se grava con el IVA indicado (mismos códigos que la factura).
+ *       El comprobante queda en estado `FIRMADO` y los jobs lo envían al SRI.
+ *     tags:
+ *       - Facturación
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clave_acceso
+ *               - motivos
+ *             properties:
+ *               clave_acceso:
+ *                 type: string
+ *                 pattern: '^\d{49}$'
+ *                 description: "Clave de acceso de la factura que se modifica."
+ *                 example: "2406202401179214673900110010010000000011234567813"
+ *               establecimiento:
+ *                 type: string
+ *                 description: "Opcional. Por defecto el establecimiento de la factura original."
+ *                 example: "001"
+ *               punto_emision:
+ *                 type: string
+ *                 description: "Opcional. Por defecto el punto de emisión de la factura original."
+ *                 example: "001"
+ *               tarifaIva:
+ *                 type: number
+ *                 description: "Tarifa de IVA por defecto para los motivos (0 si se omite)."
+ *                 example: 15
+ *               motivos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - razon
+ *                     - valor
+ *                   properties:
+ *                     razon:
+ *                       type: string
+ *                       example: "Interés por mora 30 días"
+ *                     valor:
+ *                       type: number
+ *                       example: 12.50
+ *                     tarifaIva:
+ *                       type: number
+ *                       description: "Sobrescribe la tarifa general para este motivo."
+ *                       example: 15
+ *               pagos:
+ *                 type: array
+ *                 description: "Opcional. Formas de pago según catálogo SRI."
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Nota de débito firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o motivos inválidos
+ *       402:
+ *         description: Créditos insuficientes
+ *       404:
+ *         description: Factura original o punto de emisión no encontrado
+ *       409:
+ *         description: La factura original no está AUTORIZADA
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/debit-note', apiKeyAuth, emitirNotaDebitoCore);
+
+/**
+ * @openapi
+ * /integrations/retention:
+ *   post:
+ *     summary: Emitir un comprobante de retención
+ *     description: |
+ *       Genera y firma un comprobante de retención (codDoc 07, esquema v2.0.0) sobre uno o
+ *       varios documentos del proveedor. Cada código de retención se valida contra el catálogo
+ *       del SRI (Renta e IVA) y el valor retenido se calcula con el porcentaje oficial.
+ *       El comprobante queda en estado `FIRMADO` y los jobs lo envían al SRI.
+ *     tags:
+ *       - Facturación
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - establecimiento
+ *               - punto_emision
+ *               - sujeto_retenido
+ *               - docs_sustento
+ *             properties:
+ *               establecimiento:
+ *                 type: string
+ *                 example: "001"
+ *               punto_emision:
+ *                 type: string
+ *                 example: "001"
+ *               periodo_fiscal:
+ *                 type: string
+ *                 description: "MM/yyyy. Por defecto el mes actual."
+ *                 example: "06/2024"
+ *               sujeto_retenido:
+ *                 type: object
+ *                 required:
+ *                   - tipo_id
+ *                   - identificacion
+ *                   - razon_social
+ *                 properties:
+ *                   tipo_id:
+ *                     type: string
+ *                     enum: ["04", "05", "06", "08"]
+ *                     example: "04"
+ *                   identificacion:
+ *                     type: string
+ *                     example: "1792146739001"
+ *                   razon_social:
+ *                     type: string
+ *                     example: "PROVEEDOR S.A."
+ *                   tipo_sujeto:
+ *                     type: string
+ *                     description: "Solo para tipo_id 08: 01 persona natural, 02 sociedad."
+ *                   parte_relacionada:
+ *                     type: boolean
+ *                     example: false
+ *                   email:
+ *                     type: string
+ *                     example: "proveedor@correo.com"
+ *               docs_sustento:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - num_doc
+ *                     - fecha_emision
+ *                     - importe_total
+ *                     - impuestos
+ *                     - retenciones
+ *                   properties:
+ *                     cod_sustento:
+ *                       type: string
+ *                       example: "01"
+ *                     cod_doc:
+ *                       type: string
+ *                       description: "Tipo del documento del proveedor (01 factura, 03 liquidación...)."
+ *                       example: "01"
+ *                     num_doc:
+ *                       type: string
+ *                       example: "001-001-000000123"
+ *                     fecha_emision:
+ *                       type: string
+ *                       example: "15/06/2024"
+ *                     num_autorizacion:
+ *                       type: string
+ *                     total_sin_impuestos:
+ *                       type: number
+ *                       example: 100.00
+ *                     importe_total:
+ *                       type: number
+ *                       example: 115.00
+ *                     impuestos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tarifa_iva:
+ *                             type: number
+ *                             example: 15
+ *                           base_imponible:
+ *                             type: number
+ *                             example: 100.00
+ *                     retenciones:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         required:
+ *                           - impuesto
+ *                           - codigo_retencion
+ *                           - base_imponible
+ *                         properties:
+ *                           impuesto:
+ *                             type: string
+ *                             enum: ["RENTA", "IVA"]
+ *                           codigo_retencion:
+ *                             type: string
+ *                             example: "312"
+ *                           base_imponible:
+ *                             type: number
+ *                             example: 100.00
+ *                           porcentaje:
+ *                             type: number
+ *                             description: "Obligatorio solo para códigos de porcentaje variable (346)."
+ *                     pagos:
+ *                       type: array
+ *                       description: "Opcional. Por defecto un pago 20 por el importe total."
+ *                       items:
+ *                         type: object
+ *     responses:
+ *       201:
+ *         description: Retención firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o códigos de retención inválidos (detalle en `errores`)
+ *       402:
+ *         description: Créditos insuficientes
+ *       404:
+ *         description: Punto de emisión no encontrado
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/retention', apiKeyAuth, emitirRetencionCore);
+
+/**
+ * @openapi
+ * /integrations/waybill:
+ *   post:
+ *     summary: Emitir una guía de remisión
+ *     description: |
+ *       Genera y firma una guía de remisión (codDoc 06, esquema v1.1.0) para el traslado de
+ *       mercadería entre establecimientos o hacia clientes. Cada destinatario puede enlazar una
+ *       factura del emisor con `factura_clave_acceso`: se toman de ella el comprador, el número
+ *       de comprobante de venta y, si no se envían, los detalles.
+ *       El comprobante queda en estado `FIRMADO` y los jobs lo envían al SRI.
+ *     tags:
+ *       - Facturación
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - establecimiento
+ *               - punto_emision
+ *               - transportista
+ *               - placa
+ *               - destinatarios
+ *             properties:
+ *               establecimiento:
+ *                 type: string
+ *                 example: "001"
+ *               punto_emision:
+ *                 type: string
+ *                 example: "001"
+ *               dir_partida:
+ *                 type: string
+ *                 description: "Dirección de partida. Por defecto la del establecimiento."
+ *                 example: "Bodega Norte, Av. Eloy Alfaro"
+ *               transportista:
+ *                 type: object
+ *                 required:
+ *                   - tipo_id
+ *                   - identificacion
+ *                   - razon_social
+ *                 properties:
+ *                   tipo_id:
+ *                     type: string
+ *                     enum: ["04", "05", "06", "08"]
+ *                     example: "05"
+ *                   identificacion:
+ *                     type: string
+ *                     example: "1712345678"
+ *                   razon_social:
+ *                     type: string
+ *                     example: "JUAN PÉREZ"
+ *               placa:
+ *                 type: string
+ *                 example: "PBC-1234"
+ *               fecha_inicio_transporte:
+ *                 type: string
+ *                 description: "dd/MM/yyyy. Por defecto hoy."
+ *                 example: "15/06/2024"
+ *               fecha_fin_transporte:
+ *                 type: string
+ *                 description: "dd/MM/yyyy. Por defecto la fecha de inicio."
+ *                 example: "16/06/2024"
+ *               email:
+ *                 type: string
+ *                 description: "Opcional. Correo al que se envía la guía autorizada."
+ *               destinatarios:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - direccion
+ *                     - motivo_traslado
+ *                   properties:
+ *                     factura_clave_acceso:
+ *                       type: string
+ *                       description: "Opcional. Factura del emisor que sustenta el traslado."
+ *                     identificacion:
+ *                       type: string
+ *                       example: "1790011674001"
+ *                     razon_social:
+ *                       type: string
+ *                       description: "Requerida si no se enlaza una factura."
+ *                       example: "CLIENTE S.A."
+ *                     direccion:
+ *                       type: string
+ *                       example: "Guayaquil, Av. 9 de Octubre"
+ *                     motivo_traslado:
+ *                       type: string
+ *                       example: "Venta"
+ *                     ruta:
+ *                       type: string
+ *                       example: "Quito - Guayaquil"
+ *                     cod_estab_destino:
+ *                       type: string
+ *                       example: "002"
+ *                     doc_aduanero:
+ *                       type: string
+ *                     detalles:
+ *                       type: array
+ *                       description: "Requeridos si no se enlaza una factura."
+ *                       items:
+ *                         type: object
+ *                         required:
+ *                           - descripcion
+ *                           - cantidad
+ *                         properties:
+ *                           codigo_interno:
+ *                             type: string
+ *                             example: "PROD-001"
+ *                           codigo_adicional:
+ *                             type: string
+ *                           descripcion:
+ *                             type: string
+ *                             example: "Cemento 50kg"
+ *                           cantidad:
+ *                             type: number
+ *                             example: 20
+ *     responses:
+ *       201:
+ *         description: Guía firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o inválidos (detalle en `errores`)
+ *       402:
+ *         description: Créditos insuficientes
+ *       404:
+ *         description: Punto de emisión o factura enlazada no encontrado
+ *       409:
+ *         description: La factura enlazada fue DEVUELTA o RECHAZADA por el SRI
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/waybill', apiKeyAuth, emitirGuiaRemisionCore);
+
+/**
+ * @openapi
+ * /integrations/purchase-settlement:
+ *   post:
+ *     summary: Emitir una liquidación de compra de bienes y prestación de servicios
+ *     description: |
+ *       Genera y firma una liquidación de compra (codDoc 03, esquema v1.1.0) para compras a
+ *       personas que no pueden emitir factura (agricultores, proveedores informales).
+ *       Los items y el IVA se calculan igual que en `POST /integrations/invoice`.
+ *       La identificación del proveedor se valida (cédula módulo 10, RUC, pasaporte o exterior).
+ *       El comprobante queda en estado `FIRMADO` y los jobs lo envían al SRI.
+ *     tags:
+ *       - Facturación
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - establecimiento
+ *               - punto_emision
+ *               - proveedor
+ *               - items
+ *             properties:
+ *               establecimiento:
+ *                 type: string
+ *                 example: "001"
+ *               punto_emision:
+ *                 type: string
+ *                 example: "001"
+ *               proveedor:
+ *                 type: object
+ *                 required:
+ *                   - tipo_id
+ *                   - identificacion
+ *                   - razon_social
+ *                 properties:
+ *                   tipo_id:
+ *                     type: string
+ *                     enum: ["04", "05", "06", "08"]
+ *                     example: "05"
+ *                   identificacion:
+ *                     type: string
+ *                     example: "1710034065"
+ *                   razon_social:
+ *                     type: string
+ *                     example: "MARÍA LÓPEZ"
+ *                   direccion:
+ *                     type: string
+ *                     example: "Recinto La Unión, Quevedo"
+ *                   email:
+ *                     type: string
+ *                     example: "proveedor@correo.com"
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - descripcion
+ *                     - cantidad
+ *                     - precioUnitario
+ *                   properties:
+ *                     codigoPrincipal:
+ *                       type: string
+ *                       example: "CACAO-QQ"
+ *                     descripcion:
+ *                       type: string
+ *                       example: "Cacao en grano (quintal)"
+ *                     cantidad:
+ *                       type: number
+ *                       example: 10
+ *                     precioUnitario:
+ *                       type: number
+ *                       example: 120.00
+ *                     descuento:
+ *                       type: number
+ *                       example: 0
+ *                     tarifaIva:
+ *                       type: number
+ *                       example: 0
+ *               pagos:
+ *                 type: array
+ *                 description: "Opcional. Por defecto un pago 01 por el importe total."
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Liquidación firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o identificación del proveedor inválida
+ *       402:
+ *         description: Créditos insuficientes
+ *       404:
+ *         description: Punto de emisión no encontrado
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/purchase-settlement', apiKeyAuth, emitirLiquidacionCompraCore);
+
+/**
+ * @openapi
+ * /integrations/tax-catalog:
+ *   get:
+ *     summary: Catálogo de impuestos del SRI (IVA, ICE, IRBPNR)
+ *     description: "Códigos y tarifas admitidos en los items; pensado para armar selectores en los frontends."
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Catálogo agrupado por impuesto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     iva:
+ *                       type: object
+ *                       properties:
+ *                         codigo:
+ *                           type: string
+ *                           example: "2"
+ *                         tarifas:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               codigoPorcentaje:
+ *                                 type: string
+ *                                 example: "4"
+ *                               tarifa:
+ *                                 type: number
+ *                                 example: 15
+ *                               descripcion:
+ *                                 type: string
+ *                                 example: "IVA 15%"
+ *                     ice:
+ *                       type: object
+ *                     irbpnr:
+ *                       type: object
+ */
+router.get('/tax-catalog', apiKeyAuth, (req, res) => {
+    res.json({ ok: true, data: catalogoImpuestos() });
+});
+
 module.exports = router;
\ No newline at end of file
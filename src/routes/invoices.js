@@ -2,13 +2,31 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../database/index');
 const { authMiddleware } = require('../middlewares/auth');
-const { calcularTotalesEImpuestos } = require('../utils/calculadoraSri');
+const { FACTURA, opcionesDeCalculo, calcularTotalesEImpuestos } = require('../utils/calculadoraSri');
+const { validarEntrada } = require('../services/emisionService');
+const { emitirNotaCreditoCore } = require('../utils/notaCreditoSri');
+const { emitirNotaDebitoCore } = require('../utils/notaDebitoSri');
+const { emitirRetencionCore } = require('../utils/retencionSri');
+const { emitirGuiaRemisionCore } = require('../utils/guiaRemisionSri');
+const { emitirLiquidacionCompraCore } = require('../utils/liquidacionCompraSri');
+const { obtenerTipoDocumento } = require('../utils/tiposDocumento');
+const { catalogoImpuestos } = require('../utils/codigosImpuesto');
+const { errorSriDeFactura } = require('../utils/erroresSri');
+const { DateTime } = require('luxon');
 
 /**
  * @openapi
  * /invoices/emit:
  *   post:
  *     summary: Emitir una factura electrónica
+ *     description: |
+ *       Registra la factura en estado `PENDIENTE`. El worker de firma le asigna el secuencial,
+ *       firma el XML, genera el RIDE y la deja `FIRMADO` (el crédito se cobra en ese momento);
+ *       desde ahí siguen la recepción y la autorización del SRI. Si los datos no permiten
+ *       emitirla, o la firma o la recepción fallan tras agotar los reintentos, queda en `ERROR`
+ *       con el motivo en `mensajes_sri` (si el SRI no llegó a recibirla se devuelve el crédito).
+ *       Si lo que se agota es la consulta de autorización, sigue `RECIBIDA` con el motivo en
+ *       `mensajes_sri` y se vuelve a consultar más tarde.
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
@@ -34,11 +52,31 @@ const { calcularTotalesEImpuestos } = require('../utils/calculadoraSri');
  *               punto_emision:
  *                 type: string
  *                 description: Código del punto de emisión (default 100)
+ *               precios_incluyen_iva:
+ *                 type: boolean
+ *                 description: Los precios y descuentos de los items ya incluyen IVA (default false)
  *               pagos:
  *                 type: array
- *                 description: Formas de pago
+ *                 description: Formas de pago (tabla 24 del SRI); deben sumar el importe total. Si se omiten, un único pago '01' por el total
  *                 items:
  *                   type: object
+ *               propina:
+ *                 type: number
+ *                 description: Propina o cargo por servicio en dólares (máximo 10% del subtotal sin impuestos); se suma al importe total
+ *               propina_porcentaje:
+ *                 type: number
+ *                 description: Alternativa a propina, como porcentaje del subtotal sin impuestos (0 a 10)
+ *               info_adicional:
+ *                 type: array
+ *                 description: "Hasta 15 pares { nombre, valor } (1 a 300 caracteres) para el infoAdicional del comprobante. Cada item admite además hasta 3 detalles_adicionales con el mismo formato"
+ *                 items:
+ *                   type: object
+ *               exportacion:
+ *                 type: object
+ *                 description: "Factura de exportación: incoterm, lugar_incoterm, pais_origen, puerto_embarque, puerto_destino, pais_destino (requeridos), pais_adquisicion, flete_internacional, seguro_internacional, gastos_aduaneros, gastos_transporte_otros. Solo para compradores con tipo_id 08 e items con IVA 0%"
+ *               reembolso:
+ *                 type: object
+ *                 description: "Factura por reembolso de gastos: documentos de terceros (proveedor, cod_doc, num_doc, fecha_emision, num_autorizacion, impuestos con tarifa_iva y base_imponible). Sus bases e impuestos deben cuadrar con los de la factura"
  *     responses:
  *       200:
  *         description: Factura recibida y en cola de procesamiento
@@ -57,7 +95,7 @@ const { calcularTotalesEImpuestos } = require('../utils/calculadoraSri');
  *                   type: string
  *                   example: PENDIENTE
  *       400:
- *         description: Datos faltantes, firma no subida o expirada
+ *         description: "Datos faltantes, items inválidos (incluye tarifas de IVA fuera del catálogo), comprador inválido, pagos que no suman el importe total, información adicional fuera de los límites del SRI, datos de exportación inválidos, reembolsos que no cuadran, propina mayor al 10% del subtotal, firma no subida o expirada. `errores` lista `{ campo, mensaje }`"
  *       402:
  *         description: Saldo de créditos insuficiente
  *       403:
@@ -74,14 +112,18 @@ router.post('/emit', authMiddleware, async (req, res) => {
         return res.status(403).json({ ok: false, mensaje: "Emisor no identificado en la sesión." });
     }
 
-    const { cliente, items, establecimiento, punto_emision, pagos } = req.body;
+    const { cliente, items, establecimiento, punto_emision } = req.body;
 
     // 2. Validación básica de integridad
-    if (!cliente || !items || items.length === 0) {
+    if (!cliente || !Array.isArray(items) || items.length === 0) {
         return res.status(400).json({ ok: false, mensaje: "Datos del cliente o items faltantes." });
     }
 
     try {
+        // Mismas reglas que aplicará el worker de firma al emitirla (FACTURA.validar)
+        const invalido = validarEntrada(FACTURA, req.body, { ahora: DateTime.now().setZone('America/Guayaquil') });
+        if (invalido) return res.status(invalido.status).json(invalido.body);
+
         // 3. Verificar créditos y estado del P12 del emisor
         const emisorRes = await pool.query(
             `SELECT e.ruc, e.p12_path, e.p12_expiration, c.balance 
@@ -98,7 +140,7 @@ router.post('/emit', authMiddleware, async (req, res) => {
         if (new Date(emisor.p12_expiration) < new Date()) return res.status(400).json({ ok: false, mensaje: "Tu firma electrónica ha expirado." });
 
         // 4. Calcular impuestos y totales localmente
-        const calculos = calcularTotalesEImpuestos(items);
+        const calculos = calcularTotalesEImpuestos(items, opcionesDeCalculo(req.body));
 
         // 5. Buscar el ID del punto de emisión solicitado
         const ptoRes = await pool.query(
@@ -147,17 +189,333 @@ router.post('/emit', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /invoices/credit-note:
+ *   post:
+ *     summary: Emitir una nota de crédito sobre una factura autorizada
+ *     description: |
+ *       Mismo contrato que `POST /integrations/credit-note`, autenticado con la sesión
+ *       Firebase del emisor.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [clave_acceso, motivo, items]
+ *             properties:
+ *               clave_acceso:
+ *                 type: string
+ *                 description: Clave de acceso de la factura que se modifica
+ *               motivo:
+ *                 type: string
+ *                 description: Razón de la modificación
+ *               establecimiento:
+ *                 type: string
+ *                 description: Opcional, por defecto el de la factura original
+ *               punto_emision:
+ *                 type: string
+ *                 description: Opcional, por defecto el de la factura original
+ *               items:
+ *                 type: array
+ *                 description: Líneas devueltas
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Nota de crédito firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o el valor excede el saldo no acreditado de la factura
+ *       402:
+ *         description: Saldo de créditos insuficiente
+ *       404:
+ *         description: Factura original o punto de emisión no encontrado
+ *       409:
+ *         description: La factura original no está AUTORIZADA
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/credit-note', authMiddleware, emitirNotaCreditoCore);
+
+/**
+ * @openapi
+ * /invoices/debit-note:
+ *   post:
+ *     summary: Emitir una nota de débito sobre una factura autorizada
+ *     description: |
+ *       Mismo contrato que `POST /integrations/debit-note`, autenticado con la sesión
+ *       Firebase del emisor.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [clave_acceso, motivos]
+ *             properties:
+ *               clave_acceso:
+ *                 type: string
+ *                 description: Clave de acceso de la factura que se modifica
+ *               tarifaIva:
+ *                 type: number
+ *                 description: Tarifa de IVA por defecto para los motivos
+ *               motivos:
+ *                 type: array
+ *                 description: Razones y valores a cobrar
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Nota de débito firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o motivos inválidos
+ *       402:
+ *         description: Saldo de créditos insuficiente
+ *       404:
+ *         description: Factura original o punto de emisión no encontrado
+ *       409:
+ *         description: La factura original no está AUTORIZADA
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/debit-note', authMiddleware, emitirNotaDebitoCore);
+
+/**
+ * @openapi
+ * /invoices/retention:
+ *   post:
+ *     summary: Emitir un comprobante de retención
+ *     description: |
+ *       Mismo contrato que `POST /integrations/retention`, autenticado con la sesión
+ *       Firebase del emisor.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [establecimiento, punto_emision, sujeto_retenido, docs_sustento]
+ *             properties:
+ *               establecimiento:
+ *                 type: string
+ *               punto_emision:
+ *                 type: string
+ *               periodo_fiscal:
+ *                 type: string
+ *                 description: MM/yyyy, por defecto el mes actual
+ *               sujeto_retenido:
+ *                 type: object
+ *               docs_sustento:
+ *                 type: array
+ *                 description: Documentos del proveedor con sus retenciones
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Retención firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o códigos de retención inválidos
+ *       402:
+ *         description: Saldo de créditos insuficiente
+ *       404:
+ *         description: Punto de emisión no encontrado
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/retention', authMiddleware, emitirRetencionCore);
+
+/**
+ * @openapi
+ * /invoices/waybill:
+ *   post:
+ *     summary: Emitir una guía de remisión
+ *     description: |
+ *       Mismo contrato que `POST /integrations/waybill`, autenticado con la sesión
+ *       Firebase del emisor.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [establecimiento, punto_emision, transportista, placa, destinatarios]
+ *             properties:
+ *               establecimiento:
+ *                 type: string
+ *               punto_emision:
+ *                 type: string
+ *               transportista:
+ *                 type: object
+ *               placa:
+ *                 type: string
+ *               fecha_inicio_transporte:
+ *                 type: string
+ *                 description: dd/MM/yyyy, por defecto hoy
+ *               fecha_fin_transporte:
+ *                 type: string
+ *                 description: dd/MM/yyyy, por defecto la fecha de inicio
+ *               destinatarios:
+ *                 type: array
+ *                 description: Destinatarios con sus detalles o factura enlazada
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Guía firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o inválidos
+ *       402:
+ *         description: Saldo de créditos insuficiente
+ *       404:
+ *         description: Punto de emisión o factura enlazada no encontrado
+ *       409:
+ *         description: La factura enlazada fue DEVUELTA o RECHAZADA
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/waybill', authMiddleware, emitirGuiaRemisionCore);
+
+/**
+ * @openapi
+ * /invoices/purchase-settlement:
+ *   post:
+ *     summary: Emitir una liquidación de compra
+ *     description: |
+ *       Mismo contrato que `POST /integrations/purchase-settlement`, autenticado con la sesión
+ *       Firebase del emisor.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [establecimiento, punto_emision, proveedor, items]
+ *             properties:
+ *               establecimiento:
+ *                 type: string
+ *               punto_emision:
+ *                 type: string
+ *               proveedor:
+ *                 type: object
+ *                 description: tipo_id, identificacion, razon_social, direccion, email
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               pagos:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Liquidación firmada y en cola de envío al SRI
+ *       400:
+ *         description: Datos faltantes o identificación del proveedor inválida
+ *       402:
+ *         description: Saldo de créditos insuficiente
+ *       404:
+ *         description: Punto de emisión no encontrado
+ *       422:
+ *         description: El XML generado no cumple el XSD del SRI; `errores` lista ruta y mensaje de cada violación
+ *       500:
+ *         description: Error interno
+ */
+router.post('/purchase-settlement', authMiddleware, emitirLiquidacionCompraCore);
+
+/**
+ * @openapi
+ * /invoices/tax-catalog:
+ *   get:
+ *     summary: Catálogo de impuestos del SRI (IVA, ICE, IRBPNR)
+ *     description: "Códigos y tarifas admitidos en los items; pensado para armar selectores en los frontends."
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Catálogo agrupado por impuesto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     iva:
+ *                       type: object
+ *                       properties:
+ *                         codigo:
+ *                           type: string
+ *                           example: "2"
+ *                         tarifas:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               codigoPorcentaje:
+ *                                 type: string
+ *                                 example: "4"
+ *                               tarifa:
+ *                                 type: number
+ *                                 example: 15
+ *                               descripcion:
+ *                                 type: string
+ *                                 example: "IVA 15%"
+ *                     ice:
+ *                       type: object
+ *                     irbpnr:
+ *                       type: object
+ */
+router.get('/tax-catalog', authMiddleware, (req, res) => {
+    res.json({ ok: true, data: catalogoImpuestos() });
+});
+
 /**
  * @openapi
  * /invoices/history:
  *   get:
- *     summary: Obtener historial de facturas del emisor
+ *     summary: Obtener historial de comprobantes del emisor
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['01', '03', '04', '05', '06', '07']
+ *         description: Filtra por tipo de comprobante (codDoc SRI)
  *     responses:
  *       200:
- *         description: Listado de las últimas 50 facturas
+ *         description: Listado de los últimos 50 comprobantes
  *         content:
  *           application/json:
  *             schema:
@@ -172,10 +530,17 @@ router.post('/emit', authMiddleware, async (req, res) => {
  *                     properties:
  *                       id:
  *                         type: integer
+ *                       tipo_documento:
+ *                         type: string
+ *                         example: "01"
  *                       clave_acceso:
  *                         type: string
  *                       estado:
  *                         type: string
+ *                       error_sri:
+ *                         description: "Error principal del SRI si el comprobante fue DEVUELTA/RECHAZADO; null en otro caso."
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/ErrorSri'
  *                       importe_total:
  *                         type: number
  *                       created_at:
@@ -188,14 +553,24 @@ router.post('/emit', authMiddleware, async (req, res) => {
  */
 router.get('/history', authMiddleware, async (req, res) => {
     try {
+        const { tipo } = req.query;
+        if (tipo && !obtenerTipoDocumento(tipo)) {
+            return res.status(400).json({ ok: false, mensaje: `Tipo de comprobante '${tipo}' no soportado.` });
+        }
+
         const result = await pool.query(
-            `SELECT id, clave_acceso, estado, importe_total, created_at, pdf_path 
+            `SELECT id, tipo_documento, clave_acceso, estado, importe_total, created_at, pdf_path,
+                    sri_error_codigo, sri_error_mensaje, sri_error_info
              FROM invoices 
-             WHERE emisor_id = $1 
+             WHERE emisor_id = $1 AND ($2::text IS NULL OR tipo_documento = $2)
              ORDER BY created_at DESC LIMIT 50`,
-            [req.emisor_id]
+            [req.emisor_id, tipo || null]
         );
-        res.json({ ok: true, data: result.rows });
+        const data = result.rows.map(({ sri_error_codigo, sri_error_mensaje, sri_error_info, ...fila }) => ({
+            ...fila,
+            error_sri: errorSriDeFactura({ sri_error_codigo, sri_error_mensaje, sri_error_info })
+        }));
+        res.json({ ok: true, data });
     } catch (error) {
         res.status(500).json({ ok: false, error: error.message });
     }
@@ -5,6 +5,8 @@ const pool = require('../database/index');
 const { minioClient } = require('../services/storageService');
 const publicAuth = require('../middlewares/publicAuth');
 const { URLSearchParams } = require('url'); // Viene con Node.js
+const { obtenerTipoDocumento } = require('../utils/tiposDocumento');
+const { errorSriDeFactura, mensajesSriDescritos } = require('../utils/erroresSri');
 
 require('dotenv').config();
 // ── Descarga PDF ──────────────────────────────────────────────────────────────
@@ -24,7 +26,7 @@ require('dotenv').config();
  *       200:
  *         description: Archivo PDF del comprobante
  *       404:
- *         description: Factura no encontrada
+ *         description: Comprobante no encontrado
  */
 router.get('/pdf/:claveAcceso', publicAuth, async (req, res) => {
   const { claveAcceso } = req.params;
@@ -34,7 +36,7 @@ router.get('/pdf/:claveAcceso', publicAuth, async (req, res) => {
       "SELECT pdf_path FROM invoices WHERE clave_acceso = $1",
       [claveAcceso]
     );
-    if (result.rowCount === 0) return res.status(404).send('Factura no encontrada');
+    if (result.rowCount === 0) return res.status(404).send('Comprobante no encontrado');
     const [bucket, ...pathParts] = result.rows[0].pdf_path.split('/');
     const stream = await minioClient.getObject(bucket, pathParts.join('/'));
     res.setHeader('Content-Type', 'application/pdf');
@@ -73,7 +75,7 @@ router.get('/xml/:claveAcceso', publicAuth, async (req, res) => {
       "SELECT xml_path FROM invoices WHERE clave_acceso = $1",
       [claveAcceso]
     );
-    if (result.rowCount === 0) return res.status(404).send('Factura no encontrada');
+    if (result.rowCount === 0) return res.status(404).send('Comprobante no encontrado');
     const [bucket, ...pathParts] = result.rows[0].xml_path.split('/');
     const stream = await minioClient.getObject(bucket, pathParts.join('/'));
     res.setHeader('Content-Type', 'application/xml');
@@ -192,6 +194,15 @@ router.get('/xml/:claveAcceso', publicAuth, async (req, res) => {
  *                     mensaje_usuario:
  *                       type: string
  *                       example: "El comprobante se encuentra en estado: DEVUELTA"
+ *                     error_sri:
+ *                       description: "Solo DEVUELTA/RECHAZADO: error principal del SRI con su explicación."
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ErrorSri'
+ *                     detalles_sri:
+ *                       type: array
+ *                       description: "Solo DEVUELTA/RECHAZADO: todos los mensajes del SRI, descritos con el catálogo."
+ *                       items:
+ *                         $ref: '#/components/schemas/ErrorSri'
  *       400:
  *         description: Bot detectado por honeypot o formato de clave de acceso inválido
  *         content:
@@ -285,7 +296,8 @@ router.post('/consultar/:claveAcceso', publicAuth, async (req, res) => {
     // --- LOGICA DE BASE DE DATOS ---
     const query = `
       SELECT 
-        i.clave_acceso, i.secuencial, i.fecha_emision, i.estado, i.mensajes_sri,
+        i.clave_acceso, i.tipo_documento, i.secuencial, i.fecha_emision, i.estado, i.mensajes_sri,
+        i.sri_error_codigo, i.sri_error_mensaje, i.sri_error_info,
         i.razon_social_comprador, i.identificacion_comprador,
         i.importe_total, i.subtotal_iva, i.subtotal_0, i.valor_iva,
         e.razon_social as emisor_nombre, e.ruc as emisor_ruc
@@ -299,7 +311,7 @@ router.post('/consultar/:claveAcceso', publicAuth, async (req, res) => {
     if (result.rowCount === 0) {
       return res.status(404).json({
         success: false,
-        mensaje_usuario: 'La factura no existe en nuestro sistema. Verifique la clave de acceso.'
+        mensaje_usuario: 'El comprobante no existe en nuestro sistema. Verifique la clave de acceso.'
       });
     }
 
@@ -313,6 +325,7 @@ router.post('/consultar/:claveAcceso', publicAuth, async (req, res) => {
           estado: 'AUTORIZADO',
           data: {
             cabecera: {
+              tipo: (obtenerTipoDocumento(factura.tipo_documento) || {}).nombre,
               emisor: factura.emisor_nombre,
               ruc: factura.emisor_ruc,
               nro: factura.secuencial,
@@ -340,7 +353,8 @@ router.post('/consultar/:claveAcceso', publicAuth, async (req, res) => {
           success: false,
           estado: factura.estado,
           mensaje_usuario: 'La factura presenta inconsistencias y fue devuelta/rechazada por el SRI.',
-          detalles_sri: factura.mensajes_sri,
+          error_sri: errorSriDeFactura(factura),
+          detalles_sri: mensajesSriDescritos(factura.mensajes_sri),
           sugerencia: `Por favor, contacta al emisor (${factura.emisor_nombre}) para solucionar este inconveniente.`
         });
 
@@ -0,0 +1,190 @@
+const os = require('os');
+const pool = require('../database/index');
+
+/**
+ * Cola durable de trabajos del SRI sobre la tabla `sri_jobs` (migraciones 002 y 003).
+ * Los trabajos los crea un trigger al pasar un comprobante a PENDIENTE (FIRMA),
+ * FIRMADO (RECEPCION) o RECIBIDA (AUTORIZACION); aquí solo se reclaman, completan o fallan.
+ *
+ * Cada reclamo toma UN trabajo con FOR UPDATE SKIP LOCKED y lo deja EN_PROCESO con
+ * un plazo de visibilidad (locked_until). Si el proceso muere, el trabajo vuelve a
+ * quedar disponible al vencer el plazo; al agotar max_intentos pasa a MUERTO.
+ */
+
+const TIPO_TRABAJO = { FIRMA: 'FIRMA', RECEPCION: 'RECEPCION', AUTORIZACION: 'AUTORIZACION' };
+
+const VISIBILIDAD_SEG = parseInt(process.env.SRI_JOBS_VISIBILIDAD_SEG, 10) || 300;
+const BACKOFF_BASE_SEG = parseInt(process.env.SRI_JOBS_BACKOFF_BASE_SEG, 10) || 30;
+const BACKOFF_MAX_SEG = parseInt(process.env.SRI_JOBS_BACKOFF_MAX_SEG, 10) || 3600;
+
+// Identifica al proceso dueño del trabajo (útil para depurar varias réplicas)
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// En false durante el apagado: el trabajo en curso termina, pero no se reclaman más
+let aceptandoTrabajos = true;
+
+/**
+ * Deja de reclamar trabajos en este proceso (drenado ante SIGTERM).
+ */
+function dejarDeReclamar() {
+    aceptandoTrabajos = false;
+}
+
+/**
+ * Espera antes del siguiente intento: 30s, 60s, 120s... con tope de 1 hora.
+ */
+function segundosDeEspera(intentos) {
+    return Math.min(BACKOFF_BASE_SEG * 2 ** Math.max(intentos - 1, 0), BACKOFF_MAX_SEG);
+}
+
+/**
+ * Pasa a MUERTO los trabajos EN_PROCESO cuyo plazo venció y que ya agotaron sus
+ * intentos: no se vuelven a reclamar. Devuelve los archivados para que el job
+ * deje constancia en el comprobante.
+ */
+async function archivarVencidos(tipo) {
+    const { rows } = await pool.query(
+        `UPDATE sri_jobs
+            SET estado = 'MUERTO', locked_until = NULL, updated_at = NOW(),
+                ultimo_error = COALESCE(ultimo_error, 'Plazo de visibilidad vencido')
+          WHERE tipo = $1 AND estado = 'EN_PROCESO'
+            AND locked_until < NOW() AND intentos >= max_intentos
+      RETURNING *`,
+        [tipo]
+    );
+    return rows;
+}
+
+/**
+ * Reclama el siguiente trabajo disponible del tipo indicado, o null si no hay
+ * (o si el proceso se está apagando).
+ * Disponibles: PENDIENTE cuyo next_attempt_at ya llegó, o EN_PROCESO con el plazo
+ * de visibilidad vencido (el worker que lo tenía murió o se colgó).
+ */
+async function reclamarTrabajo(tipo) {
+    if (!aceptandoTrabajos) return null;
+
+    const { rows } = await pool.query(
+        `WITH siguiente AS (
+            SELECT id
+              FROM sri_jobs
+             WHERE tipo = $1
+               AND intentos < max_intentos
+               AND ((estado = 'PENDIENTE' AND next_attempt_at <= NOW())
+                 OR (estado = 'EN_PROCESO' AND locked_until < NOW()))
+             ORDER BY next_attempt_at ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+        )
+        UPDATE sri_jobs j
+           SET estado = 'EN_PROCESO',
+               intentos = j.intentos + 1,
+               locked_until = NOW() + make_interval(secs => $2),
+               locked_by = $3,
+               updated_at = NOW()
+          FROM siguiente s
+         WHERE j.id = s.id
+     RETURNING j.*`,
+        [tipo, VISIBILIDAD_SEG, WORKER_ID]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Reclama el trabajo PENDIENTE de un comprobante concreto, sin esperar a su
+ * next_attempt_at. Lo usa el fast-track de la API para enviar la factura recién
+ * firmada en nombre de su trabajo RECEPCION. Devuelve null si no hay trabajo
+ * pendiente (p. ej. ya lo reclamó un worker).
+ */
+async function reclamarTrabajoDe(invoiceId, tipo) {
+    if (!aceptandoTrabajos) return null;
+
+    const { rows } = await pool.query(
+        `WITH trabajo AS (
+            SELECT id
+              FROM sri_jobs
+             WHERE invoice_id = $1 AND tipo = $2
+               AND estado = 'PENDIENTE' AND intentos < max_intentos
+             FOR UPDATE SKIP LOCKED
+        )
+        UPDATE sri_jobs j
+           SET estado = 'EN_PROCESO',
+               intentos = j.intentos + 1,
+               locked_until = NOW() + make_interval(secs => $3),
+               locked_by = $4,
+               updated_at = NOW()
+          FROM trabajo t
+         WHERE j.id = t.id
+     RETURNING j.*`,
+        [invoiceId, tipo, VISIBILIDAD_SEG, WORKER_ID]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Marca el trabajo como terminado. Solo afecta si este worker sigue siendo el dueño
+ * (mismo locked_by e intento): si el plazo venció y otro lo reclamó, no se pisa.
+ */
+async function completarTrabajo(trabajo) {
+    await pool.query(
+        `UPDATE sri_jobs
+            SET estado = 'COMPLETADO', locked_until = NULL, ultimo_error = NULL, updated_at = NOW()
+          WHERE id = $1 AND estado = 'EN_PROCESO' AND locked_by = $2 AND intentos = $3`,
+        [trabajo.id, trabajo.locked_by, trabajo.intentos]
+    );
+}
+
+/**
+ * Registra el fallo del intento: reprograma con backoff exponencial o, si ya no quedan
+ * intentos, lo deja en MUERTO para revisión manual.
+ * @returns {Promise<'REINTENTO'|'MUERTO'>}
+ */
+async function fallarTrabajo(trabajo, error) {
+    const mensaje = (error && error.message) || String(error);
+    const agotado = trabajo.intentos >= trabajo.max_intentos;
+
+    await pool.query(
+        `UPDATE sri_jobs
+            SET estado = $4,
+                next_attempt_at = NOW() + make_interval(secs => $5),
+                locked_until = NULL,
+                ultimo_error = $6,
+                updated_at = NOW()
+          WHERE id = $1 AND estado = 'EN_PROCESO' AND locked_by = $2 AND intentos = $3`,
+        [
+            trabajo.id, trabajo.locked_by, trabajo.intentos,
+            agotado ? 'MUERTO' : 'PENDIENTE',
+            agotado ? 0 : segundosDeEspera(trabajo.intentos),
+            mensaje
+        ]
+    );
+    return agotado ? 'MUERTO' : 'REINTENTO';
+}
+
+/**
+ * Encola un trabajo nuevo para el comprobante, disponible dentro de `segundos`. Lo usa
+ * la autorización al agotar intentos: el SRI ya tiene el comprobante y puede resolverlo
+ * más tarde. No hace nada si ya hay un trabajo vivo del mismo tipo.
+ */
+async function reencolarTrabajo(invoiceId, tipo, segundos) {
+    await pool.query(
+        `INSERT INTO sri_jobs (invoice_id, tipo, next_attempt_at)
+         VALUES ($1, $2, NOW() + make_interval(secs => $3))
+         ON CONFLICT (invoice_id, tipo) WHERE estado IN ('PENDIENTE', 'EN_PROCESO')
+         DO NOTHING`,
+        [invoiceId, tipo, segundos]
+    );
+}
+
+module.exports = {
+    TIPO_TRABAJO,
+    WORKER_ID,
+    segundosDeEspera,
+    dejarDeReclamar,
+    archivarVencidos,
+    reclamarTrabajo,
+    reclamarTrabajoDe,
+    completarTrabajo,
+    fallarTrabajo,
+    reencolarTrabajo
+};
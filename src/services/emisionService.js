@@ -0,0 +1,933 @@
+const pool = require('../database/index');
+const forge = require('node-forge');
+const { create } = require('xmlbuilder2');
+const { DateTime } = require('luxon');
+const { generarClaveAcceso, decrypt } = require('../utils/cryptoUtils');
+const { obtenerTipoDocumento, siguienteSecuencial } = require('../utils/tiposDocumento');
+const { obtenerPuntoEmision } = require('../utils/sustentoSri');
+const { validarEsquema } = require('../utils/esquemaSri');
+const { signInvoiceXmlCustom } = require('./signer');
+const { uploadFile, downloadFile, deleteFile, minioClient } = require('./storageService');
+const { generarPDFStream } = require('./rideService');
+const { REENVIO, modoDeReenvio, errorSriDeFactura } = require('../utils/erroresSri');
+
+/**
+ * Respuesta de error que devuelven los pasos de una definición para cortar la emisión.
+ */
+const rechazo = (status, mensaje, extra = {}) => ({ status, body: { ok: false, mensaje, ...extra } });
+
+/**
+ * Ejecuta `validar` de la definición. Un payload con una forma inesperada (p. ej. items
+ * nulos) puede lanzar dentro de los validadores: se responde 400 en lugar de dejar que la
+ * excepción escape del handler async y tumbe el proceso.
+ */
+function validarEntrada(definicion, body, ctx) {
+    if (!definicion.validar) return null;
+    try {
+        return definicion.validar(body, ctx);
+    } catch (error) {
+        console.warn(`⚠️ Payload con formato inesperado (codDoc ${definicion.codDoc}):`, error.message);
+        return rechazo(400, "El cuerpo de la solicitud no tiene el formato esperado.");
+    }
+}
+
+/**
+ * Selecciona el certificado correcto para firma digital del P12.
+ * Prioriza: digitalSignature + nonRepudiation > solo digitalSignature > primer no-CA.
+ * Compatible con P12s del BCE (2 certs de usuario) y Security Data (1 cert de usuario).
+ */
+function seleccionarCertificadoDeFirma(certBags) {
+    // Log de diagnóstico (comentar en producción)
+    certBags.forEach((bag, i) => {
+        const cert = bag.cert;
+        const ku = cert.getExtension('keyUsage');
+        console.log(`[P12] Cert #${i} | CN: ${cert.subject.getField('CN')?.value} | Serial: ${cert.serialNumber} | CA: ${cert.cA} | KeyUsage: ${ku ? JSON.stringify({ ds: ku.digitalSignature, nr: ku.nonRepudiation, ke: ku.keyEncipherment }) : 'ninguno'}`);
+    });
+
+    // Prioridad 1: digitalSignature + nonRepudiation (firma XAdES — lo que exige el SRI)
+    let target = certBags.find(bag => {
+        if (bag.cert.cA) return false;
+        const ku = bag.cert.getExtension('keyUsage');
+        return ku && ku.digitalSignature === true && ku.nonRepudiation === true;
+    });
+
+    // Prioridad 2: solo digitalSignature (Security Data y otros emiten así)
+    if (!target) {
+        target = certBags.find(bag => {
+            if (bag.cert.cA) return false;
+            const ku = bag.cert.getExtension('keyUsage');
+            return ku && ku.digitalSignature === true;
+        });
+    }
+
+    // Prioridad 3 (fallback): primer certificado que no sea CA
+    if (!target) {
+        target = certBags.find(bag => !bag.cert.cA);
+    }
+
+    if (!target) throw new Error("No se encontró un certificado de firma digital válido en el P12.");
+
+    const certSeleccionado = target.cert;
+    const ku = certSeleccionado.getExtension('keyUsage');
+    console.log(`[P12] ✅ Cert seleccionado: CN=${certSeleccionado.subject.getField('CN')?.value} | Serial=${certSeleccionado.serialNumber} | ds=${ku?.digitalSignature} | nr=${ku?.nonRepudiation}`);
+
+    return target;
+}
+
+/**
+ * Descarga el P12 del emisor desde MinIO y firma el XML (XAdES-BES).
+ * Compartido por todos los comprobantes que emite el motor.
+ */
+async function firmarXmlConP12(xmlString, emisor) {
+    const [bucketP12, ...pathP12] = emisor.p12_path.split('/');
+    const p12Buffer = await downloadFile(bucketP12, pathP12.join('/'));
+    const p12Password = decrypt(emisor.p12_pass);
+    const p12Asn1 = forge.asn1.fromDer(p12Buffer.toString('binary'));
+    const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, p12Password);
+
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
+    const certBag = seleccionarCertificadoDeFirma(certBags);
+    const keyBag = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag][0];
+
+    return signInvoiceXmlCustom(xmlString, certBag, keyBag, p12);
+}
+
+/**
+ * Arma el objeto completo del comprobante (raíz + infoTributaria + nodos del tipo).
+ * El orden de los nodos lo exige el XSD: infoTributaria siempre va primero.
+ */
+function construirComprobante(definicion, tipo, ctx) {
+    const { emisor, puntoEmision } = ctx;
+
+    return {
+        [tipo.raiz]: {
+            '@id': 'comprobante',
+            '@version': tipo.version,
+            infoTributaria: {
+                ambiente: emisor.ambiente,
+                tipoEmision: '1',
+                razonSocial: emisor.razon_social,
+                nombreComercial: puntoEmision.nombre_establecimiento || emisor.nombre_comercial || emisor.razon_social,
+                ruc: emisor.ruc,
+                claveAcceso: ctx.claveAcceso,
+                codDoc: tipo.codDoc,
+                estab: puntoEmision.estab_codigo,
+                ptoEmi: puntoEmision.punto_codigo,
+                secuencial: ctx.secuencial,
+                dirMatriz: emisor.direccion_matriz
+            },
+            ...definicion.construir(ctx)
+        }
+    };
+}
+
+/**
+ * Pipeline único de emisión: secuencial → XML → XSD → firma → RIDE → MinIO → registro.
+ * Sigue los tres bloques de siempre (TX rápida, firma fuera de TX, TX final) y deja
+ * el comprobante FIRMADO para que los jobs lo envíen y autoricen en el SRI.
+ *
+ * Cada tipo aporta una definición con:
+ *  - codDoc                        Tipo registrado en tiposDocumento
+ *  - puntoDesdeSustento            Si el punto de emisión puede omitirse (lo fija `preparar`)
+ *  - validar(body, ctx)            Rechazo o null, antes de tocar la BD
+ *  - preparar(client, ctx)         Rechazo o null, en la TX 1 con los créditos bloqueados
+ *  - construir(ctx)                Nodos del comprobante que siguen a infoTributaria
+ *  - verificar(client, ctx)        Opcional: rechazo o null en la TX final, antes de registrar
+ *  - registro(ctx)                 Columnas propias del tipo en `invoices`
+ *  - despuesDeRegistrar(ctx, xml)  Opcional: acciones post-commit; devuelve el estado final
+ *  - respuesta(ctx, estado)        Campos extra y `mensaje` de la respuesta 201
+ */
+async function emitirComprobante(definicion, req, res) {
+    const tipo = obtenerTipoDocumento(definicion.codDoc);
+    const body = req.body || {};
+    const ctx = {
+        tipo,
+        body,
+        emisorId: req.emisor_id,
+        ahora: DateTime.now().setZone('America/Guayaquil')
+    };
+
+    // Validación estricta de entrada antes de tocar la BD
+    if (!definicion.puntoDesdeSustento && (!body.establecimiento || !body.punto_emision)) {
+        return res.status(400).json({
+            ok: false,
+            mensaje: "Los campos 'establecimiento' y 'punto_emision' son requeridos para la secuencia legal."
+        });
+    }
+    const invalido = validarEntrada(definicion, body, ctx);
+    if (invalido) return res.status(invalido.status).json(invalido.body);
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 1: TX RÁPIDA — Solo lecturas y reservas en BD
+    // ─────────────────────────────────────────────────────────────
+    let xmlString;
+
+    const client = await pool.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // 1. Obtener emisor y bloquear créditos
+        const emisorRes = await client.query(`
+            SELECT e.*, c.balance
+            FROM emisores e
+            JOIN user_credits c ON e.id = c.emisor_id
+            WHERE e.id = $1 FOR UPDATE
+        `, [ctx.emisorId]);
+
+        ctx.emisor = emisorRes.rows[0];
+        if (!ctx.emisor || ctx.emisor.balance <= 0) {
+            await client.query('ROLLBACK');
+            return res.status(402).json({ ok: false, mensaje: "Créditos insuficientes." });
+        }
+
+        // 2. Datos propios del tipo (documento sustento, totales, topes...)
+        const rechazado = definicion.preparar ? await definicion.preparar(client, ctx) : null;
+        if (rechazado) {
+            await client.query('ROLLBACK');
+            return res.status(rechazado.status).json(rechazado.body);
+        }
+
+        // 3. Punto de emisión: el indicado o el que fijó `preparar` (p. ej. el de la factura sustento)
+        ctx.puntoEmision = await obtenerPuntoEmision(client, ctx.emisorId, body, ctx.puntoPorDefectoId);
+        if (!ctx.puntoEmision) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                ok: false,
+                mensaje: `La combinación Establecimiento [${body.establecimiento}] y Punto [${body.punto_emision}] no existe o no te pertenece.`
+            });
+        }
+
+        // 4. Secuencial atómico propio del tipo y clave de acceso
+        ctx.secuencial = await siguienteSecuencial(client, tipo.codDoc, ctx.puntoEmision.punto_id);
+        ctx.claveAcceso = generarClaveAcceso(
+            ctx.ahora.toFormat('yyyy-MM-dd'),
+            tipo.codDoc,
+            ctx.emisor.ruc,
+            ctx.emisor.ambiente,
+            ctx.puntoEmision.estab_codigo + ctx.puntoEmision.punto_codigo,
+            ctx.secuencial
+        );
+
+        // 5. Construir XML
+        const xmlObj = construirComprobante(definicion, tipo, ctx);
+        xmlString = create(xmlObj).end({ prettyPrint: false });
+        ctx.datosComprobante = JSON.stringify(xmlObj[tipo.raiz]);
+
+        // 6. Validación local contra el XSD: si falla, el ROLLBACK devuelve el secuencial
+        //    y no se cobra crédito (antes solo lo detectábamos con la DEVUELTA del SRI)
+        const violaciones = await validarEsquema(tipo, xmlString);
+        if (violaciones.length > 0) {
+            await client.query('ROLLBACK');
+            console.warn(`⚠️ ${tipo.nombre} no cumple el XSD ${tipo.version}: ${violaciones.length} error(es).`);
+            return res.status(422).json({
+                ok: false,
+                mensaje: `El comprobante generado no cumple el esquema XSD ${tipo.version} del SRI.`,
+                errores: violaciones
+            });
+        }
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Error en Bloque 1 (${tipo.nombre}):`, error.message);
+        return res.status(500).json({ ok: false, error: error.message });
+    } finally {
+        client.release();
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 2: FIRMA + PDF — Fuera de cualquier transacción
+    // ─────────────────────────────────────────────────────────────
+    let xmlFirmado, pdfStream;
+
+    try {
+        xmlFirmado = await firmarXmlConP12(xmlString, ctx.emisor);
+        pdfStream = await generarPDFStream(xmlFirmado, ctx.emisor, 'FIRMADO');
+    } catch (error) {
+        console.error(`❌ Error en Bloque 2 (${tipo.nombre} firma):`, error.message);
+        return res.status(500).json({ ok: false, error: "Error al firmar: " + error.message });
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 3: TX FINAL — Subir archivos y registrar en BD
+    // ─────────────────────────────────────────────────────────────
+    const xmlPathRelative = `${ctx.emisor.ruc}/${ctx.claveAcceso}.xml`;
+    const pdfPathRelative = `${ctx.emisor.ruc}/${ctx.claveAcceso}.pdf`;
+
+    const client2 = await pool.pool.connect();
+    try {
+        await uploadFile('invoices', xmlPathRelative, Buffer.from(xmlFirmado), 'text/xml');
+        await minioClient.putObject('invoices', pdfPathRelative, pdfStream, null, { 'Content-Type': 'application/pdf' });
+
+        await client2.query('BEGIN');
+
+        // Revalidaciones que dependen de otros comprobantes registrados mientras firmábamos
+        const rechazado = definicion.verificar ? await definicion.verificar(client2, ctx) : null;
+        if (rechazado) {
+            await client2.query('ROLLBACK');
+            await deleteFile('invoices', xmlPathRelative).catch(e => console.error("[MinIO Limpieza]", e.message));
+            await deleteFile('invoices', pdfPathRelative).catch(e => console.error("[MinIO Limpieza]", e.message));
+            return res.status(rechazado.status).json(rechazado.body);
+        }
+
+        await client2.query(`UPDATE user_credits SET balance = balance - 1 WHERE emisor_id = $1`, [ctx.emisorId]);
+
+        const reg = definicion.registro(ctx);
+        const insertResult = await client2.query(`
+            INSERT INTO invoices (
+                emisor_id, punto_emision_id, secuencial, fecha_emision, clave_acceso,
+                estado, identificacion_comprador, razon_social_comprador, importe_total,
+                subtotal_iva, subtotal_0, valor_iva, xml_path, pdf_path, datos_factura,
+                email_comprador, tipo_documento, doc_sustento_clave
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+            RETURNING id
+        `, [
+            ctx.emisorId, ctx.puntoEmision.punto_id, ctx.secuencial, ctx.ahora.toJSDate(), ctx.claveAcceso, 'FIRMADO',
+            reg.identificacion,
+            reg.razonSocial,
+            reg.importeTotal, reg.subtotalIva || '0.00',
+            reg.subtotal0 || '0.00', reg.valorIva || '0.00',
+            `invoices/${xmlPathRelative}`, `invoices/${pdfPathRelative}`,
+            ctx.datosComprobante,
+            reg.email || null,
+            tipo.codDoc,
+            reg.docSustentoClave || null
+        ]);
+
+        ctx.id = insertResult.rows[0].id;
+        ctx.xmlPath = xmlPathRelative;
+        ctx.pdfPath = pdfPathRelative;
+        await client2.query('COMMIT');
+
+        const estado = definicion.despuesDeRegistrar
+            ? await definicion.despuesDeRegistrar(ctx, xmlFirmado)
+            : 'FIRMADO';
+
+        const { mensaje, ...extra } = definicion.respuesta(ctx, estado);
+        res.status(201).json({
+            ok: true,
+            id: ctx.id,
+            claveAcceso: ctx.claveAcceso,
+            estado,
+            ...extra,
+            mensaje
+        });
+
+    } catch (error) {
+        await client2.query('ROLLBACK');
+        console.error(`❌ Error en Bloque 3 (${tipo.nombre}):`, error.message);
+        res.status(500).json({ ok: false, error: error.message });
+    } finally {
+        client2.release();
+    }
+}
+
+/**
+ * Secuencial de los borradores: el SRI numera desde 000000001, así que un comprobante
+ * con secuencial cero nunca puede confundirse con uno emitido.
+ */
+const SECUENCIAL_BORRADOR = '000000000';
+
+const streamABuffer = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+});
+
+/**
+ * Vista previa (dry-run) del pipeline de emisión: mismas validaciones, totales, XML y XSD,
+ * pero sin secuencial, sin firma, sin MinIO y sin cobrar crédito. Las lecturas van en una
+ * TX READ ONLY que siempre termina en ROLLBACK, así que la BD no puede quedar modificada.
+ * Devuelve los totales, el XML sin firmar y el RIDE con marca de agua "BORRADOR".
+ */
+async function previsualizarComprobante(definicion, req, res) {
+    const tipo = obtenerTipoDocumento(definicion.codDoc);
+    const body = req.body || {};
+    const ctx = {
+        tipo,
+        body,
+        emisorId: req.emisor_id,
+        ahora: DateTime.now().setZone('America/Guayaquil')
+    };
+
+    if (!definicion.puntoDesdeSustento && (!body.establecimiento || !body.punto_emision)) {
+        return res.status(400).json({
+            ok: false,
+            mensaje: "Los campos 'establecimiento' y 'punto_emision' son requeridos para la secuencia legal."
+        });
+    }
+    const invalido = validarEntrada(definicion, body, ctx);
+    if (invalido) return res.status(invalido.status).json(invalido.body);
+
+    let xmlString;
+
+    const client = await pool.pool.connect();
+    try {
+        await client.query('BEGIN READ ONLY');
+
+        // 1. Emisor sin bloqueo ni consulta de créditos: la vista previa no cobra
+        const emisorRes = await client.query(`SELECT e.* FROM emisores e WHERE e.id = $1`, [ctx.emisorId]);
+        ctx.emisor = emisorRes.rows[0];
+        if (!ctx.emisor) {
+            return res.status(404).json({ ok: false, mensaje: "Emisor no encontrado." });
+        }
+
+        // 2. Datos propios del tipo (mismos rechazos que en la emisión real)
+        const rechazado = definicion.preparar ? await definicion.preparar(client, ctx) : null;
+        if (rechazado) return res.status(rechazado.status).json(rechazado.body);
+
+        // 3. Punto de emisión
+        ctx.puntoEmision = await obtenerPuntoEmision(client, ctx.emisorId, body, ctx.puntoPorDefectoId);
+        if (!ctx.puntoEmision) {
+            return res.status(404).json({
+                ok: false,
+                mensaje: `La combinación Establecimiento [${body.establecimiento}] y Punto [${body.punto_emision}] no existe o no te pertenece.`
+            });
+        }
+
+        // 4. Secuencial de borrador: no se toca generar_secuencial
+        ctx.secuencial = SECUENCIAL_BORRADOR;
+        ctx.claveAcceso = generarClaveAcceso(
+            ctx.ahora.toFormat('yyyy-MM-dd'),
+            tipo.codDoc,
+            ctx.emisor.ruc,
+            ctx.emisor.ambiente,
+            ctx.puntoEmision.estab_codigo + ctx.puntoEmision.punto_codigo,
+            ctx.secuencial
+        );
+
+        // 5. XML y validación XSD, igual que en la emisión
+        const xmlObj = construirComprobante(definicion, tipo, ctx);
+        xmlString = create(xmlObj).end({ prettyPrint: false });
+
+        const violaciones = await validarEsquema(tipo, xmlString);
+        if (violaciones.length > 0) {
+            return res.status(422).json({
+                ok: false,
+                mensaje: `El comprobante generado no cumple el esquema XSD ${tipo.version} del SRI.`,
+                errores: violaciones
+            });
+        }
+
+    } catch (error) {
+        console.error(`❌ Error en vista previa (${tipo.nombre}):`, error.message);
+        return res.status(500).json({ ok: false, error: error.message });
+    } finally {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+    }
+
+    // RIDE sobre el XML sin firmar, fuera de la TX
+    try {
+        const pdf = await streamABuffer(await generarPDFStream(xmlString, ctx.emisor, 'BORRADOR'));
+
+        res.status(200).json({
+            ok: true,
+            borrador: true,
+            totales: ctx.calculos ? ctx.calculos.totales : null,
+            xml: xmlString,
+            pdf: pdf.toString('base64'),
+            mensaje: "Vista previa generada. No se consumió secuencial ni crédito."
+        });
+    } catch (error) {
+        console.error(`❌ Error en vista previa (${tipo.nombre} RIDE):`, error.message);
+        res.status(500).json({ ok: false, error: "Error al generar el RIDE: " + error.message });
+    }
+}
+
+/**
+ * Procesa un comprobante que entró en estado PENDIENTE (POST /invoices/emit) con el
+ * mismo pipeline de la emisión síncrona, pero actualizando su fila en lugar de insertar.
+ * Lo invoca el job de firma de la cola; la fila PENDIENTE ya existe, por eso:
+ *  - El secuencial, la clave y la fecha se guardan en la TX 1: si algo falla después,
+ *    el reintento los reutiliza y no deja saltos en la secuencia.
+ *  - El crédito se cobra al pasar a FIRMADO, igual que en la emisión; sin saldo la
+ *    fila sigue PENDIENTE y la cola reintenta con backoff.
+ *
+ * @param {object} definicion - Definición del tipo (p. ej. FACTURA)
+ * @param {object} factura - Fila de `invoices` en estado PENDIENTE
+ * @returns {Promise<{estado: string, claveAcceso?: string, rechazo?: object}>}
+ *   `rechazo` si los datos no permiten emitir (no tiene sentido reintentar);
+ *   lanza si el fallo es transitorio (BD, MinIO, firma, saldo) para que la cola reintente.
+ */
+async function emitirPendiente(definicion, factura) {
+    const tipo = obtenerTipoDocumento(definicion.codDoc);
+    const body = typeof factura.client_input_data === 'string'
+        ? JSON.parse(factura.client_input_data)
+        : (factura.client_input_data || {});
+    const ctx = {
+        tipo,
+        body,
+        emisorId: factura.emisor_id,
+        ahora: factura.fecha_emision
+            ? DateTime.fromJSDate(new Date(factura.fecha_emision)).setZone('America/Guayaquil')
+            : DateTime.now().setZone('America/Guayaquil')
+    };
+
+    const invalido = validarEntrada(definicion, body, ctx);
+    if (invalido) return { estado: 'PENDIENTE', rechazo: invalido.body };
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 1: TX RÁPIDA — Reserva de secuencial sobre la fila PENDIENTE
+    // ─────────────────────────────────────────────────────────────
+    let xmlString;
+
+    const client = await pool.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const emisorRes = await client.query(`
+            SELECT e.*, c.balance
+            FROM emisores e
+            JOIN user_credits c ON e.id = c.emisor_id
+            WHERE e.id = $1 FOR UPDATE
+        `, [ctx.emisorId]);
+
+        ctx.emisor = emisorRes.rows[0];
+        if (!ctx.emisor) {
+            await client.query('ROLLBACK');
+            return { estado: 'PENDIENTE', rechazo: rechazo(402, "Créditos insuficientes.").body };
+        }
+        // Sin saldo no se rechaza: el emisor puede recargar y, si el reintento ya tenía
+        // secuencial y clave reservados, pasar a ERROR los quemaría. La cola reintenta.
+        if (ctx.emisor.balance <= 0) {
+            throw new Error(`Créditos insuficientes para firmar el comprobante ${factura.id}.`);
+        }
+
+        // Otro proceso pudo resolverla mientras esperábamos el bloqueo
+        const filaRes = await client.query(
+            `SELECT estado, secuencial, clave_acceso FROM invoices WHERE id = $1 FOR UPDATE`,
+            [factura.id]
+        );
+        const fila = filaRes.rows[0];
+        if (!fila || fila.estado !== 'PENDIENTE') {
+            await client.query('ROLLBACK');
+            return { estado: fila ? fila.estado : null };
+        }
+
+        const rechazado = definicion.preparar ? await definicion.preparar(client, ctx) : null;
+        if (rechazado) {
+            await client.query('ROLLBACK');
+            return { estado: 'PENDIENTE', rechazo: rechazado.body };
+        }
+
+        // El punto de emisión ya lo resolvió el endpoint al registrar la fila
+        ctx.puntoEmision = await obtenerPuntoEmision(client, ctx.emisorId, {}, factura.punto_emision_id);
+        if (!ctx.puntoEmision) {
+            await client.query('ROLLBACK');
+            return { estado: 'PENDIENTE', rechazo: rechazo(404, "El punto de emisión de la factura ya no existe o no te pertenece.").body };
+        }
+
+        if (fila.secuencial) {
+            // Reintento: misma numeración y clave que el intento anterior
+            ctx.secuencial = String(fila.secuencial).padStart(9, '0');
+            ctx.claveAcceso = fila.clave_acceso;
+        } else {
+            ctx.secuencial = await siguienteSecuencial(client, tipo.codDoc, ctx.puntoEmision.punto_id);
+            ctx.claveAcceso = generarClaveAcceso(
+                ctx.ahora.toFormat('yyyy-MM-dd'),
+                tipo.codDoc,
+                ctx.emisor.ruc,
+                ctx.emisor.ambiente,
+                ctx.puntoEmision.estab_codigo + ctx.puntoEmision.punto_codigo,
+                ctx.secuencial
+            );
+        }
+
+        const xmlObj = construirComprobante(definicion, tipo, ctx);
+        xmlString = create(xmlObj).end({ prettyPrint: false });
+        ctx.datosComprobante = JSON.stringify(xmlObj[tipo.raiz]);
+
+        // Si no cumple el XSD, el ROLLBACK devuelve el secuencial
+        const violaciones = await validarEsquema(tipo, xmlString);
+        if (violaciones.length > 0) {
+            await client.query('ROLLBACK');
+            console.warn(`⚠️ ${tipo.nombre} ${factura.id} no cumple el XSD ${tipo.version}: ${violaciones.length} error(es).`);
+            return {
+                estado: 'PENDIENTE',
+                rechazo: rechazo(422, `El comprobante generado no cumple el esquema XSD ${tipo.version} del SRI.`, { errores: violaciones }).body
+            };
+        }
+
+        await client.query(`
+            UPDATE invoices SET
+                secuencial   = $1,
+                clave_acceso = $2,
+                fecha_emision = $3,
+                tipo_documento = $4,
+                updated_at   = NOW()
+            WHERE id = $5
+        `, [ctx.secuencial, ctx.claveAcceso, ctx.ahora.toJSDate(), tipo.codDoc, factura.id]);
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Error en Bloque 1 (${tipo.nombre} pendiente ${factura.id}):`, error.message);
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 2: FIRMA + PDF — Fuera de cualquier transacción
+    // ─────────────────────────────────────────────────────────────
+    const xmlFirmado = await firmarXmlConP12(xmlString, ctx.emisor);
+    const pdfStream = await generarPDFStream(xmlFirmado, ctx.emisor, 'FIRMADO');
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 3: TX FINAL — Subir archivos, cobrar y pasar a FIRMADO
+    // ─────────────────────────────────────────────────────────────
+    const xmlPathRelative = `${ctx.emisor.ruc}/${ctx.claveAcceso}.xml`;
+    const pdfPathRelative = `${ctx.emisor.ruc}/${ctx.claveAcceso}.pdf`;
+
+    const client2 = await pool.pool.connect();
+    try {
+        await uploadFile('invoices', xmlPathRelative, Buffer.from(xmlFirmado), 'text/xml');
+        await minioClient.putObject('invoices', pdfPathRelative, pdfStream, null, { 'Content-Type': 'application/pdf' });
+
+        await client2.query('BEGIN');
+
+        const reg = definicion.registro(ctx);
+        // El trigger de invoices encola la recepción al pasar a FIRMADO
+        const upd = await client2.query(`
+            UPDATE invoices SET
+                estado = 'FIRMADO',
+                identificacion_comprador = $1,
+                razon_social_comprador = $2,
+                importe_total = $3,
+                subtotal_iva = $4,
+                subtotal_0 = $5,
+                valor_iva = $6,
+                xml_path = $7,
+                pdf_path = $8,
+                datos_factura = $9,
+                email_comprador = $10,
+                mensajes_sri = NULL,
+                sri_error_codigo = NULL,
+                sri_error_mensaje = NULL,
+                sri_error_info = NULL,
+                updated_at = NOW()
+            WHERE id = $11 AND estado = 'PENDIENTE'
+        `, [
+            reg.identificacion,
+            reg.razonSocial,
+            reg.importeTotal, reg.subtotalIva || '0.00',
+            reg.subtotal0 || '0.00', reg.valorIva || '0.00',
+            `invoices/${xmlPathRelative}`, `invoices/${pdfPathRelative}`,
+            ctx.datosComprobante,
+            reg.email || null,
+            factura.id
+        ]);
+
+        if (upd.rowCount === 0) {
+            await client2.query('ROLLBACK');
+            return { estado: null };
+        }
+
+        await client2.query(`UPDATE user_credits SET balance = balance - 1 WHERE emisor_id = $1`, [ctx.emisorId]);
+        await client2.query('COMMIT');
+
+        return { estado: 'FIRMADO', claveAcceso: ctx.claveAcceso };
+
+    } catch (error) {
+        await client2.query('ROLLBACK');
+        console.error(`❌ Error en Bloque 3 (${tipo.nombre} pendiente ${factura.id}):`, error.message);
+        throw error;
+    } finally {
+        client2.release();
+    }
+}
+
+const ESTADOS_REENVIABLES = ['DEVUELTA', 'RECHAZADO'];
+
+/**
+ * Corrige y reenvía un comprobante DEVUELTA o RECHAZADO con los datos del body, sobre
+ * su misma fila. La numeración depende del error que dio el SRI (modoDeReenvio):
+ *  - MISMA_CLAVE: mismo secuencial, misma clave y la fecha que lleva la clave.
+ *  - NUEVA_CLAVE: mismo secuencial con la fecha de hoy (p. ej. fecha extemporánea).
+ *  - NUEVO_SECUENCIAL: la numeración ya quedó registrada en el SRI (clave o secuencial).
+ *    El secuencial nuevo queda reservado en la fila (secuencial_reservado): si la firma
+ *    falla o gana otro reenvío, el siguiente intento lo reutiliza en vez de quemar otro.
+ * El intento fallido se copia a invoice_intentos en la TX final, junto con el cobro del
+ * crédito que se devolvió al rechazarse; después sigue el mismo fast-track que la emisión.
+ */
+async function reenviarComprobante(definicion, req, res) {
+    const tipo = obtenerTipoDocumento(definicion.codDoc);
+    const body = req.body || {};
+    const facturaId = Number(req.params.id);
+    const ctx = { tipo, body, emisorId: req.emisor_id, id: facturaId };
+
+    if (!Number.isInteger(facturaId) || facturaId <= 0) {
+        return res.status(400).json({ ok: false, mensaje: "El id del comprobante no es válido." });
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 1: TX RÁPIDA — Estado del comprobante y numeración del reenvío
+    // ─────────────────────────────────────────────────────────────
+    let xmlString, intentoAnterior, claveAnterior, modo;
+
+    const client = await pool.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const emisorRes = await client.query(`
+            SELECT e.*, c.balance
+            FROM emisores e
+            JOIN user_credits c ON e.id = c.emisor_id
+            WHERE e.id = $1 FOR UPDATE
+        `, [ctx.emisorId]);
+
+        ctx.emisor = emisorRes.rows[0];
+        if (!ctx.emisor || ctx.emisor.balance <= 0) {
+            await client.query('ROLLBACK');
+            return res.status(402).json({ ok: false, mensaje: "Créditos insuficientes." });
+        }
+
+        const filaRes = await client.query(`
+            SELECT id, estado, secuencial, clave_acceso, punto_emision_id,
+                   sri_error_codigo, sri_error_mensaje, sri_error_info, intentos_envio,
+                   secuencial_reservado
+            FROM invoices
+            WHERE id = $1 AND emisor_id = $2 AND tipo_documento = $3
+            FOR UPDATE
+        `, [facturaId, ctx.emisorId, tipo.codDoc]);
+
+        const fila = filaRes.rows[0];
+        if (!fila) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ ok: false, mensaje: `${tipo.nombre} no encontrada o no te pertenece.` });
+        }
+        if (!ESTADOS_REENVIABLES.includes(fila.estado)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                ok: false,
+                mensaje: `Solo se pueden reenviar comprobantes DEVUELTA o RECHAZADO (estado actual: ${fila.estado}).`
+            });
+        }
+
+        modo = modoDeReenvio(fila.sri_error_codigo);
+        if (modo === REENVIO.ESPERAR) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                ok: false,
+                mensaje: "El SRI todavía procesa el envío anterior de este comprobante.",
+                error_sri: errorSriDeFactura(fila)
+            });
+        }
+
+        intentoAnterior = fila.intentos_envio;
+        claveAnterior = fila.clave_acceso;
+        // Con la misma clave, la fecha de emisión es la que va dentro de ella (ddMMyyyy)
+        ctx.ahora = modo === REENVIO.MISMA_CLAVE
+            ? DateTime.fromFormat(fila.clave_acceso.slice(0, 8), 'ddMMyyyy', { zone: 'America/Guayaquil' })
+            : DateTime.now().setZone('America/Guayaquil');
+
+        const invalido = validarEntrada(definicion, body, ctx);
+        if (invalido) {
+            await client.query('ROLLBACK');
+            return res.status(invalido.status).json(invalido.body);
+        }
+
+        const rechazado = definicion.preparar ? await definicion.preparar(client, ctx) : null;
+        if (rechazado) {
+            await client.query('ROLLBACK');
+            return res.status(rechazado.status).json(rechazado.body);
+        }
+
+        // Establecimiento y punto no cambian: son parte de la numeración del comprobante
+        ctx.puntoEmision = await obtenerPuntoEmision(client, ctx.emisorId, {}, fila.punto_emision_id);
+        if (!ctx.puntoEmision) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ ok: false, mensaje: "El punto de emisión del comprobante ya no existe o no te pertenece." });
+        }
+
+        if (modo === REENVIO.NUEVO_SECUENCIAL && fila.secuencial_reservado) {
+            ctx.secuencial = String(fila.secuencial_reservado).padStart(9, '0');
+        } else if (modo === REENVIO.NUEVO_SECUENCIAL) {
+            ctx.secuencial = await siguienteSecuencial(client, tipo.codDoc, ctx.puntoEmision.punto_id);
+            await client.query(
+                `UPDATE invoices SET secuencial_reservado = $1 WHERE id = $2`,
+                [ctx.secuencial, facturaId]
+            );
+        } else {
+            ctx.secuencial = String(fila.secuencial).padStart(9, '0');
+        }
+        ctx.claveAcceso = modo === REENVIO.MISMA_CLAVE
+            ? fila.clave_acceso
+            : generarClaveAcceso(
+                ctx.ahora.toFormat('yyyy-MM-dd'),
+                tipo.codDoc,
+                ctx.emisor.ruc,
+                ctx.emisor.ambiente,
+                ctx.puntoEmision.estab_codigo + ctx.puntoEmision.punto_codigo,
+                ctx.secuencial
+            );
+
+        const xmlObj = construirComprobante(definicion, tipo, ctx);
+        xmlString = create(xmlObj).end({ prettyPrint: false });
+        ctx.datosComprobante = JSON.stringify(xmlObj[tipo.raiz]);
+
+        const violaciones = await validarEsquema(tipo, xmlString);
+        if (violaciones.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(422).json({
+                ok: false,
+                mensaje: `El comprobante generado no cumple el esquema XSD ${tipo.version} del SRI.`,
+                errores: violaciones
+            });
+        }
+
+        // Solo persiste la reserva del secuencial nuevo (si lo hubo); la fila se actualiza en la TX final
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Error en Bloque 1 (${tipo.nombre} reenvío ${facturaId}):`, error.message);
+        return res.status(500).json({ ok: false, error: error.message });
+    } finally {
+        client.release();
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 2: FIRMA + PDF — Fuera de cualquier transacción
+    // ─────────────────────────────────────────────────────────────
+    let xmlFirmado, pdfStream;
+
+    try {
+        xmlFirmado = await firmarXmlConP12(xmlString, ctx.emisor);
+        pdfStream = await generarPDFStream(xmlFirmado, ctx.emisor, 'FIRMADO');
+    } catch (error) {
+        console.error(`❌ Error en Bloque 2 (${tipo.nombre} reenvío ${facturaId} firma):`, error.message);
+        return res.status(500).json({ ok: false, error: "Error al firmar: " + error.message });
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // BLOQUE 3: TX FINAL — Historial, fila en FIRMADO y cobro
+    // ─────────────────────────────────────────────────────────────
+    const xmlPathRelative = `${ctx.emisor.ruc}/${ctx.claveAcceso}.xml`;
+    const pdfPathRelative = `${ctx.emisor.ruc}/${ctx.claveAcceso}.pdf`;
+
+    const client2 = await pool.pool.connect();
+    try {
+        await client2.query('BEGIN');
+
+        // Copia del intento fallido y bloqueo de la fila. Si otro reenvío ya avanzó el
+        // contador (o el comprobante cambió de estado), no se copia nada. Va antes de
+        // subir los archivos: con la misma clave, un reenvío perdedor pisaría el XML
+        const copia = await client2.query(`
+            INSERT INTO invoice_intentos (
+                invoice_id, intento, estado, secuencial, clave_acceso, fecha_emision,
+                identificacion_comprador, razon_social_comprador, importe_total, datos_factura,
+                mensajes_sri, sri_error_codigo, sri_error_mensaje, sri_error_info, fecha_envio_sri
+            )
+            SELECT id, intentos_envio, estado, LPAD(secuencial::text, 9, '0'), clave_acceso, fecha_emision,
+                   identificacion_comprador, razon_social_comprador, importe_total, datos_factura::text::jsonb,
+                   mensajes_sri::text, sri_error_codigo, sri_error_mensaje, sri_error_info, fecha_envio_sri
+              FROM invoices
+             WHERE id = $1 AND intentos_envio = $2 AND estado = ANY($3)
+               FOR UPDATE
+        `, [facturaId, intentoAnterior, ESTADOS_REENVIABLES]);
+
+        if (copia.rowCount === 0) {
+            await client2.query('ROLLBACK');
+            return res.status(409).json({ ok: false, mensaje: "El comprobante cambió mientras se reenviaba. Consulta su estado e intenta de nuevo." });
+        }
+
+        await uploadFile('invoices', xmlPathRelative, Buffer.from(xmlFirmado), 'text/xml');
+        await minioClient.putObject('invoices', pdfPathRelative, pdfStream, null, { 'Content-Type': 'application/pdf' });
+
+        const reg = definicion.registro(ctx);
+        // El trigger de invoices encola la recepción al pasar a FIRMADO
+        await client2.query(`
+            UPDATE invoices SET
+                estado = 'FIRMADO',
+                secuencial = $1,
+                clave_acceso = $2,
+                fecha_emision = $3,
+                identificacion_comprador = $4,
+                razon_social_comprador = $5,
+                importe_total = $6,
+                subtotal_iva = $7,
+                subtotal_0 = $8,
+                valor_iva = $9,
+                xml_path = $10,
+                pdf_path = $11,
+                datos_factura = $12,
+                email_comprador = $13,
+                mensajes_sri = NULL,
+                sri_error_codigo = NULL,
+                sri_error_mensaje = NULL,
+                sri_error_info = NULL,
+                fecha_envio_sri = NULL,
+                intentos_envio = intentos_envio + 1,
+                secuencial_reservado = NULL,
+                updated_at = NOW()
+            WHERE id = $14
+        `, [
+            ctx.secuencial, ctx.claveAcceso, ctx.ahora.toJSDate(),
+            reg.identificacion,
+            reg.razonSocial,
+            reg.importeTotal, reg.subtotalIva || '0.00',
+            reg.subtotal0 || '0.00', reg.valorIva || '0.00',
+            `invoices/${xmlPathRelative}`, `invoices/${pdfPathRelative}`,
+            ctx.datosComprobante,
+            reg.email || null,
+            facturaId
+        ]);
+
+        // El rechazo devolvió el crédito: el reenvío lo cobra de nuevo
+        await client2.query(`UPDATE user_credits SET balance = balance - 1 WHERE emisor_id = $1`, [ctx.emisorId]);
+        await client2.query('COMMIT');
+        ctx.xmlPath = xmlPathRelative;
+        ctx.pdfPath = pdfPathRelative;
+
+    } catch (error) {
+        await client2.query('ROLLBACK');
+        console.error(`❌ Error en Bloque 3 (${tipo.nombre} reenvío ${facturaId}):`, error.message);
+        return res.status(500).json({ ok: false, error: error.message });
+    } finally {
+        client2.release();
+    }
+
+    console.log(`[Reenvío] 🔁 ${tipo.nombre} ${facturaId} intento ${intentoAnterior + 1} (${modo}): ${claveAnterior} → ${ctx.claveAcceso}`);
+
+    try {
+        const estado = definicion.despuesDeRegistrar
+            ? await definicion.despuesDeRegistrar(ctx, xmlFirmado)
+            : 'FIRMADO';
+
+        const historial = await pool.query(`
+            SELECT intento, estado, secuencial, clave_acceso, fecha_emision,
+                   sri_error_codigo, sri_error_mensaje, sri_error_info, created_at
+            FROM invoice_intentos
+            WHERE invoice_id = $1
+            ORDER BY intento
+        `, [facturaId]);
+
+        const { mensaje, ...extra } = definicion.respuesta(ctx, estado);
+        res.status(200).json({
+            ok: true,
+            id: facturaId,
+            claveAcceso: ctx.claveAcceso,
+            secuencial: ctx.secuencial,
+            estado,
+            intento: intentoAnterior + 1,
+            reenvio: modo,
+            ...extra,
+            intentos_anteriores: historial.rows.map(({ sri_error_codigo, sri_error_mensaje, sri_error_info, ...intento }) => ({
+                ...intento,
+                error_sri: errorSriDeFactura({ sri_error_codigo, sri_error_mensaje, sri_error_info })
+            })),
+            mensaje
+        });
+    } catch (error) {
+        // El reenvío ya quedó registrado y cobrado: los jobs lo llevarán al SRI
+        console.error(`❌ Error tras el reenvío (${tipo.nombre} ${facturaId}):`, error.message);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+}
+
+module.exports = { rechazo, validarEntrada, firmarXmlConP12, emitirComprobante, previsualizarComprobante, emitirPendiente, reenviarComprobante };
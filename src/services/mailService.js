@@ -96,9 +96,13 @@ class EmailService {
     // ─── COMPROBANTES ─────────────────────────────────────────────────────────────
 
     async enviarComprobante(emailCliente, xmlBuffer, pdfBuffer, facturaInfo) {
+        // Nombre del tipo de comprobante (Factura, Nota de crédito, Guía de remisión...)
+        const tipoDocumento = facturaInfo.tipoDocumento || 'Factura';
+        const prefijoArchivo = tipoDocumento.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '_');
+
         return this.sendMail({
             to: emailCliente,
-            subject: `Factura Electrónica - ${facturaInfo.razonSocialEmisor} - ${facturaInfo.secuencial}`,
+            subject: `${tipoDocumento} Electrónica - ${facturaInfo.razonSocialEmisor} - ${facturaInfo.secuencial}`,
             html: `
                 <div style="font-family: Arial, sans-serif; color: #333;">
                     <h2>Estimado/a cliente, ${facturaInfo.nombreCliente}</h2>
@@ -116,11 +120,11 @@ class EmailService {
             `,
             attachments: [
                 {
-                    filename: `Factura_${facturaInfo.claveAcceso}.xml`,
+                    filename: `${prefijoArchivo}_${facturaInfo.claveAcceso}.xml`,
                     content: xmlBuffer
                 },
                 {
-                    filename: `Factura_${facturaInfo.claveAcceso}.pdf`,
+                    filename: `${prefijoArchivo}_${facturaInfo.claveAcceso}.pdf`,
                     content: pdfBuffer
                 }
             ]
@@ -3,6 +3,19 @@ const QRCode = require('qrcode');
 const bwipjs = require('bwip-js');
 const { XMLParser } = require('fast-xml-parser');
 const { PassThrough } = require('stream');
+const { tipoPorRaiz } = require('../utils/tiposDocumento');
+const { IMPUESTO, TARIFAS_IVA } = require('../utils/codigosImpuesto');
+const { FORMAS_PAGO } = require('../utils/formasPago');
+
+// El parser devuelve objeto o array según cuántos nodos haya
+const aArray = (valor) => (valor === undefined || valor === null ? [] : (Array.isArray(valor) ? valor : [valor]));
+
+// Cantidades y precios unitarios con sus decimales reales (hasta 6), mínimo 2
+const unitario = (valor) => {
+    const numero = parseFloat(valor || 0);
+    const texto = String(parseFloat(numero.toFixed(6)));
+    return (texto.split('.')[1] || '').length > 2 ? texto : numero.toFixed(2);
+};
 
 /**
  * Genera el documento RIDE (PDF) usando Streams para eficiencia de RAM.
@@ -18,46 +31,133 @@ async function generarPDFStream(xmlString, emisor, estadoFactura = 'FIRMADO', fe
     });
 
     const xmlObj = parser.parse(xmlString);
-    const factura = xmlObj.factura;
-    const infoTrib = factura.infoTributaria;
-    if (infoTrib.claveAcceso) infoTrib.claveAcceso = String(infoTrib.claveAcceso).trim();
-
-    const infoFac = factura.infoFactura;
-    const detalles = Array.isArray(factura.detalles.detalle)
-        ? factura.detalles.detalle
-        : [factura.detalles.detalle];
-
-    let pagosArr = [];
-    if (infoFac.pagos && infoFac.pagos.pago) {
-        pagosArr = Array.isArray(infoFac.pagos.pago)
-            ? infoFac.pagos.pago
-            : [infoFac.pagos.pago];
-    }
 
-    let impTotales = [];
-    if (infoFac.totalConImpuestos && infoFac.totalConImpuestos.totalImpuesto) {
-        impTotales = Array.isArray(infoFac.totalConImpuestos.totalImpuesto)
-            ? infoFac.totalConImpuestos.totalImpuesto
-            : [infoFac.totalConImpuestos.totalImpuesto];
+    const tipo = tipoPorRaiz(xmlObj);
+    if (!tipo || !RENDERERS[tipo.codDoc]) {
+        throw new Error('El XML no corresponde a un tipo de comprobante soportado por el RIDE.');
     }
 
-    let infoAdicional = [];
-    if (factura.infoAdicional && factura.infoAdicional.campoAdicional) {
-        const campos = factura.infoAdicional.campoAdicional;
-        infoAdicional = Array.isArray(campos) ? campos : [campos];
-    }
+    const comprobante = xmlObj[tipo.raiz];
+    const infoTrib = comprobante.infoTributaria;
+    if (infoTrib.claveAcceso) infoTrib.claveAcceso = String(infoTrib.claveAcceso).trim();
 
-    const doc = new PDFDocument({ size: 'A4', margin: 30 });
+    // bufferPages: la marca de agua del borrador se estampa al final en todas las páginas
+    const doc = new PDFDocument({ size: 'A4', margin: 30, bufferPages: estadoFactura === 'BORRADOR' });
     const stream = new PassThrough();
     doc.pipe(stream);
 
-    await renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr, infoAdicional, emisor, estadoFactura, fechaAutorizacionSRI);
+    await RENDERERS[tipo.codDoc](doc, comprobante, emisor, estadoFactura, fechaAutorizacionSRI);
+
+    if (estadoFactura === 'BORRADOR') marcaDeAguaBorrador(doc);
 
     doc.end();
     return stream;
 }
 
-async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr, infoAdicional, emisor, estadoFactura, fechaAutorizacionSRI) {
+/**
+ * Marca de agua diagonal "BORRADOR" sobre cada página de una vista previa.
+ */
+function marcaDeAguaBorrador(doc) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        doc.save();
+        doc.rotate(-45, { origin: [doc.page.width / 2, doc.page.height / 2] });
+        doc.fontSize(90).font('Helvetica-Bold').fillColor('#cc0000').fillOpacity(0.15)
+            .text('BORRADOR', 0, doc.page.height / 2 - 45, { width: doc.page.width, align: 'center', lineBreak: false });
+        doc.restore();
+    }
+    doc.fillColor('black').fillOpacity(1);
+}
+
+/**
+ * Factura, notas y liquidación comparten el layout A4: se normaliza su info propia
+ * al formato de infoFactura y se extraen pagos, impuestos e información adicional.
+ */
+async function renderComprobanteA4(doc, comprobante, infoFac, detalles, documento, emisor, estadoFactura, fechaAutorizacionSRI) {
+    const pagosArr = aArray(infoFac.pagos && infoFac.pagos.pago);
+    const impTotales = aArray(infoFac.totalConImpuestos && infoFac.totalConImpuestos.totalImpuesto);
+    const infoAdicional = aArray(comprobante.infoAdicional && comprobante.infoAdicional.campoAdicional);
+
+    await renderA4(doc, comprobante.infoTributaria, infoFac, detalles, impTotales, pagosArr, infoAdicional, emisor, estadoFactura, fechaAutorizacionSRI, documento);
+}
+
+async function renderFactura(doc, factura, emisor, estadoFactura, fechaAutorizacionSRI) {
+    await renderComprobanteA4(doc, factura, factura.infoFactura, aArray(factura.detalles.detalle),
+        {
+            titulo: 'F A C T U R A',
+            sustento: null,
+            reembolsos: aArray(factura.reembolsos && factura.reembolsos.reembolsoDetalle)
+        }, emisor, estadoFactura, fechaAutorizacionSRI);
+}
+
+async function renderNotaCredito(doc, nota, emisor, estadoFactura, fechaAutorizacionSRI) {
+    // La NC usa codigoInterno y valorModificacion; se normaliza al formato de factura
+    const infoNC = nota.infoNotaCredito;
+    const detalles = aArray(nota.detalles.detalle).map(d => ({ ...d, codigoPrincipal: d.codigoInterno }));
+    const infoFac = {
+        ...infoNC,
+        importeTotal: infoNC.valorModificacion,
+        totalDescuento: detalles.reduce((sum, d) => sum + parseFloat(d.descuento || 0), 0)
+    };
+
+    await renderComprobanteA4(doc, nota, infoFac, detalles, {
+        titulo: 'N O T A   D E   C R É D I T O',
+        sustento: {
+            tipo: infoNC.codDocModificado === '01' ? 'FACTURA' : infoNC.codDocModificado,
+            numero: infoNC.numDocModificado,
+            fecha: infoNC.fechaEmisionDocSustento,
+            motivo: infoNC.motivo
+        }
+    }, emisor, estadoFactura, fechaAutorizacionSRI);
+}
+
+async function renderNotaDebito(doc, nota, emisor, estadoFactura, fechaAutorizacionSRI) {
+    // La ND no tiene detalles: cada motivo se dibuja como una línea de la tabla
+    const infoND = nota.infoNotaDebito;
+    const detalles = aArray(nota.motivos.motivo).map(m => ({
+        descripcion: m.razon,
+        cantidad: 1,
+        precioUnitario: m.valor,
+        descuento: 0,
+        precioTotalSinImpuesto: m.valor
+    }));
+    const infoFac = {
+        ...infoND,
+        importeTotal: infoND.valorTotal,
+        totalDescuento: 0,
+        totalConImpuestos: infoND.impuestos ? { totalImpuesto: infoND.impuestos.impuesto } : undefined
+    };
+
+    await renderComprobanteA4(doc, nota, infoFac, detalles, {
+        titulo: 'N O T A   D E   D É B I T O',
+        sustento: {
+            tipo: infoND.codDocModificado === '01' ? 'FACTURA' : infoND.codDocModificado,
+            numero: infoND.numDocModificado,
+            fecha: infoND.fechaEmisionDocSustento,
+            motivo: null
+        }
+    }, emisor, estadoFactura, fechaAutorizacionSRI);
+}
+
+async function renderLiquidacionCompra(doc, liquidacion, emisor, estadoFactura, fechaAutorizacionSRI) {
+    // En la liquidación la contraparte es el proveedor; se dibuja en el recuadro del cliente
+    const infoLC = liquidacion.infoLiquidacionCompra;
+    const infoFac = {
+        ...infoLC,
+        razonSocialComprador: infoLC.razonSocialProveedor,
+        identificacionComprador: infoLC.identificacionProveedor
+    };
+
+    await renderComprobanteA4(doc, liquidacion, infoFac, aArray(liquidacion.detalles.detalle),
+        { titulo: 'L I Q U I D A C I Ó N   D E   C O M P R A', sustento: null }, emisor, estadoFactura, fechaAutorizacionSRI);
+}
+
+/**
+ * Cabecera común a todos los RIDE: emisor a la izquierda, datos del
+ * comprobante, clave de acceso y QR a la derecha.
+ */
+async function renderCabecera(doc, infoTrib, infoDoc, emisor, estadoFactura, fechaAutorizacionSRI, titulo) {
     const margin = 30;
     const pageWidth = 535;
     const leftColW = 220;
@@ -91,12 +191,12 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
 
     doc.font('Helvetica-Bold').text('Dirección Establecimiento:', margin + 5, 150);
     doc.font('Helvetica').text(
-        infoFac.dirEstablecimiento || infoTrib.dirMatriz,
+        infoDoc.dirEstablecimiento || infoTrib.dirMatriz,
         margin + 5, 159, { width: leftColW - 10 }
     );
 
     doc.font('Helvetica-Bold').text('Obligado a llevar contabilidad:', margin + 5, 174);
-    doc.font('Helvetica').text(infoFac.obligadoContabilidad || 'NO', margin + 148, 174);
+    doc.font('Helvetica').text(infoDoc.obligadoContabilidad || 'NO', margin + 148, 174);
 
     doc.font('Helvetica-Bold').text('Contribuyente Especial Nro:', margin + 5, 184);
     doc.font('Helvetica').text(emisor.contribuyente_especial || '-', margin + 130, 184);
@@ -108,7 +208,7 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
     doc.font('Helvetica').text(infoTrib.ruc, rightColX + 45, 38);
 
     doc.fontSize(12).font('Helvetica-Bold')
-        .text('F A C T U R A', rightColX, 55, { width: rightColW, align: 'center' });
+        .text(titulo, rightColX, 55, { width: rightColW, align: 'center' });
 
     doc.fontSize(8).font('Helvetica-Bold').text('No.', rightColX + 5, 73);
     doc.font('Helvetica')
@@ -125,6 +225,9 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
     if (estadoFactura === 'AUTORIZADO') {
         doc.font('Helvetica').fillColor('black')
             .text(fechaAutorizacionSRI || '', rightColX + 5, 125);
+    } else if (estadoFactura === 'BORRADOR') {
+        doc.font('Helvetica-Bold').fillColor('red')
+            .text('BORRADOR - SIN VALIDEZ TRIBUTARIA', rightColX + 5, 125);
     } else {
         doc.font('Helvetica-Bold').fillColor('red')
             .text('PENDIENTE DE AUTORIZACIÓN', rightColX + 5, 125);
@@ -160,6 +263,13 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
     }
     doc.fontSize(6).font('Helvetica')
         .text(infoTrib.claveAcceso, rightColX + 5, 189, { width: rightColW - 10, align: 'center' });
+}
+
+async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr, infoAdicional, emisor, estadoFactura, fechaAutorizacionSRI, documento = { titulo: 'F A C T U R A', sustento: null }) {
+    const margin = 30;
+    const pageWidth = 535;
+
+    await renderCabecera(doc, infoTrib, infoFac, emisor, estadoFactura, fechaAutorizacionSRI, documento.titulo);
 
     // ─────────────────────────────────────────────────────────────
     // SECCIÓN 2: DATOS CLIENTE
@@ -187,6 +297,50 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
         margin + 55, currentY + 31, { width: 350 }
     );
 
+    // Nota de crédito: comprobante que se modifica y razón
+    if (documento.sustento) {
+        currentY += 42;
+        doc.rect(margin, currentY, pageWidth, 30).stroke();
+
+        doc.fontSize(8).font('Helvetica-Bold').text('Comprobante que se modifica:', margin + 5, currentY + 5);
+        doc.font('Helvetica').text(`${documento.sustento.tipo} ${documento.sustento.numero}`, margin + 140, currentY + 5);
+
+        doc.font('Helvetica-Bold').text('Fecha Emisión (Comprobante a modificar):', margin + 300, currentY + 5);
+        doc.font('Helvetica').text(documento.sustento.fecha || '-', margin + 470, currentY + 5);
+
+        if (documento.sustento.motivo) {
+            doc.font('Helvetica-Bold').text('Razón de Modificación:', margin + 5, currentY + 18);
+            doc.font('Helvetica').text(documento.sustento.motivo, margin + 110, currentY + 18, { width: 420 });
+        }
+        currentY -= 12;
+    }
+
+    // Factura de exportación: datos de comercio exterior
+    if (infoFac.comercioExterior) {
+        currentY += 42;
+        doc.rect(margin, currentY, pageWidth, 42).stroke();
+
+        // Cada valor se corta a su columna para no pisar la siguiente
+        const dato = (etiqueta, valor, x, y, anchoEtiqueta, anchoColumna) => {
+            doc.font('Helvetica-Bold').text(etiqueta, x, y);
+            doc.font('Helvetica').text(valor === undefined || valor === '' ? '-' : String(valor),
+                x + anchoEtiqueta, y, { width: anchoColumna - anchoEtiqueta - 5, height: 10, ellipsis: true, lineBreak: false });
+        };
+        const monto = (valor) => (valor === undefined ? '-' : parseFloat(valor).toFixed(2));
+
+        doc.fontSize(8);
+        dato('Incoterm:',            `${infoFac.incoTermFactura} ${infoFac.lugarIncoTerm || ''}`.trim(), margin + 5, currentY + 5, 45, 215);
+        dato('País origen:',         infoFac.paisOrigen,      margin + 220, currentY + 5,  58, 160);
+        dato('País destino:',        infoFac.paisDestino,     margin + 380, currentY + 5,  62, 155);
+        dato('Puerto embarque:',     infoFac.puertoEmbarque,  margin + 5,   currentY + 18, 78, 215);
+        dato('Puerto destino:',      infoFac.puertoDestino,   margin + 220, currentY + 18, 70, 160);
+        dato('País adquisición:',    infoFac.paisAdquisicion, margin + 380, currentY + 18, 80, 155);
+        dato('Flete internacional:', monto(infoFac.fleteInternacional),    margin + 5,   currentY + 31, 90, 145);
+        dato('Seguro:',              monto(infoFac.seguroInternacional),   margin + 150, currentY + 31, 35, 100);
+        dato('Gastos aduaneros:',    monto(infoFac.gastosAduaneros),       margin + 250, currentY + 31, 82, 150);
+        dato('Otros:',               monto(infoFac.gastosTransporteOtros), margin + 400, currentY + 31, 30, 135);
+    }
+
     // ─────────────────────────────────────────────────────────────
     // SECCIÓN 3: TABLA DETALLES
     // ─────────────────────────────────────────────────────────────
@@ -217,8 +371,13 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
     doc.font('Helvetica').fontSize(7);
 
     detalles.forEach((item, i) => {
+        // detallesAdicionales de la línea: se listan debajo de la descripción
+        const extras = aArray(item.detallesAdicionales && item.detallesAdicionales.detAdicional)
+            .map(d => `${d['@_nombre']}: ${d['@_valor']}`).join('\n');
         const descH = doc.heightOfString(item.descripcion || '', { width: C.desc.w });
-        const rowH = Math.max(descH, 13) + 5;
+        const extrasH = extras ? doc.fontSize(6).heightOfString(extras, { width: C.desc.w }) + 1 : 0;
+        doc.fontSize(7);
+        const rowH = Math.max(descH + extrasH, 13) + 5;
 
         // Filas alternadas
         if (i % 2 === 0) {
@@ -229,15 +388,86 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
         doc.fillColor('black');
 
         doc.text(item.codigoPrincipal || '',                        C.cod.x,   currentY + 3, { width: C.cod.w });
-        doc.text(parseFloat(item.cantidad).toFixed(2),              C.cant.x,  currentY + 3, { width: C.cant.w,  align: 'center' });
+        doc.text(unitario(item.cantidad),                           C.cant.x,  currentY + 3, { width: C.cant.w,  align: 'center' });
         doc.text(item.descripcion || '',                            C.desc.x,  currentY + 3, { width: C.desc.w });
-        doc.text(parseFloat(item.precioUnitario).toFixed(2),        C.pu.x,    currentY + 3, { width: C.pu.w,    align: 'right' });
+        doc.text(unitario(item.precioUnitario),                     C.pu.x,    currentY + 3, { width: C.pu.w,    align: 'right' });
         doc.text(parseFloat(item.descuento || 0).toFixed(2),        C.dsc.x,   currentY + 3, { width: C.dsc.w,   align: 'right' });
         doc.text(parseFloat(item.precioTotalSinImpuesto).toFixed(2),C.total.x, currentY + 3, { width: C.total.w, align: 'right' });
+        if (extras) {
+            doc.fontSize(6).fillColor('#555555')
+                .text(extras, C.desc.x, currentY + 4 + descH, { width: C.desc.w });
+            doc.fontSize(7).fillColor('black');
+        }
 
         currentY += rowH;
     });
 
+    // Factura por reembolso de gastos: comprobantes de terceros que se reembolsan
+    if (documento.reembolsos && documento.reembolsos.length > 0) {
+        currentY += 12;
+        doc.fontSize(8).font('Helvetica-Bold').text('Comprobantes de Reembolso', margin, currentY);
+        currentY += 12;
+
+        const R = {
+            doc:    { x: margin + 2,   w: 55  },
+            num:    { x: margin + 59,  w: 85  },
+            fecha:  { x: margin + 146, w: 50  },
+            prov:   { x: margin + 198, w: 120 },
+            base:   { x: margin + 320, w: 70  },
+            imp:    { x: margin + 392, w: 65  },
+            total:  { x: margin + 459, w: 74  },
+        };
+
+        doc.rect(margin, currentY, pageWidth, 14).fill('#e0e0e0').stroke();
+        doc.fillColor('black').font('Helvetica-Bold').fontSize(7);
+        doc.text('Comprobante',   R.doc.x,   currentY + 4, { width: R.doc.w });
+        doc.text('Número',        R.num.x,   currentY + 4, { width: R.num.w });
+        doc.text('Fecha',         R.fecha.x, currentY + 4, { width: R.fecha.w });
+        doc.text('Proveedor',     R.prov.x,  currentY + 4, { width: R.prov.w });
+        doc.text('Base Imponible', R.base.x, currentY + 4, { width: R.base.w,  align: 'right' });
+        doc.text('Impuesto',      R.imp.x,   currentY + 4, { width: R.imp.w,   align: 'right' });
+        doc.text('Total',         R.total.x, currentY + 4, { width: R.total.w, align: 'right' });
+        currentY += 14;
+        doc.font('Helvetica');
+
+        const nombreDoc = { '01': 'FACTURA', '02': 'NOTA VENTA', '03': 'LIQ. COMPRA', '04': 'NOTA CRÉDITO', '05': 'NOTA DÉBITO' };
+        let totalBase = 0, totalImpuesto = 0;
+
+        documento.reembolsos.forEach((r, i) => {
+            const impuestos = aArray(r.detalleImpuestos && r.detalleImpuestos.detalleImpuesto);
+            const base = impuestos.reduce((suma, imp) => suma + parseFloat(imp.baseImponibleReembolso || 0), 0);
+            const impuesto = impuestos.reduce((suma, imp) => suma + parseFloat(imp.impuestoReembolso || 0), 0);
+            totalBase += base;
+            totalImpuesto += impuesto;
+
+            const rowH = 14;
+            if (i % 2 === 0) {
+                doc.rect(margin, currentY, pageWidth, rowH).fill('#f9f9f9').stroke();
+            } else {
+                doc.rect(margin, currentY, pageWidth, rowH).stroke();
+            }
+            doc.fillColor('black');
+
+            doc.text(nombreDoc[r.codDocReembolso] || r.codDocReembolso,                              R.doc.x,   currentY + 4, { width: R.doc.w });
+            doc.text(`${r.estabDocReembolso}-${r.ptoEmiDocReembolso}-${r.secuencialDocReembolso}`,    R.num.x,   currentY + 4, { width: R.num.w });
+            doc.text(r.fechaEmisionDocReembolso || '',                                                 R.fecha.x, currentY + 4, { width: R.fecha.w });
+            doc.text(String(r.identificacionProveedorReembolso || ''),                                 R.prov.x,  currentY + 4, { width: R.prov.w });
+            doc.text(base.toFixed(2),                                                                  R.base.x,  currentY + 4, { width: R.base.w,  align: 'right' });
+            doc.text(impuesto.toFixed(2),                                                              R.imp.x,   currentY + 4, { width: R.imp.w,   align: 'right' });
+            doc.text((base + impuesto).toFixed(2),                                                     R.total.x, currentY + 4, { width: R.total.w, align: 'right' });
+            currentY += rowH;
+        });
+
+        doc.rect(margin, currentY, pageWidth, 14).fill('#d0d0d0').stroke();
+        doc.fillColor('black').font('Helvetica-Bold');
+        doc.text('TOTAL REEMBOLSO',                                                   R.prov.x,  currentY + 4, { width: R.prov.w });
+        doc.text(parseFloat(infoFac.totalBaseImponibleReembolso || totalBase).toFixed(2), R.base.x, currentY + 4, { width: R.base.w,  align: 'right' });
+        doc.text(parseFloat(infoFac.totalImpuestoReembolso || totalImpuesto).toFixed(2),  R.imp.x,  currentY + 4, { width: R.imp.w,   align: 'right' });
+        doc.text(parseFloat(infoFac.totalComprobantesReembolso || totalBase + totalImpuesto).toFixed(2), R.total.x, currentY + 4, { width: R.total.w, align: 'right' });
+        doc.font('Helvetica');
+        currentY += 14;
+    }
+
     // ─────────────────────────────────────────────────────────────
     // SECCIÓN 4: PIE — Info adicional + Formas de pago + Totales
     // ─────────────────────────────────────────────────────────────
@@ -247,19 +477,43 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
     const rightFooterX = margin + leftFooterW + 10;
     const rightFooterW = pageWidth - leftFooterW - 10;
 
-    // Calcular totales
-    let base0 = 0, baseIVA = 0, valorIVA = 0, tarifaIVA = '15';
+    // Calcular totales por código de IVA: <totalConImpuestos> no trae la tarifa, sale del catálogo.
+    // ICE e IRBPNR se suman aparte (el ICE ya está dentro de la base del IVA)
+    let base0 = 0, baseNoObjeto = 0, baseExento = 0, valorIce = 0, valorIrbpnr = 0;
+    const gravadas = {};
     impTotales.forEach(imp => {
         const base  = parseFloat(imp.baseImponible || 0);
         const valor = parseFloat(imp.valor || 0);
-        if (String(imp.codigoPorcentaje) === '0') {
+        const codigo = String(imp.codigo || IMPUESTO.IVA);
+        if (codigo === IMPUESTO.ICE) {
+            valorIce += valor;
+            return;
+        }
+        if (codigo === IMPUESTO.IRBPNR) {
+            valorIrbpnr += valor;
+            return;
+        }
+        const codigoPorcentaje = String(imp.codigoPorcentaje);
+        const entrada = TARIFAS_IVA[codigoPorcentaje];
+        const tarifa = imp.tarifa !== undefined ? parseFloat(imp.tarifa) : (entrada ? entrada.tarifa : 15);
+
+        if (codigoPorcentaje === '6') {
+            baseNoObjeto += base;
+        } else if (codigoPorcentaje === '7') {
+            baseExento += base;
+        } else if (tarifa === 0) {
             base0 += base;
         } else {
-            baseIVA += base;
-            valorIVA += valor;
-            tarifaIVA = String(imp.tarifa || '15');
+            gravadas[tarifa] = gravadas[tarifa] || { base: 0, valor: 0 };
+            gravadas[tarifa].base += base;
+            gravadas[tarifa].valor += valor;
         }
     });
+    const tarifasGravadas = Object.keys(gravadas).map(Number).sort((a, b) => b - a);
+    if (tarifasGravadas.length === 0) {
+        tarifasGravadas.push(15);
+        gravadas[15] = { base: 0, valor: 0 };
+    }
 
     // ── Totales (columna derecha) — van primero para alinear con info adicional ──
     const drawTotalRow = (label, val, y, bold = false, highlight = false) => {
@@ -280,40 +534,58 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
     };
 
     let ty = currentY;
-    drawTotalRow(`SUBTOTAL ${tarifaIVA}%`,       baseIVA,                                   ty); ty += 14;
+    tarifasGravadas.forEach(tarifa => {
+        drawTotalRow(`SUBTOTAL ${tarifa}%`,       gravadas[tarifa].base,                     ty); ty += 14;
+    });
     drawTotalRow('SUBTOTAL IVA 0%',               base0,                                     ty); ty += 14;
-    drawTotalRow('SUBTOTAL NO OBJETO IVA',         0,                                         ty); ty += 14;
-    drawTotalRow('SUBTOTAL EXENTO IVA',            0,                                         ty); ty += 14;
+    drawTotalRow('SUBTOTAL NO OBJETO IVA',         baseNoObjeto,                              ty); ty += 14;
+    drawTotalRow('SUBTOTAL EXENTO IVA',            baseExento,                                ty); ty += 14;
     drawTotalRow('SUBTOTAL SIN IMPUESTOS',         parseFloat(infoFac.totalSinImpuestos || 0), ty); ty += 14;
     drawTotalRow('DESCUENTO',                      parseFloat(infoFac.totalDescuento    || 0), ty); ty += 14;
-    drawTotalRow('ICE',                            0,                                         ty); ty += 14;
-    drawTotalRow(`IVA ${tarifaIVA}%`,             valorIVA,                                  ty); ty += 14;
-    drawTotalRow('IRBPNR',                         0,                                         ty); ty += 14;
-    drawTotalRow('PROPINA',                        0,                                         ty); ty += 14;
+    drawTotalRow('ICE',                            valorIce,                                  ty); ty += 14;
+    tarifasGravadas.forEach(tarifa => {
+        drawTotalRow(`IVA ${tarifa}%`,            gravadas[tarifa].valor,                    ty); ty += 14;
+    });
+    drawTotalRow('IRBPNR',                         valorIrbpnr,                               ty); ty += 14;
+    // El subsidio no reduce el importe total: se informa cuánto habría costado sin él
+    const totalSubsidio = parseFloat(infoFac.totalSubsidio || 0);
+    drawTotalRow('PROPINA',                        parseFloat(infoFac.propina           || 0), ty); ty += 14;
     drawTotalRow('VALOR TOTAL',                    parseFloat(infoFac.importeTotal      || 0), ty, true, true); ty += 14;
-    drawTotalRow('VALOR TOTAL SIN SUBSIDIO',       parseFloat(infoFac.importeTotal      || 0), ty, true, true); ty += 14;
-    drawTotalRow('AHORRO POR SUBSIDIO:',           0,                                         ty, false, false);
+    drawTotalRow('VALOR TOTAL SIN SUBSIDIO',       parseFloat(infoFac.importeTotal || 0) + totalSubsidio, ty, true, true); ty += 14;
+    drawTotalRow('AHORRO POR SUBSIDIO:',           totalSubsidio,                             ty, false, false);
 
     // ── Información adicional (columna izquierda) ──
     let infoY = currentY;
     doc.fontSize(8).font('Helvetica-Bold').text('Información Adicional', margin, infoY - 12);
 
     if (infoAdicional.length > 0) {
-        const infoBoxH = infoAdicional.length * 14 + 8;
+        // Nombre y valor admiten hasta 300 caracteres: cada fila crece con su texto
+        const filas = infoAdicional.map(campo => {
+            const nombre = String(campo['@_nombre'] || campo.nombre || '');
+            const valor  = String(campo['#text']    || campo.valor  || String(campo) || '');
+            doc.fontSize(7);
+            const alto = Math.max(
+                doc.font('Helvetica-Bold').heightOfString(nombre, { width: 80 }),
+                doc.font('Helvetica').heightOfString(valor, { width: leftFooterW - 95 }),
+                10
+            ) + 4;
+            return { nombre, valor, alto };
+        });
+        const infoBoxH = filas.reduce((suma, f) => suma + f.alto, 0) + 8;
         doc.rect(margin, infoY, leftFooterW, infoBoxH).stroke();
-        infoAdicional.forEach(campo => {
-            const nombre = campo['@_nombre'] || campo.nombre || '';
-            const valor  = campo['#text']    || campo.valor  || String(campo) || '';
+        filas.forEach(({ nombre, valor, alto }) => {
             doc.fontSize(7).font('Helvetica-Bold')
-                .text(`${nombre}`, margin + 5, infoY + 4, { width: 80 });
+                .text(nombre, margin + 5, infoY + 4, { width: 80 });
             doc.font('Helvetica')
-                .text(String(valor), margin + 90, infoY + 4, { width: leftFooterW - 95 });
-            infoY += 14;
+                .text(valor, margin + 90, infoY + 4, { width: leftFooterW - 95 });
+            infoY += alto;
         });
         infoY += 8;
     }
 
-    // ── Formas de pago ──
+    // ── Formas de pago (las notas de crédito no llevan pagos) ──
+    if (pagosArr.length === 0) return;
+
     doc.fontSize(8).font('Helvetica-Bold').text('Forma de Pago', margin, infoY + 4);
     infoY += 16;
 
@@ -326,9 +598,7 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
 
     pagosArr.forEach(pago => {
         doc.rect(margin, infoY, leftFooterW, 14).stroke();
-        const formaPagoDesc = pago.formaPago === '01'
-            ? 'SIN UTILIZACION DEL SISTEMA FINANCIERO'
-            : 'OTROS CON UTILIZACION DEL SISTEMA FINANCIERO';
+        const formaPagoDesc = FORMAS_PAGO[String(pago.formaPago)] || FORMAS_PAGO['20'];
         doc.fontSize(7).font('Helvetica')
             .text(formaPagoDesc, margin + 5, infoY + 4, { width: leftFooterW - 70 });
         doc.text(
@@ -340,4 +610,268 @@ async function renderA4(doc, infoTrib, infoFac, detalles, impTotales, pagosArr,
     });
 }
 
+/**
+ * RIDE del Comprobante de Retención v2.0.0: sujeto retenido y una fila por
+ * cada retención de cada documento sustento.
+ */
+async function renderRetencion(doc, comprobante, emisor, estadoFactura, fechaAutorizacionSRI) {
+    const margin = 30;
+    const pageWidth = 535;
+    const infoTrib = comprobante.infoTributaria;
+    const infoRet = comprobante.infoCompRetencion;
+
+    await renderCabecera(doc, infoTrib, infoRet, emisor, estadoFactura, fechaAutorizacionSRI, 'COMPROBANTE DE RETENCIÓN');
+
+    // ─────────────────────────────────────────────────────────────
+    // SECCIÓN 2: SUJETO RETENIDO
+    // ─────────────────────────────────────────────────────────────
+    let currentY = 210;
+    doc.rect(margin, currentY, pageWidth, 32).stroke();
+
+    doc.fontSize(8).font('Helvetica-Bold')
+        .text('Razón Social / Nombres y Apellidos:', margin + 5, currentY + 5);
+    doc.font('Helvetica')
+        .text(infoRet.razonSocialSujetoRetenido, margin + 178, currentY + 5, { width: 350 });
+
+    doc.font('Helvetica-Bold').text('Identificación:', margin + 5, currentY + 18);
+    doc.font('Helvetica').text(infoRet.identificacionSujetoRetenido, margin + 72, currentY + 18);
+
+    doc.font('Helvetica-Bold').text('Fecha Emisión:', margin + 220, currentY + 18);
+    doc.font('Helvetica').text(infoRet.fechaEmision, margin + 294, currentY + 18);
+
+    doc.font('Helvetica-Bold').text('Periodo Fiscal:', margin + 380, currentY + 18);
+    doc.font('Helvetica').text(infoRet.periodoFiscal, margin + 450, currentY + 18);
+
+    // ─────────────────────────────────────────────────────────────
+    // SECCIÓN 3: TABLA DE RETENCIONES
+    // ─────────────────────────────────────────────────────────────
+    currentY += 42;
+
+    const C = {
+        comp:   { x: margin + 2,   w: 58 },
+        num:    { x: margin + 62,  w: 85 },
+        fecha:  { x: margin + 149, w: 55 },
+        ejer:   { x: margin + 206, w: 45 },
+        base:   { x: margin + 253, w: 65 },
+        imp:    { x: margin + 320, w: 45 },
+        cod:    { x: margin + 367, w: 35 },
+        pct:    { x: margin + 404, w: 45 },
+        valor:  { x: margin + 451, w: 82 },
+    };
+
+    doc.rect(margin, currentY, pageWidth, 22).fill('#e0e0e0').stroke();
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(7);
+
+    doc.text('Comprobante',       C.comp.x,  currentY + 4, { width: C.comp.w });
+    doc.text('Número',            C.num.x,   currentY + 4, { width: C.num.w });
+    doc.text('Fecha Emisión',     C.fecha.x, currentY + 4, { width: C.fecha.w });
+    doc.text('Ejercicio Fiscal',  C.ejer.x,  currentY + 4, { width: C.ejer.w });
+    doc.text('Base Imponible',    C.base.x,  currentY + 4, { width: C.base.w,  align: 'right' });
+    doc.text('Impuesto',          C.imp.x,   currentY + 4, { width: C.imp.w,   align: 'center' });
+    doc.text('Código',            C.cod.x,   currentY + 4, { width: C.cod.w,   align: 'center' });
+    doc.text('% Retención',       C.pct.x,   currentY + 4, { width: C.pct.w,   align: 'right' });
+    doc.text('Valor Retenido',    C.valor.x, currentY + 4, { width: C.valor.w, align: 'right' });
+
+    currentY += 22;
+    doc.font('Helvetica').fontSize(7);
+
+    const nombreDoc = { '01': 'FACTURA', '03': 'LIQ. COMPRA', '04': 'NOTA CRÉDITO', '05': 'NOTA DÉBITO' };
+    const nombreImpuesto = { '1': 'RENTA', '2': 'IVA', '6': 'ISD' };
+    let totalRetenido = 0;
+    let fila = 0;
+
+    aArray(comprobante.docsSustento && comprobante.docsSustento.docSustento).forEach(sustento => {
+        const num = String(sustento.numDocSustento || '');
+        const numFormato = num.length === 15 ? `${num.substring(0, 3)}-${num.substring(3, 6)}-${num.substring(6)}` : num;
+
+        aArray(sustento.retenciones && sustento.retenciones.retencion).forEach(ret => {
+            const rowH = 14;
+            if (fila % 2 === 0) {
+                doc.rect(margin, currentY, pageWidth, rowH).fill('#f9f9f9').stroke();
+            } else {
+                doc.rect(margin, currentY, pageWidth, rowH).stroke();
+            }
+            doc.fillColor('black');
+
+            doc.text(nombreDoc[sustento.codDocSustento] || sustento.codDocSustento, C.comp.x, currentY + 4, { width: C.comp.w });
+            doc.text(numFormato,                                          C.num.x,   currentY + 4, { width: C.num.w });
+            doc.text(sustento.fechaEmisionDocSustento,                    C.fecha.x, currentY + 4, { width: C.fecha.w });
+            doc.text(infoRet.periodoFiscal,                               C.ejer.x,  currentY + 4, { width: C.ejer.w });
+            doc.text(parseFloat(ret.baseImponible).toFixed(2),            C.base.x,  currentY + 4, { width: C.base.w,  align: 'right' });
+            doc.text(nombreImpuesto[String(ret.codigo)] || ret.codigo,   C.imp.x,   currentY + 4, { width: C.imp.w,   align: 'center' });
+            doc.text(String(ret.codigoRetencion),                         C.cod.x,   currentY + 4, { width: C.cod.w,   align: 'center' });
+            doc.text(`${parseFloat(ret.porcentajeRetener)}%`,            C.pct.x,   currentY + 4, { width: C.pct.w,   align: 'right' });
+            doc.text(parseFloat(ret.valorRetenido).toFixed(2),            C.valor.x, currentY + 4, { width: C.valor.w, align: 'right' });
+
+            totalRetenido += parseFloat(ret.valorRetenido || 0);
+            currentY += rowH;
+            fila++;
+        });
+    });
+
+    doc.rect(margin, currentY, pageWidth, 14).fill('#d0d0d0').stroke();
+    doc.fillColor('black').font('Helvetica-Bold')
+        .text('TOTAL RETENIDO', C.pct.x - 60, currentY + 4, { width: 100, align: 'right' });
+    doc.text(totalRetenido.toFixed(2), C.valor.x, currentY + 4, { width: C.valor.w, align: 'right' });
+    currentY += 30;
+
+    // ── Información adicional ──
+    const infoAdicional = aArray(comprobante.infoAdicional && comprobante.infoAdicional.campoAdicional);
+    if (infoAdicional.length > 0) {
+        doc.fontSize(8).font('Helvetica-Bold').text('Información Adicional', margin, currentY - 12);
+        doc.rect(margin, currentY, 300, infoAdicional.length * 14 + 8).stroke();
+        infoAdicional.forEach(campo => {
+            const nombre = campo['@_nombre'] || campo.nombre || '';
+            const valor  = campo['#text']    || campo.valor  || String(campo) || '';
+            doc.fontSize(7).font('Helvetica-Bold')
+                .text(`${nombre}`, margin + 5, currentY + 4, { width: 80 });
+            doc.font('Helvetica')
+                .text(String(valor), margin + 90, currentY + 4, { width: 205 });
+            currentY += 14;
+        });
+    }
+}
+
+async function renderGuiaRemision(doc, guia, emisor, estadoFactura, fechaAutorizacionSRI) {
+    const margin = 30;
+    const pageWidth = 535;
+    const limiteY = 780;
+    const infoTrib = guia.infoTributaria;
+    const infoGuia = guia.infoGuiaRemision;
+
+    await renderCabecera(doc, infoTrib, infoGuia, emisor, estadoFactura, fechaAutorizacionSRI, 'G U Í A   D E   R E M I S I Ó N');
+
+    // ─────────────────────────────────────────────────────────────
+    // SECCIÓN 2: TRANSPORTISTA
+    // ─────────────────────────────────────────────────────────────
+    let currentY = 210;
+    doc.rect(margin, currentY, pageWidth, 45).stroke();
+
+    doc.fontSize(8).font('Helvetica-Bold')
+        .text('Identificación (Transportista):', margin + 5, currentY + 5);
+    doc.font('Helvetica').text(infoGuia.rucTransportista, margin + 150, currentY + 5);
+
+    doc.font('Helvetica-Bold').text('Placa:', margin + 380, currentY + 5);
+    doc.font('Helvetica').text(infoGuia.placa, margin + 415, currentY + 5);
+
+    doc.font('Helvetica-Bold').text('Razón Social / Nombres y Apellidos:', margin + 5, currentY + 18);
+    doc.font('Helvetica').text(infoGuia.razonSocialTransportista, margin + 178, currentY + 18, { width: 350 });
+
+    doc.font('Helvetica-Bold').text('Punto de Partida:', margin + 5, currentY + 31);
+    doc.font('Helvetica').text(infoGuia.dirPartida, margin + 88, currentY + 31, { width: 180, height: 10, ellipsis: true });
+
+    doc.font('Helvetica-Bold').text('Inicio Transporte:', margin + 275, currentY + 31);
+    doc.font('Helvetica').text(infoGuia.fechaIniTransporte, margin + 355, currentY + 31);
+
+    doc.font('Helvetica-Bold').text('Fin:', margin + 420, currentY + 31);
+    doc.font('Helvetica').text(infoGuia.fechaFinTransporte, margin + 440, currentY + 31);
+
+    currentY += 55;
+
+    // ─────────────────────────────────────────────────────────────
+    // SECCIÓN 3: DESTINATARIOS (un bloque con su tabla por cada uno)
+    // ─────────────────────────────────────────────────────────────
+    const C = {
+        cant:  { x: margin + 2,   w: 60 },
+        desc:  { x: margin + 64,  w: 300 },
+        cod:   { x: margin + 366, w: 80 },
+        aux:   { x: margin + 448, w: 85 },
+    };
+
+    const nuevaPaginaSiHaceFalta = (alto) => {
+        if (currentY + alto > limiteY) {
+            doc.addPage();
+            currentY = margin;
+        }
+    };
+
+    aArray(guia.destinatarios && guia.destinatarios.destinatario).forEach(dest => {
+        const tieneSustento = !!dest.numDocSustento;
+        const altoCaja = tieneSustento ? 58 : 45;
+        nuevaPaginaSiHaceFalta(altoCaja + 36);
+
+        doc.rect(margin, currentY, pageWidth, altoCaja).stroke();
+        doc.fontSize(8).font('Helvetica-Bold').text('Destinatario:', margin + 5, currentY + 5);
+        doc.font('Helvetica').text(dest.razonSocialDestinatario, margin + 70, currentY + 5, { width: 290 });
+
+        doc.font('Helvetica-Bold').text('Identificación:', margin + 370, currentY + 5);
+        doc.font('Helvetica').text(dest.identificacionDestinatario || '-', margin + 440, currentY + 5);
+
+        doc.font('Helvetica-Bold').text('Dirección:', margin + 5, currentY + 18);
+        doc.font('Helvetica').text(dest.dirDestinatario, margin + 55, currentY + 18, { width: 470, height: 10, ellipsis: true });
+
+        doc.font('Helvetica-Bold').text('Motivo Traslado:', margin + 5, currentY + 31);
+        doc.font('Helvetica').text(dest.motivoTraslado, margin + 82, currentY + 31, { width: 200, height: 10, ellipsis: true });
+
+        doc.font('Helvetica-Bold').text('Ruta:', margin + 300, currentY + 31);
+        doc.font('Helvetica').text(dest.ruta || '-', margin + 328, currentY + 31, { width: 200, height: 10, ellipsis: true });
+
+        if (tieneSustento) {
+            const num = String(dest.numDocSustento);
+            doc.font('Helvetica-Bold').text('Comprobante de Venta:', margin + 5, currentY + 44);
+            doc.font('Helvetica').text(`FACTURA ${num}`, margin + 108, currentY + 44);
+            doc.font('Helvetica-Bold').text('Fecha Emisión:', margin + 300, currentY + 44);
+            doc.font('Helvetica').text(dest.fechaEmisionDocSustento || '-', margin + 370, currentY + 44);
+        }
+
+        currentY += altoCaja + 4;
+
+        doc.rect(margin, currentY, pageWidth, 16).fill('#e0e0e0').stroke();
+        doc.fillColor('black').font('Helvetica-Bold').fontSize(7);
+        doc.text('Cantidad',         C.cant.x, currentY + 5, { width: C.cant.w, align: 'right' });
+        doc.text('Descripción',      C.desc.x, currentY + 5, { width: C.desc.w });
+        doc.text('Código Principal', C.cod.x,  currentY + 5, { width: C.cod.w });
+        doc.text('Código Auxiliar',  C.aux.x,  currentY + 5, { width: C.aux.w });
+        currentY += 16;
+
+        doc.font('Helvetica').fontSize(7);
+        aArray(dest.detalles && dest.detalles.detalle).forEach((det, i) => {
+            const rowH = 14;
+            nuevaPaginaSiHaceFalta(rowH);
+            if (i % 2 === 0) {
+                doc.rect(margin, currentY, pageWidth, rowH).fill('#f9f9f9').stroke();
+            } else {
+                doc.rect(margin, currentY, pageWidth, rowH).stroke();
+            }
+            doc.fillColor('black');
+
+            doc.text(String(parseFloat(det.cantidad)),  C.cant.x, currentY + 4, { width: C.cant.w, align: 'right' });
+            doc.text(det.descripcion,                   C.desc.x, currentY + 4, { width: C.desc.w, height: 9, ellipsis: true });
+            doc.text(det.codigoInterno || '-',          C.cod.x,  currentY + 4, { width: C.cod.w });
+            doc.text(det.codigoAdicional || '-',        C.aux.x,  currentY + 4, { width: C.aux.w });
+            currentY += rowH;
+        });
+
+        currentY += 12;
+    });
+
+    // ── Información adicional ──
+    const infoAdicional = aArray(guia.infoAdicional && guia.infoAdicional.campoAdicional);
+    if (infoAdicional.length > 0) {
+        nuevaPaginaSiHaceFalta(infoAdicional.length * 14 + 30);
+        currentY += 12;
+        doc.fontSize(8).font('Helvetica-Bold').text('Información Adicional', margin, currentY - 12);
+        doc.rect(margin, currentY, 300, infoAdicional.length * 14 + 8).stroke();
+        infoAdicional.forEach(campo => {
+            const nombre = campo['@_nombre'] || campo.nombre || '';
+            const valor  = campo['#text']    || campo.valor  || String(campo) || '';
+            doc.fontSize(7).font('Helvetica-Bold')
+                .text(`${nombre}`, margin + 5, currentY + 4, { width: 80 });
+            doc.font('Helvetica')
+                .text(String(valor), margin + 90, currentY + 4, { width: 205 });
+            currentY += 14;
+        });
+    }
+}
+
+// Renderer del RIDE de cada tipo registrado en tiposDocumento
+const RENDERERS = {
+    '01': renderFactura,
+    '03': renderLiquidacionCompra,
+    '04': renderNotaCredito,
+    '05': renderNotaDebito,
+    '06': renderGuiaRemision,
+    '07': renderRetencion
+};
+
 module.exports = { generarPDFStream };
\ No newline at end of file
@@ -228,7 +228,8 @@ function signInvoiceXmlCustom(xml, certBag, keyBag, p12) {
         `${finalObject}</${prefix}Signature>`
     );
 
-    return xml.replace('</factura>', `${signatureBlock}</factura>`);
+    // La firma va como último hijo del nodo raíz (factura, notaCredito, ...)
+    return xml.replace(/<\/([\w:]+)>\s*$/, `${signatureBlock}</$1>`);
 }
 
 /**
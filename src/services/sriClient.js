@@ -0,0 +1,233 @@
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Cliente SOAP único para los web services offline del SRI (recepción y autorización).
+ * Concentra URLs, sobres, reintentos y la lectura de respuestas para que el worker y
+ * el fast-track de la emisión hablen con el SRI de la misma forma.
+ *
+ * Las respuestas de negocio (RECIBIDA, DEVUELTA, AUTORIZADO, NO AUTORIZADO...) se
+ * devuelven normalizadas; lo que impide saber qué dijo el SRI (caída de red, SOAP
+ * Fault, página HTML de mantenimiento, XML inesperado) se lanza como SriError.
+ */
+
+const URLS_SRI = {
+    pruebas: {
+        recepcion: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline?wsdl',
+        autorizacion: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline?wsdl'
+    },
+    produccion: {
+        recepcion: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline?wsdl',
+        autorizacion: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline?wsdl'
+    }
+};
+
+/**
+ * URLs del ambiente. SRI_WS_URL redirige el ambiente de pruebas a otro servidor (p. ej. el
+ * simulador de src/mocks/sriMockServer.js); producción siempre va al SRI real.
+ */
+function urlsPorAmbiente(ambiente) {
+    if (String(ambiente) === '2') return URLS_SRI.produccion;
+
+    const base = process.env.SRI_WS_URL;
+    if (!base) return URLS_SRI.pruebas;
+    const raiz = base.replace(/\/+$/, '');
+    return {
+        recepcion: `${raiz}/RecepcionComprobantesOffline?wsdl`,
+        autorizacion: `${raiz}/AutorizacionComprobantesOffline?wsdl`
+    };
+}
+
+const CODIGOS_RED_REINTENTABLES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Sin parseTagValue las claves de acceso (49 dígitos) no se convierten en números
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    trimValues: true,
+    removeNSPrefix: true,
+    parseTagValue: false
+});
+
+const aArray = (valor) => (valor === undefined || valor === null || valor === '' ? [] : [].concat(valor));
+
+/**
+ * Error de comunicación con el SRI. `tipo`: RED, HTTP, HTML, SOAP_FAULT o RESPUESTA_INVALIDA.
+ * `reintentable` indica si tiene sentido volver a intentar más tarde.
+ */
+class SriError extends Error {
+    constructor(mensaje, { tipo, reintentable = true, status = null, detalle = null } = {}) {
+        super(mensaje);
+        this.name = 'SriError';
+        this.tipo = tipo;
+        this.reintentable = reintentable;
+        this.status = status;
+        this.detalle = detalle;
+    }
+}
+
+/**
+ * Mensajes del SRI en forma plana: { identificador, mensaje, tipo, informacionAdicional }.
+ */
+function normalizarMensajes(nodoMensajes) {
+    return aArray(nodoMensajes && nodoMensajes.mensaje).map(m => ({
+        identificador: m.identificador ? String(m.identificador) : null,
+        mensaje: m.mensaje || null,
+        tipo: m.tipo || null,
+        informacionAdicional: m.informacionAdicional || null
+    }));
+}
+
+const esHtml = (texto) => /^\s*(<!DOCTYPE html|<html)/i.test(texto);
+
+/**
+ * Extrae el Body del sobre SOAP o lanza SriError si la respuesta no es un sobre válido.
+ */
+function leerCuerpoSoap(datos, status) {
+    const texto = typeof datos === 'string' ? datos : String(datos || '');
+
+    if (esHtml(texto)) {
+        const titulo = (texto.match(/<title>([^<]*)<\/title>/i) || [])[1];
+        throw new SriError(`El SRI respondió una página HTML${titulo ? ` (${titulo.trim()})` : ''}: servicio no disponible.`, {
+            tipo: 'HTML', status, detalle: texto.slice(0, 500)
+        });
+    }
+
+    let json;
+    try {
+        json = parser.parse(texto);
+    } catch (e) {
+        throw new SriError(`Respuesta del SRI ilegible: ${e.message}`, { tipo: 'RESPUESTA_INVALIDA', status, detalle: texto.slice(0, 500) });
+    }
+
+    const body = json && json.Envelope && json.Envelope.Body;
+    if (!body) {
+        throw new SriError('La respuesta del SRI no es un sobre SOAP.', { tipo: 'RESPUESTA_INVALIDA', status, detalle: texto.slice(0, 500) });
+    }
+    if (body.Fault) {
+        const fault = body.Fault;
+        throw new SriError(`SOAP Fault del SRI: ${fault.faultstring || fault.Reason || 'sin detalle'}`, {
+            tipo: 'SOAP_FAULT', status, detalle: fault
+        });
+    }
+    return body;
+}
+
+class SriClient {
+    /**
+     * @param {string|number} ambiente - '1' pruebas, '2' producción
+     * @param {object} [opciones]
+     * @param {number} [opciones.timeout=10000] - ms por petición
+     * @param {number} [opciones.reintentos=3] - intentos ante fallos de red/HTTP
+     */
+    constructor(ambiente, { timeout = 10000, reintentos = 3 } = {}) {
+        this.urls = urlsPorAmbiente(ambiente);
+        this.timeout = timeout;
+        this.reintentos = Math.max(1, reintentos);
+    }
+
+    // ─── HELPER: Reintento automático para conexiones inestables del SRI ──────────
+    // Si el SRI corta la conexión o responde 5xx/HTML, reintenta esperando 2s, 4s...
+    // Los SOAP Fault y las respuestas ilegibles no se reintentan aquí: decide la cola.
+    async llamar(url, sobre) {
+        for (let intento = 1; intento <= this.reintentos; intento++) {
+            try {
+                let res;
+                try {
+                    res = await axios.post(url, sobre, {
+                        headers: { 'Content-Type': 'text/xml' },
+                        timeout: this.timeout,
+                        responseType: 'text',
+                        transformResponse: d => d
+                    });
+                } catch (err) {
+                    if (!err.response) {
+                        throw new SriError(`Sin conexión con el SRI (${err.code || err.message}).`, {
+                            tipo: 'RED',
+                            reintentable: CODIGOS_RED_REINTENTABLES.includes(err.code) || !err.code
+                        });
+                    }
+                    // Los SOAP Fault llegan con HTTP 500: si el cuerpo es un sobre, se lee igual
+                    const cuerpo = leerCuerpoSoap(err.response.data, err.response.status);
+                    throw new SriError(`El SRI respondió HTTP ${err.response.status}.`, {
+                        tipo: 'HTTP', status: err.response.status, detalle: cuerpo
+                    });
+                }
+                return leerCuerpoSoap(res.data, res.status);
+
+            } catch (err) {
+                const reintentar = err instanceof SriError && err.reintentable &&
+                    ['RED', 'HTTP', 'HTML'].includes(err.tipo) && intento < this.reintentos;
+                if (!reintentar) throw err;
+
+                const espera = intento * 2000; // 2s → 4s → 6s
+                console.warn(`[SRI] ⚠️ Intento ${intento}/${this.reintentos} fallido (${err.message}). Reintentando en ${espera / 1000}s...`);
+                await new Promise(r => setTimeout(r, espera));
+            }
+        }
+    }
+
+    /**
+     * Recepción: envía el XML firmado.
+     * @param {string|Buffer} xml
+     * @returns {Promise<{estado: string, mensajes: Array, comprobantes: Array}>}
+     *   estado RECIBIDA o DEVUELTA; `mensajes` junta los de todos los comprobantes.
+     */
+    async validarComprobante(xml) {
+        const xmlBase64 = Buffer.from(xml).toString('base64');
+        const sobre = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ec="http://ec.gob.sri.ws.recepcion"><soapenv:Body><ec:validarComprobante><xml>${xmlBase64}</xml></ec:validarComprobante></soapenv:Body></soapenv:Envelope>`;
+
+        const body = await this.llamar(this.urls.recepcion, sobre);
+        const respuesta = body.validarComprobanteResponse && body.validarComprobanteResponse.RespuestaRecepcionComprobante;
+        if (!respuesta || !respuesta.estado) {
+            throw new SriError('Respuesta de recepción sin estado.', { tipo: 'RESPUESTA_INVALIDA', detalle: body });
+        }
+
+        const comprobantes = aArray(respuesta.comprobantes && respuesta.comprobantes.comprobante).map(c => ({
+            claveAcceso: c.claveAcceso || null,
+            mensajes: normalizarMensajes(c.mensajes)
+        }));
+
+        return {
+            estado: respuesta.estado,
+            comprobantes,
+            mensajes: comprobantes.flatMap(c => c.mensajes)
+        };
+    }
+
+    /**
+     * Autorización: consulta la clave de acceso.
+     * @param {string} claveAcceso
+     * @returns {Promise<object>} { encontrado, estado, numeroAutorizacion, fechaAutorizacion,
+     *   ambiente, comprobante, mensajes }. Sin autorizaciones: encontrado=false y estado=null.
+     */
+    async autorizacionComprobante(claveAcceso) {
+        const sobre = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ec="http://ec.gob.sri.ws.autorizacion"><soapenv:Body><ec:autorizacionComprobante><claveAccesoComprobante>${claveAcceso}</claveAccesoComprobante></ec:autorizacionComprobante></soapenv:Body></soapenv:Envelope>`;
+
+        const body = await this.llamar(this.urls.autorizacion, sobre);
+        const respuesta = body.autorizacionComprobanteResponse && body.autorizacionComprobanteResponse.RespuestaAutorizacionComprobante;
+        if (!respuesta) {
+            throw new SriError('Respuesta de autorización vacía.', { tipo: 'RESPUESTA_INVALIDA', detalle: body });
+        }
+
+        const autorizaciones = aArray(respuesta.autorizaciones && respuesta.autorizaciones.autorizacion);
+        if (autorizaciones.length === 0) {
+            return { encontrado: false, estado: null, claveAcceso, mensajes: [] };
+        }
+
+        // Una clave puede tener intentos previos rechazados: manda la autorización vigente
+        const autorizacion = autorizaciones.find(a => a.estado === 'AUTORIZADO') || autorizaciones[0];
+
+        return {
+            encontrado: true,
+            estado: autorizacion.estado,
+            claveAcceso,
+            numeroAutorizacion: autorizacion.numeroAutorizacion || null,
+            fechaAutorizacion: autorizacion.fechaAutorizacion || null,
+            ambiente: autorizacion.ambiente || null,
+            comprobante: autorizacion.comprobante || null,
+            mensajes: normalizarMensajes(autorizacion.mensajes)
+        };
+    }
+}
+
+module.exports = { URLS_SRI, SriClient, SriError, normalizarMensajes };
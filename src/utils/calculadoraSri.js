@@ -1,107 +1,461 @@
 const pool = require('../database/index');
-const { encrypt, decrypt, generarClaveAcceso } = require('../utils/cryptoUtils');
-const { signInvoiceXmlCustom } = require('../services/signer');
 const { uploadFile, downloadFile, minioClient } = require('../services/storageService');
 const { generarPDFStream } = require('../services/rideService');
-const { create } = require('xmlbuilder2');
-const forge = require('node-forge');
-const { DateTime } = require('luxon');
-const { XMLParser } = require('fast-xml-parser'); 
-const parser = new XMLParser({ ignoreAttributes: false }); 
-const axios = require('axios');
+const { rechazo, emitirComprobante, previsualizarComprobante, reenviarComprobante } = require('../services/emisionService');
+const { validarComprador, datosComprador } = require('./identificacionSri');
+const { validarPagos, pagosXml } = require('./formasPago');
+const { validarInfoAdicional, validarDetallesAdicionales, infoAdicionalXml, detallesAdicionalesXml } = require('./infoAdicionalSri');
+const { validarExportacion, exportacionXml } = require('./exportacionSri');
+const { procesarReembolso } = require('./reembolsoSri');
+const { SriClient } = require('../services/sriClient');
+const { TIPO_TRABAJO, reclamarTrabajoDe, completarTrabajo, fallarTrabajo } = require('../services/colaService');
+const { columnasErrorSri, errorPrincipal, describirErrorSri } = require('./erroresSri');
 const { notificarCambioEstado } = require('../workers/notifierService'); 
 const emailService = require('../services/mailService');
+const Decimal = require('decimal.js');
+const { IMPUESTO, TARIFAS_IVA_ADMITIDAS, codigoImpuesto, buscarCodigoImpuesto, buscarIvaPorTarifa } = require('./codigosImpuesto');
 
-// Mapeo de códigos SRI actualizado al 2026
-const CODIGOS_IVA = {
-    0:  { codigo: '2', codigoPorcentaje: '0' }, // 0%
-    12: { codigo: '2', codigoPorcentaje: '2' }, // 12%
-    15: { codigo: '2', codigoPorcentaje: '4' }, // 15% (Esencial para evitar tu error)
-    5:  { codigo: '2', codigoPorcentaje: '5' }  // 5% (Construcción)
-};
+// Aritmética decimal exacta: el SRI redondea a 2 decimales "mitad hacia arriba" (0.005 → 0.01)
+const Dec = Decimal.clone({ precision: 40, rounding: Decimal.ROUND_HALF_UP });
+
+// Factura v1.1.0: cantidad y precioUnitario admiten hasta 6 decimales; el resto de valores, 2
+const MAX_DECIMALES_UNITARIOS = 6;
+const MAX_DECIMALES_VALOR = 2;
+
+// Tope legal del cargo por servicio (propina): 10% del subtotal sin impuestos
+const PROPINA_MAXIMA_PORCENTAJE = 10;
+
+const esNumero = (valor) => (typeof valor === 'number' && Number.isFinite(valor)) ||
+    (typeof valor === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(valor));
+
+/**
+ * Cantidades y precios unitarios: al menos 2 decimales, hasta 6 sin ceros sobrantes
+ * (1 → "1.00", 1.5 → "1.50", 0.333333 → "0.333333").
+ */
+function formatearUnitario(valor) {
+    const d = new Dec(valor).toDecimalPlaces(MAX_DECIMALES_UNITARIOS);
+    return d.decimalPlaces() <= 2 ? d.toFixed(2) : d.toFixed();
+}
+
+const nombreImpuesto = (codigo) => Object.keys(IMPUESTO).find(nombre => IMPUESTO[nombre] === codigo);
+
+// Las entradas de `impuestos` sin 'impuesto' ni 'codigo' son IVA (formato anterior a ICE/IRBPNR)
+const impuestoDeEntrada = (entrada) => codigoImpuesto(
+    entrada.impuesto !== undefined ? entrada.impuesto : (entrada.codigo !== undefined ? entrada.codigo : IMPUESTO.IVA)
+);
+
+/**
+ * IVA de un item según el catálogo: por código (`codigoPorcentajeIva`, p. ej. '6' no objeto
+ * o '7' exento) o por tarifa numérica (`tarifaIva`, 15 o 0.15). Sin ninguno de los dos, IVA 0%.
+ * @returns {{ campo: string, valor: *, iva: object|null }} iva es null si no existe en el catálogo
+ */
+function ivaDelItem(item) {
+    const impuestos = Array.isArray(item.impuestos) ? item.impuestos : [];
+    const j = impuestos.findIndex(entrada => impuestoDeEntrada(entrada) === IMPUESTO.IVA);
+    const impuestoIva = j >= 0 ? impuestos[j] : {};
+
+    if (item.codigoPorcentajeIva !== undefined) {
+        return { campo: 'codigoPorcentajeIva', valor: item.codigoPorcentajeIva, iva: buscarCodigoImpuesto(IMPUESTO.IVA, item.codigoPorcentajeIva) };
+    }
+    if (item.tarifaIva !== undefined) {
+        return { campo: 'tarifaIva', valor: item.tarifaIva, iva: buscarIvaPorTarifa(item.tarifaIva) };
+    }
+    if (impuestoIva.codigoPorcentaje !== undefined) {
+        return { campo: `impuestos[${j}].codigoPorcentaje`, valor: impuestoIva.codigoPorcentaje, iva: buscarCodigoImpuesto(IMPUESTO.IVA, impuestoIva.codigoPorcentaje) };
+    }
+    if (impuestoIva.tarifa !== undefined) {
+        return { campo: `impuestos[${j}].tarifa`, valor: impuestoIva.tarifa, iva: buscarIvaPorTarifa(impuestoIva.tarifa) };
+    }
+    return { campo: 'tarifaIva', valor: 0, iva: buscarIvaPorTarifa(0) };
+}
+
+/**
+ * ICE e IRBPNR declarados en `impuestos` del item, p. ej.
+ * [{ impuesto: 'ICE', codigoPorcentaje: '3610' }, { impuesto: 'IRBPNR', codigoPorcentaje: '5001' }].
+ * `tarifa` es obligatoria cuando el catálogo no la fija; `valor` reemplaza el cálculo
+ * (ICE específico por litro o grado alcohólico).
+ * @returns {Array<{ entrada: object, indice: number, codigo: string|null }>} codigo null si el impuesto no existe
+ */
+function impuestosAdicionales(item) {
+    const impuestos = Array.isArray(item.impuestos) ? item.impuestos : [];
+    return impuestos
+        .map((entrada, indice) => ({ entrada, indice, codigo: impuestoDeEntrada(entrada) }))
+        .filter(({ codigo }) => codigo !== IMPUESTO.IVA);
+}
+
+/**
+ * Valor de un ICE o IRBPNR de la línea: ad valorem sobre la base, específico por unidad
+ * vendida, o el `valor` enviado.
+ */
+function calcularImpuestoAdicional(codigo, entrada, cantidad, base) {
+    const info = buscarCodigoImpuesto(codigo, entrada.codigoPorcentaje);
+    if (!info) throw new Error(`Impuesto no reconocido (${nombreImpuesto(codigo) || codigo}: ${entrada.codigoPorcentaje}).`);
+
+    const tarifa = new Dec(info.tarifa !== null ? info.tarifa : (entrada.tarifa || 0));
+    let valor;
+    if (entrada.valor !== undefined) {
+        valor = new Dec(entrada.valor);
+    } else if (info.tipo === 'especifico') {
+        valor = cantidad.times(tarifa);
+    } else {
+        valor = base.times(tarifa).div(100);
+    }
+
+    return {
+        codigo: info.codigo,
+        codigoPorcentaje: info.codigoPorcentaje,
+        tarifa,
+        baseImponible: base,
+        valor: valor.toDecimalPlaces(MAX_DECIMALES_VALOR)
+    };
+}
+
+/**
+ * Errores de los ICE/IRBPNR de un item: impuesto y código del catálogo, uno de cada tipo
+ * por línea y tarifa o valor cuando el catálogo no fija la tarifa.
+ */
+function validarImpuestosAdicionales(item, ruta, opciones) {
+    const errores = [];
+    const vistos = {};
+
+    impuestosAdicionales(item).forEach(({ entrada, indice, codigo }) => {
+        const rutaImpuesto = `${ruta}.impuestos[${indice}]`;
+        if (!codigo) {
+            errores.push({ campo: `${rutaImpuesto}.impuesto`, mensaje: `${rutaImpuesto}.impuesto '${entrada.impuesto !== undefined ? entrada.impuesto : entrada.codigo}' no es un impuesto admitido (IVA, ICE, IRBPNR).` });
+            return;
+        }
+        const nombre = nombreImpuesto(codigo);
+        if (vistos[codigo]) {
+            errores.push({ campo: `${ruta}.impuestos`, mensaje: `${ruta}.impuestos: solo se admite un ${nombre} por item.` });
+            return;
+        }
+        vistos[codigo] = true;
+
+        if (opciones.preciosIncluyenIva) {
+            errores.push({ campo: rutaImpuesto, mensaje: `${rutaImpuesto}: ${nombre} no se admite con precios_incluyen_iva.` });
+            return;
+        }
+        const info = buscarCodigoImpuesto(codigo, entrada.codigoPorcentaje);
+        if (!info) {
+            errores.push({ campo: `${rutaImpuesto}.codigoPorcentaje`, mensaje: `${rutaImpuesto}.codigoPorcentaje '${entrada.codigoPorcentaje}' no existe en el catálogo de ${nombre} del SRI.` });
+            return;
+        }
+
+        ['tarifa', 'valor'].forEach(campo => {
+            if (entrada[campo] === undefined) return;
+            if (!esNumero(entrada[campo]) || new Dec(entrada[campo]).lt(0)) {
+                errores.push({ campo: `${rutaImpuesto}.${campo}`, mensaje: `${rutaImpuesto}.${campo} debe ser numérico y mayor o igual a cero.` });
+            } else if (new Dec(entrada[campo]).decimalPlaces() > MAX_DECIMALES_VALOR) {
+                errores.push({ campo: `${rutaImpuesto}.${campo}`, mensaje: `${rutaImpuesto}.${campo} admite máximo ${MAX_DECIMALES_VALOR} decimales.` });
+            } else if (campo === 'tarifa' && info.tarifa !== null && !new Dec(entrada.tarifa).eq(info.tarifa)) {
+                errores.push({ campo: `${rutaImpuesto}.tarifa`, mensaje: `${rutaImpuesto}.tarifa ${entrada.tarifa} no coincide con la del código ${info.codigoPorcentaje} (${info.tarifa}).` });
+            }
+        });
+        if (info.tarifa === null && entrada.tarifa === undefined && entrada.valor === undefined) {
+            errores.push({ campo: rutaImpuesto, mensaje: `${rutaImpuesto} requiere 'tarifa' o 'valor': la tarifa del código ${info.codigoPorcentaje} la fija el SRI por resolución.` });
+        }
+    });
+
+    return errores;
+}
+
+/**
+ * Valida los valores numéricos y los impuestos de los items antes de calcular.
+ * @param {Array} items
+ * @param {object} [opciones] - Las mismas de calcularTotalesEImpuestos
+ * @returns {Array<{ campo: string, mensaje: string }>} Errores por campo (vacío si todo es válido)
+ */
+function validarItems(items, opciones = {}) {
+    const errores = [];
+
+    items.forEach((item, i) => {
+        const ruta = `items[${i}]`;
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errores.push({ campo: ruta, mensaje: `${ruta} debe ser un objeto.` });
+            return;
+        }
+        const precio = item.precioUnitario !== undefined ? item.precioUnitario : item.precio;
+        const campos = [
+            ['cantidad', item.cantidad, MAX_DECIMALES_UNITARIOS, true],
+            ['precioUnitario', precio === undefined ? 0 : precio, MAX_DECIMALES_UNITARIOS, false],
+            ['descuento', item.descuento === undefined ? 0 : item.descuento, MAX_DECIMALES_VALOR, false]
+        ];
+
+        let valido = true;
+        campos.forEach(([campo, valor, maxDecimales, positivo]) => {
+            if (!esNumero(valor)) {
+                errores.push({ campo: `${ruta}.${campo}`, mensaje: `${ruta}.${campo} debe ser numérico.` });
+                valido = false;
+                return;
+            }
+            const d = new Dec(valor);
+            if (positivo ? d.lte(0) : d.lt(0)) {
+                errores.push({ campo: `${ruta}.${campo}`, mensaje: `${ruta}.${campo} debe ser ${positivo ? 'mayor a cero' : 'mayor o igual a cero'}.` });
+                valido = false;
+            } else if (d.decimalPlaces() > maxDecimales) {
+                errores.push({ campo: `${ruta}.${campo}`, mensaje: `${ruta}.${campo} admite máximo ${maxDecimales} decimales.` });
+                valido = false;
+            }
+        });
+
+        if (valido && new Dec(item.descuento || 0).gt(new Dec(item.cantidad).times(precio || 0).toDecimalPlaces(MAX_DECIMALES_VALOR))) {
+            errores.push({ campo: `${ruta}.descuento`, mensaje: `${ruta}.descuento no puede superar el subtotal del item.` });
+        }
+
+        // Una tarifa desconocida no puede caer en silencio a IVA 0%: la factura saldría mal
+        const { campo, valor, iva } = ivaDelItem(item);
+        if (!iva) {
+            errores.push({
+                campo: `${ruta}.${campo}`,
+                mensaje: campo.includes('codigoPorcentaje')
+                    ? `${ruta}.${campo} '${valor}' no existe en el catálogo de IVA del SRI.`
+                    : `${ruta}.${campo} '${valor}' no es una tarifa de IVA vigente (${TARIFAS_IVA_ADMITIDAS.join(', ')}).`
+            });
+        }
+        errores.push(...validarImpuestosAdicionales(item, ruta, opciones));
+        errores.push(...validarDetallesAdicionales(item.detalles_adicionales, ruta));
+
+        // Bienes subsidiados (p. ej. GLP): precio sin subsidio por unidad, solo en facturas
+        if (item.precioSinSubsidio !== undefined) {
+            if (!opciones.admiteSubsidio) {
+                errores.push({ campo: `${ruta}.precioSinSubsidio`, mensaje: `${ruta}.precioSinSubsidio solo se admite en facturas.` });
+            } else if (opciones.preciosIncluyenIva) {
+                errores.push({ campo: `${ruta}.precioSinSubsidio`, mensaje: `${ruta}.precioSinSubsidio no se admite con precios_incluyen_iva.` });
+            } else if (!esNumero(item.precioSinSubsidio) || new Dec(item.precioSinSubsidio).lt(0)) {
+                errores.push({ campo: `${ruta}.precioSinSubsidio`, mensaje: `${ruta}.precioSinSubsidio debe ser numérico y mayor o igual a cero.` });
+            } else if (new Dec(item.precioSinSubsidio).decimalPlaces() > MAX_DECIMALES_UNITARIOS) {
+                errores.push({ campo: `${ruta}.precioSinSubsidio`, mensaje: `${ruta}.precioSinSubsidio admite máximo ${MAX_DECIMALES_UNITARIOS} decimales.` });
+            } else if (valido && new Dec(item.precioSinSubsidio).lt(precio || 0)) {
+                errores.push({ campo: `${ruta}.precioSinSubsidio`, mensaje: `${ruta}.precioSinSubsidio no puede ser menor que el precio unitario.` });
+            }
+        }
+    });
+
+    return errores;
+}
+
+/**
+ * Opciones de cálculo de una factura a partir de su payload (mismas en la validación,
+ * la emisión y la cola de /invoices/emit).
+ */
+function opcionesDeCalculo(facturaData) {
+    return {
+        preciosIncluyenIva: facturaData.precios_incluyen_iva === true,
+        propina: facturaData.propina,
+        propinaPorcentaje: facturaData.propina_porcentaje,
+        admiteSubsidio: true
+    };
+}
+
+/**
+ * Propina (cargo por servicio): monto o porcentaje del subtotal sin impuestos.
+ * Un valor inválido se calcula como 0; validarPropina lo rechaza antes de emitir.
+ */
+function calcularPropina(opciones, totalSinImpuestos) {
+    if (opciones.propinaPorcentaje !== undefined) {
+        return esNumero(opciones.propinaPorcentaje)
+            ? totalSinImpuestos.times(opciones.propinaPorcentaje).div(100).toDecimalPlaces(MAX_DECIMALES_VALOR)
+            : new Dec(0);
+    }
+    return opciones.propina !== undefined && esNumero(opciones.propina)
+        ? new Dec(opciones.propina)
+        : new Dec(0);
+}
+
+/**
+ * Valida la propina ya calculada contra el tope del 10% del subtotal sin impuestos.
+ * @param {object} opciones - Las de calcularTotalesEImpuestos
+ * @param {object} totales - totales de calcularTotalesEImpuestos
+ * @returns {Array<{ campo: string, mensaje: string }>} Errores (vacío si es válida o no hay propina)
+ */
+function validarPropina(opciones, totales) {
+    const { propina, propinaPorcentaje } = opciones;
+    if (propina === undefined && propinaPorcentaje === undefined) return [];
+    if (propina !== undefined && propinaPorcentaje !== undefined) {
+        return [{ campo: 'propina', mensaje: "Indique 'propina' o 'propina_porcentaje', no ambos." }];
+    }
+
+    if (propinaPorcentaje !== undefined) {
+        if (!esNumero(propinaPorcentaje) || new Dec(propinaPorcentaje).lt(0) || new Dec(propinaPorcentaje).gt(PROPINA_MAXIMA_PORCENTAJE)) {
+            return [{ campo: 'propina_porcentaje', mensaje: `'propina_porcentaje' debe ser numérico, entre 0 y ${PROPINA_MAXIMA_PORCENTAJE}.` }];
+        }
+        return [];
+    }
+
+    if (!esNumero(propina) || new Dec(propina).lt(0)) {
+        return [{ campo: 'propina', mensaje: "'propina' debe ser numérica y mayor o igual a cero." }];
+    }
+    if (new Dec(propina).decimalPlaces() > MAX_DECIMALES_VALOR) {
+        return [{ campo: 'propina', mensaje: `'propina' admite máximo ${MAX_DECIMALES_VALOR} decimales.` }];
+    }
+    const tope = new Dec(totales.totalSinImpuestos).times(PROPINA_MAXIMA_PORCENTAJE).div(100).toDecimalPlaces(MAX_DECIMALES_VALOR);
+    if (new Dec(propina).gt(tope)) {
+        return [{
+            campo: 'propina',
+            mensaje: `La propina (${new Dec(propina).toFixed(2)}) supera el ${PROPINA_MAXIMA_PORCENTAJE}% del subtotal sin impuestos (máximo ${tope.toFixed(2)}).`
+        }];
+    }
+    return [];
+}
 
 /**
- * Recibe items simples y devuelve la estructura compleja del SRI
+ * Desglosa una línea con precios que ya incluyen IVA (precios de vitrina/POS).
+ * El total bruto de la línea (cantidad × precio − descuento) se conserva al centavo:
+ *  - base = total bruto / (1 + tarifa), redondeada a 2 decimales
+ *  - IVA  = total bruto − base (difiere de base × tarifa en menos de 0.01, tolerancia del SRI)
+ *  - precio unitario neto con 6 decimales y el descuento neto absorbe el residuo, para que
+ *    cantidad × precioUnitario − descuento siga dando exactamente la base
  */
-function calcularTotalesEImpuestos(items) {
-    let totalSinImpuestos = 0;
-    let totalDescuento = 0;
+function desglosarPrecioConIva(cantidad, precioBruto, descuentoBruto, tarifa) {
+    const factor = new Dec(1).plus(new Dec(tarifa).div(100));
+    const totalBruto = cantidad.times(precioBruto).minus(descuentoBruto).toDecimalPlaces(MAX_DECIMALES_VALOR);
+    const base = totalBruto.div(factor).toDecimalPlaces(MAX_DECIMALES_VALOR);
+
+    let precioUnitario = precioBruto.div(factor).toDecimalPlaces(MAX_DECIMALES_UNITARIOS, Decimal.ROUND_UP);
+    let residuo = cantidad.times(precioUnitario).minus(base);
+    if (residuo.lt(0)) {
+        // Con cantidades grandes el redondeo del unitario puede quedar corto: se sube lo justo
+        precioUnitario = precioUnitario.plus(residuo.neg().div(cantidad).toDecimalPlaces(MAX_DECIMALES_UNITARIOS, Decimal.ROUND_UP));
+        residuo = cantidad.times(precioUnitario).minus(base);
+    }
+
+    return {
+        precioUnitario,
+        descuento: residuo.toDecimalPlaces(MAX_DECIMALES_VALOR),
+        precioTotalSinImpuesto: base,
+        valorImpuesto: totalBruto.minus(base)
+    };
+}
+
+/**
+ * Recibe items simples y devuelve la estructura compleja del SRI.
+ * Cada detalle se redondea a 2 decimales y los totales de cabecera son la suma
+ * de esos valores ya redondeados, como los recalcula el SRI.
+ * Por línea se calcula primero el ICE y el IRBPNR; el ICE forma parte de la base del IVA.
+ *
+ * @param {Array} items
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.preciosIncluyenIva] - precioUnitario y descuento vienen con IVA incluido;
+ *        se desglosan por línea y el importeTotal coincide con el total bruto cobrado
+ * @param {number|string} [opciones.propina] - Propina en dólares (se suma al importeTotal)
+ * @param {number|string} [opciones.propinaPorcentaje] - O como porcentaje del subtotal sin impuestos
+ */
+function calcularTotalesEImpuestos(items, opciones = {}) {
+    const { preciosIncluyenIva = false } = opciones;
+    let totalSinImpuestos = new Dec(0);
+    let totalDescuento = new Dec(0);
+    let totalSubsidio = new Dec(0);
     const impuestosAcumulados = {};
 
     const detallesXml = items.map(item => {
-        const cantidad = parseFloat(item.cantidad);
-        const precioUnitario = parseFloat(item.precioUnitario || item.precio || 0);
-        const descuento = parseFloat(item.descuento || 0);
-
-        const precioTotalSinImpuesto = (cantidad * precioUnitario) - descuento;
-        totalSinImpuestos += precioTotalSinImpuesto;
-        totalDescuento += descuento;
-
-        // --- LÓGICA DE NORMALIZACIÓN DE TARIFA ---
-        let tarifaRaw = 0;
-        if (item.tarifaIva !== undefined) {
-            tarifaRaw = parseFloat(item.tarifaIva);
-        } else if (item.impuestos && item.impuestos.length > 0) {
-            tarifaRaw = parseFloat(item.impuestos[0].tarifa || 0);
+        const cantidad = new Dec(item.cantidad).toDecimalPlaces(MAX_DECIMALES_UNITARIOS);
+        let precioUnitario = new Dec(item.precioUnitario || item.precio || 0).toDecimalPlaces(MAX_DECIMALES_UNITARIOS);
+        let descuento = new Dec(item.descuento || 0).toDecimalPlaces(MAX_DECIMALES_VALOR);
+
+        // Tarifa según el catálogo del SRI (validarItems ya rechazó las desconocidas)
+        const { campo, valor, iva: infoSri } = ivaDelItem(item);
+        if (!infoSri) throw new Error(`Tarifa de IVA no reconocida (${campo}: ${valor}).`);
+        const tarifa = infoSri.tarifa;
+
+        let precioTotalSinImpuesto, valorImpuesto, baseIva;
+        let adicionales = [];
+        if (preciosIncluyenIva) {
+            if (impuestosAdicionales(item).length > 0) throw new Error('precios_incluyen_iva no admite items con ICE o IRBPNR.');
+            ({ precioUnitario, descuento, precioTotalSinImpuesto, valorImpuesto } =
+                desglosarPrecioConIva(cantidad, precioUnitario, descuento, tarifa));
+            baseIva = precioTotalSinImpuesto;
+        } else {
+            precioTotalSinImpuesto = cantidad.times(precioUnitario).minus(descuento).toDecimalPlaces(MAX_DECIMALES_VALOR);
+            adicionales = impuestosAdicionales(item).map(({ codigo, entrada }) =>
+                calcularImpuestoAdicional(codigo, entrada, cantidad, precioTotalSinImpuesto));
+            const valorIce = adicionales
+                .filter(imp => imp.codigo === IMPUESTO.ICE)
+                .reduce((suma, imp) => suma.plus(imp.valor), new Dec(0));
+            baseIva = precioTotalSinImpuesto.plus(valorIce);
+            valorImpuesto = baseIva.times(tarifa).div(100).toDecimalPlaces(MAX_DECIMALES_VALOR);
         }
-
-        // Si mandas 0.15, lo convertimos a 15. Si mandas 15, se queda en 15.
-        const tarifa = (tarifaRaw > 0 && tarifaRaw < 1) ? tarifaRaw * 100 : tarifaRaw;
-
-        // Buscamos en el mapa. Si no existe (ej. mandaste 50), por seguridad cae en IVA 0
-        const infoSri = CODIGOS_IVA[tarifa] || CODIGOS_IVA[0];
-        
-        const valorImpuesto = precioTotalSinImpuesto * (tarifa / 100);
-
-        // Acumular para el bloque <totalConImpuestos>
-        if (!impuestosAcumulados[tarifa]) {
-            impuestosAcumulados[tarifa] = {
-                codigo: infoSri.codigo,
-                codigoPorcentaje: infoSri.codigoPorcentaje,
-                baseImponible: 0,
-                valor: 0,
-                tarifa: tarifa
-            };
+        totalSinImpuestos = totalSinImpuestos.plus(precioTotalSinImpuesto);
+        totalDescuento = totalDescuento.plus(descuento);
+
+        // Subsidio de la línea: lo que el comprador dejó de pagar por unidad subsidiada
+        const precioSinSubsidio = item.precioSinSubsidio !== undefined
+            ? new Dec(item.precioSinSubsidio).toDecimalPlaces(MAX_DECIMALES_UNITARIOS)
+            : null;
+        if (precioSinSubsidio) {
+            totalSubsidio = totalSubsidio.plus(
+                precioSinSubsidio.minus(precioUnitario).times(cantidad).toDecimalPlaces(MAX_DECIMALES_VALOR));
         }
-        impuestosAcumulados[tarifa].baseImponible += precioTotalSinImpuesto;
-        impuestosAcumulados[tarifa].valor += valorImpuesto;
+
+        const impuestosLinea = [{
+            codigo: infoSri.codigo,
+            codigoPorcentaje: infoSri.codigoPorcentaje,
+            tarifa: new Dec(tarifa),
+            baseImponible: baseIva,
+            valor: valorImpuesto
+        }, ...adicionales];
+
+        // Acumular para el bloque <totalConImpuestos> (suma de valores ya redondeados)
+        // Una entrada por impuesto y codigoPorcentaje: IVA 0%, no objeto y exento van por separado
+        impuestosLinea.forEach(imp => {
+            const clave = `${imp.codigo}-${imp.codigoPorcentaje}`;
+            if (!impuestosAcumulados[clave]) {
+                impuestosAcumulados[clave] = {
+                    codigo: imp.codigo,
+                    codigoPorcentaje: imp.codigoPorcentaje,
+                    baseImponible: new Dec(0),
+                    valor: new Dec(0),
+                    tarifa: imp.tarifa
+                };
+            }
+            impuestosAcumulados[clave].baseImponible = impuestosAcumulados[clave].baseImponible.plus(imp.baseImponible);
+            impuestosAcumulados[clave].valor = impuestosAcumulados[clave].valor.plus(imp.valor);
+        });
 
         return {
             codigoPrincipal: item.codigoPrincipal || item.codigo,
             descripcion: item.descripcion || item.nombre,
-            cantidad: cantidad.toFixed(2),
-            precioUnitario: precioUnitario.toFixed(2),
+            cantidad: formatearUnitario(cantidad),
+            precioUnitario: formatearUnitario(precioUnitario),
+            ...(precioSinSubsidio ? { precioSinSubsidio: formatearUnitario(precioSinSubsidio) } : {}),
             descuento: descuento.toFixed(2),
             precioTotalSinImpuesto: precioTotalSinImpuesto.toFixed(2),
-            impuestos: { // El SRI espera un objeto o array dependiendo del parser, usualmente objeto
-                impuesto: {
-                    codigo: infoSri.codigo,
-                    codigoPorcentaje: infoSri.codigoPorcentaje,
-                    tarifa: tarifa.toString(),
-                    baseImponible: precioTotalSinImpuesto.toFixed(2),
-                    valor: valorImpuesto.toFixed(2)
-                }
+            ...detallesAdicionalesXml(item.detalles_adicionales),
+            impuestos: {
+                impuesto: impuestosLinea.map(imp => ({
+                    codigo: imp.codigo,
+                    codigoPorcentaje: imp.codigoPorcentaje,
+                    tarifa: imp.tarifa.toString(),
+                    baseImponible: imp.baseImponible.toFixed(2),
+                    valor: imp.valor.toFixed(2)
+                }))
             }
         };
     });
 
-    const totalConImpuestosXml = Object.values(impuestosAcumulados).map(imp => ({
+    const acumulados = Object.values(impuestosAcumulados);
+    const totalConImpuestosXml = acumulados.map(imp => ({
         codigo: imp.codigo,
         codigoPorcentaje: imp.codigoPorcentaje,
         baseImponible: imp.baseImponible.toFixed(2),
         valor: imp.valor.toFixed(2)
     }));
 
-    const totalIvaGeneral = Object.values(impuestosAcumulados).reduce((sum, imp) => sum + imp.valor, 0);
-    const importeTotal = totalSinImpuestos + totalIvaGeneral;
-
-    let subtotal_0 = 0;
-    let subtotal_iva = 0;
-    Object.values(impuestosAcumulados).forEach(imp => {
-        if (imp.tarifa === 0) {
-            subtotal_0 += imp.baseImponible;
+    const totalPorImpuesto = (codigo) => acumulados
+        .filter(imp => imp.codigo === codigo)
+        .reduce((suma, imp) => suma.plus(imp.valor), new Dec(0));
+    const totalIvaGeneral = totalPorImpuesto(IMPUESTO.IVA);
+    const totalIce = totalPorImpuesto(IMPUESTO.ICE);
+    const totalIrbpnr = totalPorImpuesto(IMPUESTO.IRBPNR);
+    const propina = calcularPropina(opciones, totalSinImpuestos);
+    const importeTotal = totalSinImpuestos.plus(totalIvaGeneral).plus(totalIce).plus(totalIrbpnr).plus(propina);
+
+    let subtotal_0 = new Dec(0);
+    let subtotal_iva = new Dec(0);
+    acumulados.filter(imp => imp.codigo === IMPUESTO.IVA).forEach(imp => {
+        if (imp.tarifa.isZero()) {
+            subtotal_0 = subtotal_0.plus(imp.baseImponible);
         } else {
-            subtotal_iva += imp.baseImponible;
+            subtotal_iva = subtotal_iva.plus(imp.baseImponible);
         }
     });
 
@@ -113,340 +467,298 @@ function calcularTotalesEImpuestos(items) {
             totalDescuento: totalDescuento.toFixed(2),
             importeTotal: importeTotal.toFixed(2),
             totalIva: totalIvaGeneral.toFixed(2),
+            totalIce: totalIce.toFixed(2),
+            totalIrbpnr: totalIrbpnr.toFixed(2),
             subtotal_0: subtotal_0.toFixed(2),
-            subtotal_iva: subtotal_iva.toFixed(2)
+            subtotal_iva: subtotal_iva.toFixed(2),
+            propina: propina.toFixed(2),
+            totalSubsidio: totalSubsidio.toFixed(2)
         }
     };
 }
 
 
-const emitirFacturaCore = async (req, res) => {
-    const facturaData = req.body;
-    const emisorId = req.emisor_id;
-
-    // ─────────────────────────────────────────────────────────────
-    // BLOQUE 1: TX RÁPIDA — Solo lecturas y reservas en BD
-    // ─────────────────────────────────────────────────────────────
-    let emisor, puntoEmision, secuencial, calculos, claveAcceso, xmlString;
-    let fechaFormatoSRI, ahoraJS;
+/**
+ * Intento de autorización inmediata (fast-track) tras registrar la factura:
+ * si el SRI responde rápido, el cliente recibe AUTORIZADO en la misma petición.
+ * Cualquier demora deja la factura en manos de los jobs. Devuelve el estado final.
+ *
+ * Al pasar a FIRMADO el trigger ya encoló su trabajo RECEPCION: el fast-track lo
+ * reclama antes de enviar, así el comprobante llega una sola vez al SRI. Si un
+ * worker lo tomó primero, la recepción queda en sus manos.
+ */
+async function intentarAutorizacionInmediata(ctx, xmlFirmado) {
+    const { emisor, emisorId, claveAcceso, secuencial, calculos, id: facturaId } = ctx;
+    const facturaData = ctx.body;
 
-    // Validación estricta de entrada antes de tocar la BD
-    if (!facturaData.establecimiento || !facturaData.punto_emision) {
-        return res.status(400).json({ 
-            ok: false, 
-            mensaje: "Los campos 'establecimiento' y 'punto_emision' son requeridos para la secuencia legal." 
-        });
-    }
-    const client = await pool.pool.connect();
     try {
-        await client.query('BEGIN');
-
-        // 1. Obtener emisor y bloquear créditos
-        const emisorRes = await client.query(`
-            SELECT e.*, c.balance 
-            FROM emisores e 
-            JOIN user_credits c ON e.id = c.emisor_id 
-            WHERE e.id = $1 FOR UPDATE
-        `, [emisorId]);
-
-        emisor = emisorRes.rows[0];
-        if (!emisor || emisor.balance <= 0) {
-            await client.query('ROLLBACK');
-            return res.status(402).json({ ok: false, mensaje: "Créditos insuficientes." });
-        }
+        // Timeouts cortos y sin reintentos: el cliente está esperando la respuesta HTTP
+        const sriRecepcion = new SriClient(emisor.ambiente, { timeout: 8000, reintentos: 1 });
+        const sriAutorizacion = new SriClient(emisor.ambiente, { timeout: 5000, reintentos: 1 });
 
-        // 2. Obtener punto de emisión
-        const ptoRes = await client.query(`
-            SELECT 
-                p.id as punto_id, 
-                p.codigo as punto_codigo, 
-                e.codigo as estab_codigo, 
-                e.direccion as direccion_establecimiento, 
-                e.nombre_comercial as nombre_establecimiento
-            FROM puntos_emision p
-            JOIN establecimientos e ON p.establecimiento_id = e.id
-            WHERE e.codigo = $1 AND p.codigo = $2 AND e.emisor_id = $3
-        `, [facturaData.establecimiento, facturaData.punto_emision, emisorId]);
-
-        if (ptoRes.rowCount === 0) {
-            await client.query('ROLLBACK');
-            return res.status(404).json({ 
-                ok: false, 
-                mensaje: `La combinación Establecimiento [${facturaData.establecimiento}] y Punto [${facturaData.punto_emision}] no existe o no te pertenece.` 
-            });
-        }
-        puntoEmision = ptoRes.rows[0];
-
-        // 3. Generar secuencial atómico
-        const secRes = await client.query('SELECT generar_secuencial($1)', [puntoEmision.punto_id]);
-        const secuencialRaw = secRes.rows[0].generar_secuencial;
-        if (!secuencialRaw) throw new Error(`Secuencial nulo para el punto ${puntoEmision.punto_id}.`);
-        secuencial = secuencialRaw.toString().padStart(9, '0');
-
-        // 4. Lógica de Mitigación (Respaldo de datos)
-        const nombreComercialFinal = puntoEmision.nombre_establecimiento || emisor.nombre_comercial || emisor.razon_social;
-        const direccionEstablecimientoFinal = puntoEmision.direccion_establecimiento || emisor.direccion_matriz;
-
-        // 5. Calcular fechas y totales
-        const ahoraEcuador = DateTime.now().setZone('America/Guayaquil');
-        ahoraJS = ahoraEcuador.toJSDate();
-        const fechaFormatoClave = ahoraEcuador.toFormat('yyyy-MM-dd');
-        fechaFormatoSRI = ahoraEcuador.toFormat('dd/MM/yyyy');
-
-        calculos = calcularTotalesEImpuestos(facturaData.items);
-        
-        claveAcceso = generarClaveAcceso(
-            fechaFormatoClave,
-            '01',
-            emisor.ruc,
-            emisor.ambiente,
-            puntoEmision.estab_codigo + puntoEmision.punto_codigo,
-            secuencial
-        );
-
-        // 6. Construir XML
-        const xmlObj = {
-            factura: {
-                '@id': 'comprobante',
-                '@version': '1.1.0',
-                infoTributaria: {
-                    ambiente: emisor.ambiente,
-                    tipoEmision: '1',
-                    razonSocial: emisor.razon_social,
-                    nombreComercial: nombreComercialFinal,
-                    ruc: emisor.ruc,
-                    claveAcceso: claveAcceso,
-                    codDoc: '01',
-                    estab: puntoEmision.estab_codigo,
-                    ptoEmi: puntoEmision.punto_codigo,
-                    secuencial: secuencial,
-                    dirMatriz: emisor.direccion_matriz
-                },
-                infoFactura: {
-                    fechaEmision: fechaFormatoSRI,
-                    dirEstablecimiento: direccionEstablecimientoFinal,
-                    obligadoContabilidad: emisor.obligado_contabilidad || 'NO',
-                    tipoIdentificacionComprador: facturaData.cliente.tipo_id || facturaData.cliente.tipoId,
-                    razonSocialComprador: facturaData.cliente.nombre || facturaData.cliente.razonSocial,
-                    identificacionComprador: facturaData.cliente.identificacion,
-                    totalSinImpuestos: calculos.totales.totalSinImpuestos,
-                    totalDescuento: calculos.totales.totalDescuento,
-                    totalConImpuestos: { totalImpuesto: calculos.totalConImpuestosXml },
-                    propina: '0.00',
-                    importeTotal: calculos.totales.importeTotal,
-                    moneda: 'DOLAR',
-                    pagos: {
-                        pago: facturaData.pagos.map(p => ({
-                            formaPago: p.forma_pago || p.formaPago || '01',
-                            total: parseFloat(p.total).toFixed(2),
-                            plazo: p.plazo || '0',
-                            unidadTiempo: p.unidad_tiempo || p.unidadTiempo || 'dias'
-                        }))
-                    }
-                },
-                detalles: {
-                    detalle: calculos.detallesXml
-                }
-            }
+        // Preparamos el objeto "factura" para los servicios de notificación
+        // Debe ser igual al SELECT que hacen los Cronjobs
+        const facturaParaNotificar = {
+            id: facturaId,
+            clave_acceso: claveAcceso,
+            email_comprador: facturaData.cliente.email,
+            razon_social_comprador: datosComprador(facturaData.cliente).razonSocial,
+            secuencial: secuencial,
+            importe_total: calculos.totales.importeTotal,
+            pdf_path: `invoices/${emisor.ruc}/${claveAcceso}.pdf`,
+            ambiente: emisor.ambiente,
+            ruc: emisor.ruc,
+            emisor_db_id: emisorId,
+            razon_social: emisor.razon_social
         };
 
-        xmlString = create(xmlObj).end({ prettyPrint: false });
-        if (!xmlString.includes('id="comprobante"')) {
-            xmlString = xmlString.replace('<factura', '<factura id="comprobante"');
+        // 1. RECEPCIÓN, en nombre del trabajo de la cola
+        const trabajo = await reclamarTrabajoDe(facturaId, TIPO_TRABAJO.RECEPCION);
+        if (!trabajo) {
+            console.log(`[FAST-TRACK] ℹ️ La recepción de ${claveAcceso} ya la tomó un worker`);
+            return await estadoDeFactura(facturaId);
         }
 
-        datosFactura = JSON.stringify(xmlObj.factura);
-
-        await client.query('COMMIT');
+        let respRec;
+        try {
+            respRec = await sriRecepcion.validarComprobante(xmlFirmado);
+        } catch (eRec) {
+            // Sin respuesta del SRI: el worker reintenta el trabajo con backoff
+            await fallarTrabajo(trabajo, eRec);
+            throw eRec;
+        }
 
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error("❌ Error en Bloque 1:", error.message);
-        return res.status(500).json({ ok: false, error: error.message });
-    } finally {
-        // ✅ Un solo punto de salida, siempre se ejecuta
-        client.release();
+        if (respRec.estado === 'RECIBIDA') {
+            await pool.query(`UPDATE invoices SET estado = $1, fecha_envio_sri = NOW() WHERE id = $2 AND estado = 'FIRMADO'`, ['RECIBIDA', facturaId]);
+            await completarTrabajo(trabajo);
+            await notificarCambioEstado(facturaParaNotificar, 'RECIBIDA');
+
+            // 2. BUCLE DE AUTORIZACIÓN
+            const pausas = [1200, 1800, 2500];
+
+            for (let ms of pausas) {
+                await new Promise(r => setTimeout(r, ms));
+                try {
+                    const auth = await sriAutorizacion.autorizacionComprobante(claveAcceso);
+
+                    if (auth.estado === 'AUTORIZADO') {
+                        const xmlAuthPath = `authorized/${emisor.ruc}/${claveAcceso}.xml`;
+                        await uploadFile('invoices', xmlAuthPath, Buffer.from(auth.comprobante), 'text/xml');
+
+                        // Actualizar PDF a 'AUTORIZADO' (Igual que Job 2)
+                        const pdfAutorizado = await generarPDFStream(auth.comprobante, emisor, 'AUTORIZADO', auth.fechaAutorizacion);
+                        await minioClient.putObject('invoices', `${emisor.ruc}/${claveAcceso}.pdf`, pdfAutorizado, null, { 'Content-Type': 'application/pdf' });
+
+                        const upd = await pool.query(
+                            `UPDATE invoices SET estado = $1, xml_path = $2, fecha_autorizacion = $3 WHERE id = $4 AND estado = 'RECIBIDA'`,
+                            ['AUTORIZADO', `invoices/${xmlAuthPath}`, auth.fechaAutorizacion, facturaId]
+                        );
+                        // El job de autorización se adelantó: ya notificó y envió el correo
+                        if (upd.rowCount === 0) break;
+
+                        // Notificaciones Instantáneas
+                        await notificarCambioEstado(facturaParaNotificar, 'AUTORIZADO');
+
+                        if (facturaParaNotificar.email_comprador) {
+                            const pdfBuffer = await downloadFile('invoices', `${emisor.ruc}/${claveAcceso}.pdf`);
+                            await emailService.enviarComprobante(facturaParaNotificar.email_comprador, Buffer.from(auth.comprobante), pdfBuffer, {
+                                razonSocialEmisor: emisor.razon_social,
+                                nombreCliente: facturaParaNotificar.razon_social_comprador,
+                                secuencial: secuencial,
+                                claveAcceso: claveAcceso,
+                                total: facturaParaNotificar.importe_total
+                            });
+                        }
+                        console.log(`[FAST-TRACK] ⭐ ÉXITO: ${claveAcceso}`);
+                        break;
+                    } else if (auth.estado === 'RECHAZADO' || auth.estado === 'NO AUTORIZADO') {
+                        const msg = JSON.stringify(auth.mensajes);
+                        const upd = await pool.query(
+                            `UPDATE invoices SET estado = $1, mensajes_sri = $2, sri_error_codigo = $4, sri_error_mensaje = $5, sri_error_info = $6
+                             WHERE id = $3 AND estado = 'RECIBIDA'`,
+                            ['RECHAZADO', msg, facturaId, ...columnasErrorSri(auth.mensajes)]
+                        );
+                        ctx.errorSri = errorPrincipal(auth.mensajes);
+                        if (upd.rowCount > 0) {
+                            await pool.query('UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1', [emisorId]);
+                            await notificarCambioEstado(facturaParaNotificar, 'RECHAZADO', auth.mensajes);
+                        }
+                        break;
+                    }
+                } catch (eAuth) { continue; }
+            }
+        } else if (respRec.estado === 'DEVUELTA') {
+            const errorMsg = JSON.stringify(respRec.mensajes);
+            const upd = await pool.query(
+                `UPDATE invoices SET estado = $1, mensajes_sri = $2, sri_error_codigo = $4, sri_error_mensaje = $5, sri_error_info = $6
+                 WHERE id = $3 AND estado = 'FIRMADO'`,
+                ['DEVUELTA', errorMsg, facturaId, ...columnasErrorSri(respRec.mensajes)]
+            );
+            await completarTrabajo(trabajo);
+            ctx.errorSri = errorPrincipal(respRec.mensajes);
+            if (upd.rowCount > 0) {
+                await pool.query('UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1', [emisorId]);
+                await notificarCambioEstado(facturaParaNotificar, 'DEVUELTA', respRec.mensajes);
+            }
+        } else {
+            // Estado desconocido: el trabajo vuelve a la cola para reintentarlo con backoff
+            await fallarTrabajo(trabajo, new Error(`Respuesta de recepción inesperada: ${respRec.estado}`));
+        }
+    } catch (e) {
+        console.log(`[FAST-TRACK] ℹ️ SRI en modo asíncrono para clave ${claveAcceso}`);
     }
 
-    // ─────────────────────────────────────────────────────────────
-    // BLOQUE 2: FIRMA + PDF — Fuera de cualquier transacción
-    // ─────────────────────────────────────────────────────────────
-    let xmlFirmado, pdfStream;
+    // Consulta final para responder al cliente con el estado real tras el intento
+    return estadoDeFactura(facturaId);
+}
 
-    try {
-        const [bucketP12, ...pathP12] = emisor.p12_path.split('/');
-        const p12Buffer = await downloadFile(bucketP12, pathP12.join('/'));
-        const p12Password = decrypt(emisor.p12_pass);
-        const p12Asn1 = forge.asn1.fromDer(p12Buffer.toString('binary'));
-        const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, p12Password);
-
-        const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
-        const certBag = certBags.find(b => !b.cert.cA) || certBags[certBags.length - 1];
-        const keyBag = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag][0];
-
-        xmlFirmado = signInvoiceXmlCustom(xmlString, certBag, keyBag, p12);
-        pdfStream = await generarPDFStream(xmlFirmado, emisor, 'FIRMADO');
-
-    } catch (error) {
-        console.error("❌ Error en Bloque 2 (firma):", error.message);
-        return res.status(500).json({ ok: false, error: "Error al firmar: " + error.message });
-    }
+async function estadoDeFactura(facturaId) {
+    const finalCheck = await pool.query('SELECT estado FROM invoices WHERE id = $1', [facturaId]);
+    return finalCheck.rows[0].estado;
+}
 
-    // ─────────────────────────────────────────────────────────────
-    // BLOQUE 3: TX FINAL — Subir archivos y registrar en BD
-    // ─────────────────────────────────────────────────────────────
-    const client2 = await pool.pool.connect();
-    try {
-        const xmlPathRelative = `${emisor.ruc}/${claveAcceso}.xml`;
-        const pdfPathRelative = `${emisor.ruc}/${claveAcceso}.pdf`;
-
-        await uploadFile('invoices', xmlPathRelative, Buffer.from(xmlFirmado), 'text/xml');
-        await minioClient.putObject('invoices', pdfPathRelative, pdfStream, null, { 'Content-Type': 'application/pdf' });
-
-        await client2.query('BEGIN');
-
-        await client2.query(`UPDATE user_credits SET balance = balance - 1 WHERE emisor_id = $1`, [emisorId]);
-
-        const insertResult = await client2.query(`
-            INSERT INTO invoices (
-                emisor_id, punto_emision_id, secuencial, fecha_emision, clave_acceso,
-                estado, identificacion_comprador, razon_social_comprador, importe_total,
-                subtotal_iva, subtotal_0, valor_iva, xml_path, pdf_path, datos_factura,
-                email_comprador
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-            RETURNING id
-        `, [
-            emisorId, puntoEmision.punto_id, secuencial, ahoraJS, claveAcceso, 'FIRMADO',
-            facturaData.cliente.identificacion,
-            facturaData.cliente.nombre || facturaData.cliente.razonSocial,
-            calculos.totales.importeTotal, calculos.totales.subtotal_iva,
-            calculos.totales.subtotal_0, calculos.totales.totalIva,
-            `invoices/${xmlPathRelative}`, `invoices/${pdfPathRelative}`,
-            datosFactura,
-            facturaData.cliente.email || null
-        ]);
-
-        const facturaId = insertResult.rows[0].id;
-        await client2.query('COMMIT');
-        try {
-            const URLS_SRI_LOCAL = {
-                1: { rec: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline?wsdl', auth: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline?wsdl' },
-                2: { rec: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline?wsdl', auth: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline?wsdl' }
-            };
+/**
+ * Definición de la Factura (codDoc 01, esquema v1.1.0) para el pipeline de emisión.
+ */
+const FACTURA = {
+    codDoc: '01',
 
-            const urls = URLS_SRI_LOCAL[emisor.ambiente];
-            const xmlBase64 = Buffer.from(xmlFirmado).toString('base64');
-            const { XMLParser } = require('fast-xml-parser');
-            const fastParser = new XMLParser({ ignoreAttributes: false, trimValues: true });
-
-            // Preparamos el objeto "factura" para los servicios de notificación
-            // Debe ser igual al SELECT que hacen los Cronjobs
-            const facturaParaNotificar = {
-                id: facturaId,
-                clave_acceso: claveAcceso,
-                email_comprador: facturaData.cliente.email,
-                razon_social_comprador: facturaData.cliente.nombre || facturaData.cliente.razonSocial,
-                secuencial: secuencial,
-                importe_total: calculos.totales.importeTotal,
-                pdf_path: `invoices/${emisor.ruc}/${claveAcceso}.pdf`,
-                ambiente: emisor.ambiente,
-                ruc: emisor.ruc,
-                emisor_db_id: emisorId,
-                razon_social: emisor.razon_social
-            };
+    validar(facturaData, ctx) {
+        if (!Array.isArray(facturaData.items) || facturaData.items.length === 0) {
+            return rechazo(400, "Debe indicar al menos un item.");
+        }
+        if (facturaData.precios_incluyen_iva !== undefined && typeof facturaData.precios_incluyen_iva !== 'boolean') {
+            return rechazo(400, "El campo 'precios_incluyen_iva' debe ser booleano.");
+        }
+        const opciones = opcionesDeCalculo(facturaData);
+        const errores = validarItems(facturaData.items, opciones);
+        if (errores.length > 0) {
+            return rechazo(400, "Los items contienen valores inválidos.", { errores });
+        }
 
-            // 1. RECEPCIÓN
-            const soapRec = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ec="http://ec.gob.sri.ws.recepcion"><soapenv:Body><ec:validarComprobante><xml>${xmlBase64}</xml></ec:validarComprobante></soapenv:Body></soapenv:Envelope>`;
-            const resRec = await axios.post(urls.rec, soapRec, { headers: { 'Content-Type': 'text/xml' }, timeout: 8000 });
-            const jsonRec = fastParser.parse(resRec.data);
-            const respRec = jsonRec['soap:Envelope']?.['soap:Body']?.['ns2:validarComprobanteResponse']?.RespuestaRecepcionComprobante;
-
-            if (respRec && respRec.estado === 'RECIBIDA') {
-                await pool.query('UPDATE invoices SET estado = $1, fecha_envio_sri = NOW() WHERE id = $2', ['RECIBIDA', facturaId]);
-                await notificarCambioEstado(facturaParaNotificar, 'RECIBIDA');
-
-                // 2. BUCLE DE AUTORIZACIÓN
-                const soapAuth = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ec="http://ec.gob.sri.ws.autorizacion"><soapenv:Body><ec:autorizacionComprobante><claveAccesoComprobante>${claveAcceso}</claveAccesoComprobante></ec:autorizacionComprobante></soapenv:Body></soapenv:Envelope>`;
-                const pausas = [1200, 1800, 2500];
-
-                for (let ms of pausas) {
-                    await new Promise(r => setTimeout(r, ms));
-                    try {
-                        const resAuth = await axios.post(urls.auth, soapAuth, { headers: { 'Content-Type': 'text/xml' }, timeout: 5000 });
-                        const jsonAuth = fastParser.parse(resAuth.data);
-                        const respAuth = jsonAuth['soap:Envelope']?.['soap:Body']?.['ns2:autorizacionComprobanteResponse']?.RespuestaAutorizacionComprobante;
-
-                        if (respAuth && parseInt(respAuth.numeroComprobantes) > 0) {
-                            const auth = Array.isArray(respAuth.autorizaciones.autorizacion) ? respAuth.autorizaciones.autorizacion[0] : respAuth.autorizaciones.autorizacion;
-                            
-                            if (auth.estado === 'AUTORIZADO') {
-                                const xmlAuthPath = `authorized/${emisor.ruc}/${claveAcceso}.xml`;
-                                await uploadFile('invoices', xmlAuthPath, Buffer.from(auth.comprobante), 'text/xml');
-
-                                // Actualizar PDF a 'AUTORIZADO' (Igual que Job 2)
-                                const pdfAutorizado = await generarPDFStream(auth.comprobante, emisor, 'AUTORIZADO', auth.fechaAutorizacion);
-                                await minioClient.putObject('invoices', `${emisor.ruc}/${claveAcceso}.pdf`, pdfAutorizado, null, { 'Content-Type': 'application/pdf' });
-
-                                await pool.query(
-                                    'UPDATE invoices SET estado = $1, xml_path = $2, fecha_autorizacion = $3 WHERE id = $4',
-                                    ['AUTORIZADO', `invoices/${xmlAuthPath}`, auth.fechaAutorizacion, facturaId]
-                                );
-
-                                // Notificaciones Instantáneas
-                                await notificarCambioEstado(facturaParaNotificar, 'AUTORIZADO');
-                                
-                                if (facturaParaNotificar.email_comprador) {
-                                    const pdfBuffer = await downloadFile('invoices', `${emisor.ruc}/${claveAcceso}.pdf`);
-                                    await emailService.enviarComprobante(facturaParaNotificar.email_comprador, Buffer.from(auth.comprobante), pdfBuffer, {
-                                        razonSocialEmisor: emisor.razon_social,
-                                        nombreCliente: facturaParaNotificar.razon_social_comprador,
-                                        secuencial: secuencial,
-                                        claveAcceso: claveAcceso,
-                                        total: facturaParaNotificar.importe_total
-                                    });
-                                }
-                                console.log(`[FAST-TRACK] ⭐ ÉXITO: ${claveAcceso}`);
-                                break; 
-                            } else if (auth.estado === 'RECHAZADO' || auth.estado === 'NO AUTORIZADO') {
-                                const msg = JSON.stringify(auth.mensajes);
-                                await pool.query('UPDATE invoices SET estado = $1, mensajes_sri = $2 WHERE id = $3', ['RECHAZADO', msg, facturaId]);
-                                await pool.query('UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1', [emisorId]);
-                                await notificarCambioEstado(facturaParaNotificar, 'RECHAZADO', auth.mensajes);
-                                break;
-                            }
-                        }
-                    } catch (eAuth) { continue; }
-                }
-            } else if (respRec && respRec.estado === 'DEVUELTA') {
-                const errorMsg = JSON.stringify(respRec.comprobantes || respRec);
-                await pool.query('UPDATE invoices SET estado = $1, mensajes_sri = $2 WHERE id = $3', ['DEVUELTA', errorMsg, facturaId]);
-                await pool.query('UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1', [emisorId]);
-                await notificarCambioEstado(facturaParaNotificar, 'DEVUELTA', respRec);
+        // El comprador se valida aquí, antes de consumir el secuencial (el tope del consumidor final necesita el total)
+        const { totales, detallesXml } = calcularTotalesEImpuestos(facturaData.items, opciones);
+        const erroresPropina = validarPropina(opciones, totales);
+        if (erroresPropina.length > 0) {
+            return rechazo(400, "La propina es inválida.", { errores: erroresPropina });
+        }
+        const erroresComprador = validarComprador(facturaData.cliente, totales.importeTotal);
+        if (erroresComprador.length > 0) {
+            return rechazo(400, "Los datos del comprador son inválidos.", { errores: erroresComprador });
+        }
+        const erroresPagos = validarPagos(facturaData.pagos, totales.importeTotal);
+        if (erroresPagos.length > 0) {
+            return rechazo(400, "Los pagos son inválidos.", { errores: erroresPagos, importe_total: totales.importeTotal });
+        }
+        const erroresInfo = validarInfoAdicional(facturaData.info_adicional);
+        if (erroresInfo.length > 0) {
+            return rechazo(400, "La información adicional es inválida.", { errores: erroresInfo });
+        }
+        if (facturaData.exportacion !== undefined) {
+            const erroresExportacion = validarExportacion(facturaData.exportacion, facturaData.cliente, detallesXml);
+            if (erroresExportacion.length > 0) {
+                return rechazo(400, "Los datos de exportación son inválidos.", { errores: erroresExportacion });
+            }
+        }
+        if (facturaData.reembolso !== undefined) {
+            const { errores: erroresReembolso, xml } = procesarReembolso(facturaData.reembolso, totales, ctx.ahora);
+            if (erroresReembolso.length > 0) {
+                return rechazo(400, "Los comprobantes de reembolso son inválidos.", { errores: erroresReembolso });
             }
-        } catch (e) {
-            console.log(`[FAST-TRACK] ℹ️ SRI en modo asíncrono para clave ${claveAcceso}`);
+            ctx.reembolso = xml;
         }
+        return null;
+    },
+
+    async preparar(client, ctx) {
+        ctx.calculos = calcularTotalesEImpuestos(ctx.body.items, opcionesDeCalculo(ctx.body));
+        return null;
+    },
+
+    construir(ctx) {
+        const { body: facturaData, emisor, puntoEmision, calculos } = ctx;
+        const comprador = datosComprador(facturaData.cliente);
+        const reembolso = ctx.reembolso || { totales: {} };
+        // Factura de exportación: sus campos van intercalados en el orden del XSD
+        const exportacion = facturaData.exportacion
+            ? exportacionXml(facturaData.exportacion)
+            : { cabecera: {}, totalSinImpuestos: {}, gastos: {} };
 
-        // Consulta final para responder al cliente con el estado real tras el intento
-        const finalCheck = await pool.query('SELECT estado FROM invoices WHERE id = $1', [facturaId]);
-        const estadoFinal = finalCheck.rows[0].estado;
+        return {
+            infoFactura: {
+                fechaEmision: ctx.ahora.toFormat('dd/MM/yyyy'),
+                dirEstablecimiento: puntoEmision.direccion_establecimiento || emisor.direccion_matriz,
+                obligadoContabilidad: emisor.obligado_contabilidad || 'NO',
+                ...exportacion.cabecera,
+                tipoIdentificacionComprador: comprador.tipo,
+                razonSocialComprador: comprador.razonSocial,
+                identificacionComprador: comprador.identificacion,
+                totalSinImpuestos: calculos.totales.totalSinImpuestos,
+                ...(new Dec(calculos.totales.totalSubsidio).gt(0) ? { totalSubsidio: calculos.totales.totalSubsidio } : {}),
+                ...exportacion.totalSinImpuestos,
+                totalDescuento: calculos.totales.totalDescuento,
+                ...reembolso.totales,
+                totalConImpuestos: { totalImpuesto: calculos.totalConImpuestosXml },
+                propina: calculos.totales.propina,
+                ...exportacion.gastos,
+                importeTotal: calculos.totales.importeTotal,
+                moneda: 'DOLAR',
+                pagos: {
+                    pago: pagosXml(facturaData.pagos, calculos.totales.importeTotal)
+                }
+            },
+            detalles: {
+                detalle: calculos.detallesXml
+            },
+            ...(reembolso.reembolsos ? { reembolsos: reembolso.reembolsos } : {}),
+            ...infoAdicionalXml(facturaData.info_adicional)
+        };
+    },
 
-        res.status(201).json({
-            ok: true,
-            id: facturaId,
-            claveAcceso,
-            estado: estadoFinal,
-            mensaje: estadoFinal === 'AUTORIZADO' ? "Factura autorizada exitosamente." : "Comprobante en proceso."
-        });
+    registro(ctx) {
+        const { body: facturaData, calculos } = ctx;
+        const comprador = datosComprador(facturaData.cliente);
+        return {
+            identificacion: comprador.identificacion,
+            razonSocial: comprador.razonSocial,
+            importeTotal: calculos.totales.importeTotal,
+            subtotalIva: calculos.totales.subtotal_iva,
+            subtotal0: calculos.totales.subtotal_0,
+            valorIva: calculos.totales.totalIva,
+            email: facturaData.cliente.email
+        };
+    },
 
-    } catch (error) {
-        await client2.query('ROLLBACK');
-        console.error("❌ Error en Bloque 3:", error.message);
-        res.status(500).json({ ok: false, error: error.message });
-    } finally {
-        client2.release();
-    }
-}
+    despuesDeRegistrar: intentarAutorizacionInmediata,
 
+    respuesta(ctx, estado) {
+        // DEVUELTA/RECHAZADO en el fast-track: el motivo viaja en la misma respuesta
+        if (ctx.errorSri && ['DEVUELTA', 'RECHAZADO'].includes(estado)) {
+            return {
+                error_sri: describirErrorSri(ctx.errorSri.identificador, ctx.errorSri),
+                mensaje: `El SRI marcó el comprobante como ${estado}.`
+            };
+        }
+        return {
+            mensaje: estado === 'AUTORIZADO' ? "Factura autorizada exitosamente." : "Comprobante en proceso."
+        };
+    }
+};
 
-module.exports = { calcularTotalesEImpuestos, emitirFacturaCore };
\ No newline at end of file
+const emitirFacturaCore = (req, res) => emitirComprobante(FACTURA, req, res);
+const previsualizarFacturaCore = (req, res) => previsualizarComprobante(FACTURA, req, res);
+const reenviarFacturaCore = (req, res) => reenviarComprobante(FACTURA, req, res);
+
+
+module.exports = {
+    ivaDelItem,
+    validarItems,
+    opcionesDeCalculo,
+    validarPropina,
+    formatearUnitario,
+    calcularTotalesEImpuestos,
+    FACTURA,
+    emitirFacturaCore,
+    previsualizarFacturaCore,
+    reenviarFacturaCore
+};
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Catálogo de impuestos de los comprobantes del SRI (Ficha técnica, tablas 16 a 18).
+ * `codigo` es el impuesto en el XML: 2 = IVA, 3 = ICE, 5 = IRBPNR; cada tabla se indexa
+ * por `codigoPorcentaje`.
+ *
+ * IVA: `tarifa` es el porcentaje. ICE e IRBPNR: `tipo` indica si la tarifa es un porcentaje
+ * de la base (ad_valorem) o un valor en USD por unidad (especifico); `tarifa: null` indica
+ * que la tarifa vigente la fija cada resolución del SRI y debe enviarse.
+ * Al publicarse nuevas tarifas basta con actualizar este archivo.
+ */
+
+const IMPUESTO = {
+    IVA: '2',
+    ICE: '3',
+    IRBPNR: '5'
+};
+
+const TARIFAS_IVA = {
+    '0':  { tarifa: 0,  descripcion: 'IVA 0%' },
+    '2':  { tarifa: 12, descripcion: 'IVA 12%' },
+    '3':  { tarifa: 14, descripcion: 'IVA 14%' },
+    '4':  { tarifa: 15, descripcion: 'IVA 15%' },
+    '5':  { tarifa: 5,  descripcion: 'IVA 5%' },
+    '6':  { tarifa: 0,  descripcion: 'No objeto de impuesto' },
+    '7':  { tarifa: 0,  descripcion: 'Exento de IVA' },
+    '8':  { tarifa: 8,  descripcion: 'IVA diferenciado' },
+    '10': { tarifa: 13, descripcion: 'IVA 13%' }
+};
+
+const TARIFAS_ICE = {
+    '3011': { tipo: 'especifico', tarifa: null, descripcion: 'Cigarrillos rubios' },
+    '3021': { tipo: 'especifico', tarifa: null, descripcion: 'Cigarrillos negros' },
+    '3023': { tipo: 'ad_valorem', tarifa: 150,  descripcion: 'Productos del tabaco y sucedáneos, excepto cigarrillos' },
+    '3031': { tipo: 'especifico', tarifa: null, descripcion: 'Bebidas alcohólicas' },
+    '3041': { tipo: 'especifico', tarifa: null, descripcion: 'Cerveza industrial' },
+    '3043': { tipo: 'especifico', tarifa: null, descripcion: 'Cerveza artesanal' },
+    '3053': { tipo: 'especifico', tarifa: null, descripcion: 'Bebidas gaseosas con alto contenido de azúcar' },
+    '3054': { tipo: 'ad_valorem', tarifa: 10,   descripcion: 'Bebidas gaseosas con bajo contenido de azúcar' },
+    '3073': { tipo: 'ad_valorem', tarifa: null, descripcion: 'Vehículos motorizados' },
+    '3610': { tipo: 'ad_valorem', tarifa: 20,   descripcion: 'Perfumes y aguas de tocador' },
+    '3620': { tipo: 'ad_valorem', tarifa: 35,   descripcion: 'Videojuegos' },
+    '3630': { tipo: 'ad_valorem', tarifa: 300,  descripcion: 'Armas de fuego, armas deportivas y municiones' },
+    '3640': { tipo: 'ad_valorem', tarifa: 100,  descripcion: 'Focos incandescentes' },
+    '3660': { tipo: 'ad_valorem', tarifa: 35,   descripcion: 'Cuotas, membresías y afiliaciones a clubes sociales' }
+};
+
+const TARIFAS_IRBPNR = {
+    '5001': { tipo: 'especifico', tarifa: 0.02, descripcion: 'Botellas plásticas no retornables (USD por botella)' }
+};
+
+const TABLAS = {
+    [IMPUESTO.IVA]: TARIFAS_IVA,
+    [IMPUESTO.ICE]: TARIFAS_ICE,
+    [IMPUESTO.IRBPNR]: TARIFAS_IRBPNR
+};
+
+// Tarifa numérica → código "general" (0 es IVA 0%, no "no objeto" ni "exento")
+const CODIGO_IVA_POR_TARIFA = {};
+Object.entries(TARIFAS_IVA).forEach(([codigoPorcentaje, { tarifa }]) => {
+    if (!(tarifa in CODIGO_IVA_POR_TARIFA)) CODIGO_IVA_POR_TARIFA[tarifa] = codigoPorcentaje;
+});
+
+const TARIFAS_IVA_ADMITIDAS = Object.keys(CODIGO_IVA_POR_TARIFA).map(Number).sort((a, b) => a - b);
+
+/**
+ * Código SRI de un impuesto a partir de su nombre o código.
+ * @param {string} impuesto - 'IVA' | 'ICE' | 'IRBPNR' o '2' | '3' | '5'
+ * @returns {string|null}
+ */
+function codigoImpuesto(impuesto) {
+    const clave = String(impuesto || '').toUpperCase();
+    return IMPUESTO[clave] || (Object.values(IMPUESTO).includes(clave) ? clave : null);
+}
+
+/**
+ * Busca un código de impuesto en el catálogo.
+ * @param {string} impuesto - 'IVA' | 'ICE' | 'IRBPNR' o su código SRI ('2' | '3' | '5')
+ * @param {string} codigoPorcentaje - Código de la tabla (ej. '4', '3610', '5001')
+ * @returns {{ codigo: string, codigoPorcentaje: string, tarifa: number|null, descripcion: string }|null}
+ */
+function buscarCodigoImpuesto(impuesto, codigoPorcentaje) {
+    const codigo = codigoImpuesto(impuesto);
+    if (!codigo) return null;
+
+    const entrada = TABLAS[codigo][String(codigoPorcentaje || '')];
+    return entrada ? { codigo, codigoPorcentaje: String(codigoPorcentaje), ...entrada } : null;
+}
+
+/**
+ * Código de IVA para una tarifa numérica (15 o 0.15 → codigoPorcentaje '4').
+ * @returns {{ codigo: string, codigoPorcentaje: string, tarifa: number, descripcion: string }|null}
+ */
+function buscarIvaPorTarifa(tarifa) {
+    if (typeof tarifa !== 'number' && !(typeof tarifa === 'string' && tarifa.trim() !== '')) return null;
+    let valor = Number(tarifa);
+    if (!Number.isFinite(valor)) return null;
+    // 0.15 → 15 (redondeo para evitar 0.15 * 100 = 15.000000000000002)
+    if (valor > 0 && valor < 1) valor = Math.round(valor * 10000) / 100;
+
+    const codigoPorcentaje = CODIGO_IVA_POR_TARIFA[valor];
+    return codigoPorcentaje ? buscarCodigoImpuesto(IMPUESTO.IVA, codigoPorcentaje) : null;
+}
+
+/**
+ * Catálogo completo en formato lista, para armar selectores en los frontends.
+ */
+function catalogoImpuestos() {
+    const lista = (tabla) => Object.entries(tabla).map(([codigoPorcentaje, entrada]) => ({ codigoPorcentaje, ...entrada }));
+    return {
+        iva: { codigo: IMPUESTO.IVA, tarifas: lista(TARIFAS_IVA) },
+        ice: { codigo: IMPUESTO.ICE, tarifas: lista(TARIFAS_ICE) },
+        irbpnr: { codigo: IMPUESTO.IRBPNR, tarifas: lista(TARIFAS_IRBPNR) }
+    };
+}
+
+module.exports = {
+    IMPUESTO,
+    TARIFAS_IVA,
+    TARIFAS_ICE,
+    TARIFAS_IRBPNR,
+    TARIFAS_IVA_ADMITIDAS,
+    codigoImpuesto,
+    buscarCodigoImpuesto,
+    buscarIvaPorTarifa,
+    catalogoImpuestos
+};
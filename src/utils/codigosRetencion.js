@@ -0,0 +1,68 @@
+/**
+ * Catálogo de códigos de retención del SRI (Ficha técnica, tabla 3 y 4).
+ * `codigo` es el impuesto retenido en el XML: 1 = Renta, 2 = IVA.
+ * `porcentaje: null` indica que el porcentaje lo define quien retiene y debe enviarse.
+ *
+ * Los porcentajes de Renta cambian por resolución del SRI: al publicarse una
+ * nueva tabla basta con actualizar este archivo.
+ */
+
+const IMPUESTO_RETENCION = {
+    RENTA: '1',
+    IVA: '2'
+};
+
+const RETENCIONES_IVA = {
+    '9':  { porcentaje: 10,  descripcion: 'Retención IVA 10%' },
+    '10': { porcentaje: 20,  descripcion: 'Retención IVA 20%' },
+    '1':  { porcentaje: 30,  descripcion: 'Retención IVA 30%' },
+    '11': { porcentaje: 50,  descripcion: 'Retención IVA 50%' },
+    '2':  { porcentaje: 70,  descripcion: 'Retención IVA 70%' },
+    '3':  { porcentaje: 100, descripcion: 'Retención IVA 100%' },
+    '7':  { porcentaje: 0,   descripcion: 'Retención en cero' },
+    '8':  { porcentaje: 0,   descripcion: 'No procede retención' }
+};
+
+const RETENCIONES_RENTA = {
+    '303':  { porcentaje: 10,   descripcion: 'Honorarios profesionales y demás pagos por servicios relacionados con el título profesional' },
+    '304':  { porcentaje: 8,    descripcion: 'Servicios predomina el intelecto no relacionados con el título profesional' },
+    '304A': { porcentaje: 8,    descripcion: 'Comisiones y demás pagos por servicios predomina intelecto' },
+    '304B': { porcentaje: 8,    descripcion: 'Pagos a notarios y registradores de la propiedad y mercantil' },
+    '304C': { porcentaje: 8,    descripcion: 'Pagos a deportistas, entrenadores, árbitros y miembros del cuerpo técnico' },
+    '304D': { porcentaje: 8,    descripcion: 'Pagos a artistas por sus actividades' },
+    '304E': { porcentaje: 8,    descripcion: 'Honorarios y demás pagos por servicios de docencia' },
+    '307':  { porcentaje: 2,    descripcion: 'Servicios predomina la mano de obra' },
+    '308':  { porcentaje: 2,    descripcion: 'Utilización o aprovechamiento de la imagen o renombre' },
+    '309':  { porcentaje: 1.75, descripcion: 'Servicios prestados por medios de comunicación y agencias de publicidad' },
+    '310':  { porcentaje: 1,    descripcion: 'Servicio de transporte privado de pasajeros o transporte público o privado de carga' },
+    '311':  { porcentaje: 2,    descripcion: 'Pagos a través de liquidación de compra (nivel cultural o rusticidad)' },
+    '312':  { porcentaje: 1.75, descripcion: 'Transferencia de bienes muebles de naturaleza corporal' },
+    '312A': { porcentaje: 1,    descripcion: 'Compra de bienes de origen agrícola, avícola, pecuario, apícola, cunícula, bioacuático y forestal' },
+    '319':  { porcentaje: 1.75, descripcion: 'Arrendamiento mercantil' },
+    '320':  { porcentaje: 8,    descripcion: 'Arrendamiento de bienes inmuebles' },
+    '322':  { porcentaje: 1.75, descripcion: 'Seguros y reaseguros (primas y cesiones)' },
+    '323':  { porcentaje: 2,    descripcion: 'Rendimientos financieros pagados a naturales y sociedades' },
+    '332':  { porcentaje: 0,    descripcion: 'Otras compras de bienes y servicios no sujetas a retención' },
+    '343':  { porcentaje: 1,    descripcion: 'Otras retenciones aplicables el 1%' },
+    '344':  { porcentaje: 2,    descripcion: 'Otras retenciones aplicables el 2%' },
+    '3440': { porcentaje: 2.75, descripcion: 'Otras retenciones aplicables el 2,75%' },
+    '346':  { porcentaje: null, descripcion: 'Otras retenciones aplicables a otros porcentajes' }
+};
+
+/**
+ * Busca un código de retención en el catálogo.
+ * @param {string} impuesto - 'RENTA' | 'IVA' o su código SRI ('1' | '2')
+ * @param {string} codigoRetencion - Código de la tabla (ej. '312', '9')
+ * @returns {{ codigo: string, porcentaje: number|null, descripcion: string }|null}
+ */
+function buscarCodigoRetencion(impuesto, codigoRetencion) {
+    const clave = String(impuesto || '').toUpperCase();
+    const codigo = IMPUESTO_RETENCION[clave] || (Object.values(IMPUESTO_RETENCION).includes(clave) ? clave : null);
+    if (!codigo) return null;
+
+    const tabla = codigo === IMPUESTO_RETENCION.RENTA ? RETENCIONES_RENTA : RETENCIONES_IVA;
+    const entrada = tabla[String(codigoRetencion || '').toUpperCase()];
+    return entrada ? { codigo, ...entrada } : null;
+}
+
+module.exports = { IMPUESTO_RETENCION, RETENCIONES_IVA, RETENCIONES_RENTA, buscarCodigoRetencion };
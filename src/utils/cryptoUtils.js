@@ -102,6 +102,15 @@ function generarClaveAcceso(fecha, tipoComprobante, ruc, ambiente, serie, secuen
     return claveFinal;
 }
 
+/**
+ * Verifica una clave de acceso recibida: 49 dígitos y dígito verificador módulo 11 correcto.
+ */
+function claveAccesoValida(clave) {
+    const texto = String(clave || '');
+    if (!/^\d{49}$/.test(texto)) return false;
+    return modulo11(texto.substring(0, 48)) === parseInt(texto.charAt(48), 10);
+}
+
 
 /**
  * Encripta un texto usando AES-256-CBC
@@ -158,4 +167,4 @@ function decrypt(text) {
 
 
 
-module.exports = { generarClaveAcceso, encrypt, decrypt };
\ No newline at end of file
+module.exports = { generarClaveAcceso, claveAccesoValida, encrypt, decrypt };
\ No newline at end of file
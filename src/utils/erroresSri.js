@@ -0,0 +1,285 @@
+/**
+ * Catálogo de mensajes de error de los web services del SRI (Ficha técnica de
+ * comprobantes electrónicos, tabla de errores). Cada identificador se acompaña de una
+ * explicación para el emisor, la corrección sugerida y si es `reintentable`: el mismo
+ * comprobante puede volver a enviarse más tarde sin cambiar nada. `reenvio` indica con
+ * qué numeración se puede corregir y reenviar (POST /integrations/invoice/:id/resubmit);
+ * si se omite, con el mismo secuencial y la misma clave.
+ *
+ * El error principal de cada comprobante DEVUELTA/RECHAZADO se guarda en
+ * invoices.sri_error_codigo / sri_error_mensaje / sri_error_info (migración 004);
+ * mensajes_sri conserva la lista completa tal como la respondió el SRI.
+ */
+
+const REENVIO = {
+    MISMA_CLAVE: 'MISMA_CLAVE',             // Mismo secuencial, misma clave y fecha
+    NUEVA_CLAVE: 'NUEVA_CLAVE',             // Mismo secuencial, fecha de hoy y clave nueva
+    NUEVO_SECUENCIAL: 'NUEVO_SECUENCIAL',   // La numeración ya quedó registrada en el SRI
+    ESPERAR: 'ESPERAR'                      // El SRI aún procesa el envío anterior
+};
+
+const ERRORES_SRI = {
+    '2': {
+        mensaje: 'RUC DEL EMISOR SE ENCUENTRA NO ACTIVO',
+        explicacion: 'El RUC del emisor está suspendido o cancelado en el SRI.',
+        sugerencia: 'Reactive el RUC en el SRI antes de volver a emitir.',
+        reintentable: false
+    },
+    '10': {
+        mensaje: 'ESTABLECIMIENTO DEL EMISOR SE ENCUENTRA CLAUSURADO',
+        explicacion: 'El establecimiento de la serie del comprobante tiene una clausura vigente.',
+        sugerencia: 'Emita desde otro establecimiento abierto o espere a que termine la clausura.',
+        reintentable: false
+    },
+    '26': {
+        mensaje: 'TAMAÑO MÁXIMO SUPERADO',
+        explicacion: 'El XML firmado supera el tamaño máximo que admite el SRI.',
+        sugerencia: 'Reduzca el detalle (agrupe ítems o acorte la información adicional) y emita de nuevo.',
+        reintentable: false
+    },
+    '27': {
+        mensaje: 'CLASE NO PERMITIDO',
+        explicacion: 'La clase de contribuyente del emisor no puede emitir este tipo de comprobante.',
+        sugerencia: 'Verifique en el SRI los comprobantes autorizados para su RUC.',
+        reintentable: false
+    },
+    '28': {
+        mensaje: 'ACUERDO DE MEDIOS ELECTRÓNICOS NO ACEPTADO',
+        explicacion: 'El emisor no ha aceptado el acuerdo de uso de medios electrónicos del SRI.',
+        sugerencia: 'Acepte el acuerdo en SRI en Línea y vuelva a emitir.',
+        reintentable: false
+    },
+    '35': {
+        mensaje: 'ARCHIVO NO CUMPLE ESTRUCTURA XML',
+        explicacion: 'El XML no cumple el esquema XSD o la clave de acceso no es válida.',
+        sugerencia: 'Revise la información adicional del SRI, corrija el campo indicado y emita de nuevo.',
+        reintentable: false
+    },
+    '36': {
+        mensaje: 'VERSIÓN ESQUEMA DESCONOCIDA',
+        explicacion: 'La versión declarada en el comprobante no está vigente para su tipo.',
+        sugerencia: 'Emita con una versión de esquema vigente.',
+        reintentable: false
+    },
+    '37': {
+        mensaje: 'RUC SIN AUTORIZACIÓN DE EMISIÓN',
+        explicacion: 'El RUC no está habilitado para emitir comprobantes electrónicos en este ambiente.',
+        sugerencia: 'Solicite en el SRI la autorización de emisión electrónica (pruebas o producción).',
+        reintentable: false
+    },
+    '39': {
+        mensaje: 'FIRMA INVALIDA',
+        explicacion: 'La firma XAdES no es válida o el contenido cambió después de firmar.',
+        sugerencia: 'Verifique el certificado .p12 cargado y vuelva a firmar el comprobante.',
+        reintentable: false
+    },
+    '40': {
+        mensaje: 'ERROR EN EL CERTIFICADO',
+        explicacion: 'El certificado de firma está caducado, revocado o no pertenece al emisor.',
+        sugerencia: 'Cargue un certificado .p12 vigente del representante o del RUC emisor.',
+        reintentable: false
+    },
+    '43': {
+        mensaje: 'CLAVE ACCESO REGISTRADA',
+        explicacion: 'El SRI ya recibió un comprobante con esta clave de acceso.',
+        sugerencia: 'Consulte la autorización de la clave; si debe emitirse otra vez, hágalo con un secuencial nuevo.',
+        reintentable: false,
+        reenvio: REENVIO.NUEVO_SECUENCIAL
+    },
+    '45': {
+        mensaje: 'SECUENCIAL REGISTRADO',
+        explicacion: 'El número de comprobante (establecimiento, punto y secuencial) ya fue usado.',
+        sugerencia: 'Ajuste el secuencial del punto de emisión y emita con un número nuevo.',
+        reintentable: false,
+        reenvio: REENVIO.NUEVO_SECUENCIAL
+    },
+    '46': {
+        mensaje: 'RUC NO EXISTE',
+        explicacion: 'El RUC del emisor no existe en el catastro del SRI.',
+        sugerencia: 'Revise el RUC configurado para el emisor.',
+        reintentable: false
+    },
+    '47': {
+        mensaje: 'TIPO DE COMPROBANTE NO EXISTE',
+        explicacion: 'El codDoc del comprobante no corresponde a un tipo del catálogo del SRI.',
+        sugerencia: 'Emita con un tipo de comprobante válido.',
+        reintentable: false
+    },
+    '48': {
+        mensaje: 'ESQUEMA XSD NO EXISTE',
+        explicacion: 'No existe esquema para la combinación de tipo y versión del comprobante.',
+        sugerencia: 'Revise el tipo de comprobante y su versión.',
+        reintentable: false
+    },
+    '49': {
+        mensaje: 'ARGUMENTOS QUE ENVIAN AL WS NULOS',
+        explicacion: 'La petición llegó al SRI sin el comprobante.',
+        sugerencia: 'Es un fallo del envío: el comprobante puede reenviarse tal cual.',
+        reintentable: true
+    },
+    '50': {
+        mensaje: 'ERROR INTERNO GENERAL',
+        explicacion: 'El SRI tuvo un error interno al procesar el comprobante.',
+        sugerencia: 'Reenvíe el mismo comprobante más tarde.',
+        reintentable: true
+    },
+    '52': {
+        mensaje: 'ERROR EN DIFERENCIAS',
+        explicacion: 'Los totales del comprobante no cuadran con la suma de sus detalles o impuestos.',
+        sugerencia: 'Revise cantidades, precios, descuentos e impuestos de los ítems y emita de nuevo.',
+        reintentable: false
+    },
+    '56': {
+        mensaje: 'ESTABLECIMIENTO CERRADO',
+        explicacion: 'El establecimiento del comprobante figura como cerrado en el RUC.',
+        sugerencia: 'Emita desde un establecimiento abierto o actualice el RUC en el SRI.',
+        reintentable: false
+    },
+    '57': {
+        mensaje: 'AUTORIZACIÓN SUSPENDIDA',
+        explicacion: 'La autorización de emisión electrónica del contribuyente está suspendida.',
+        sugerencia: 'Regularice su situación en el SRI antes de volver a emitir.',
+        reintentable: false
+    },
+    '58': {
+        mensaje: 'ERROR EN LA ESTRUCTURA DE CLAVE ACCESO',
+        explicacion: 'La clave de acceso no coincide con los datos del comprobante (fecha, RUC, serie o secuencial).',
+        sugerencia: 'Genere la clave de acceso a partir de los datos del comprobante y emita de nuevo.',
+        reintentable: false,
+        reenvio: REENVIO.NUEVA_CLAVE
+    },
+    '63': {
+        mensaje: 'RUC CLAUSURADO',
+        explicacion: 'El RUC del emisor tiene una clausura vigente.',
+        sugerencia: 'Espere a que termine la clausura para emitir.',
+        reintentable: false
+    },
+    '65': {
+        mensaje: 'FECHA EMISIÓN EXTEMPORÁNEA',
+        explicacion: 'El comprobante se envió fuera del plazo permitido desde su fecha de emisión.',
+        sugerencia: 'Reenvíe el comprobante con la fecha actual.',
+        reintentable: false,
+        reenvio: REENVIO.NUEVA_CLAVE
+    },
+    '67': {
+        mensaje: 'FECHA INVÁLIDA',
+        explicacion: 'Alguna fecha del comprobante no tiene formato válido o es posterior a la actual.',
+        sugerencia: 'Corrija la fecha indicada en la información adicional y emita de nuevo.',
+        reintentable: false
+    },
+    '69': {
+        mensaje: 'IDENTIFICACIÓN DEL RECEPTOR',
+        explicacion: 'La identificación del comprador no es válida para el tipo de identificación declarado.',
+        sugerencia: 'Corrija el tipo o el número de identificación del comprador y emita de nuevo.',
+        reintentable: false
+    },
+    '70': {
+        mensaje: 'CLAVE DE ACCESO EN PROCESAMIENTO',
+        explicacion: 'El SRI todavía está procesando un envío anterior con esta clave.',
+        sugerencia: 'No reenvíe: consulte la autorización en unos minutos.',
+        reintentable: true,
+        reenvio: REENVIO.ESPERAR
+    }
+};
+
+const ERROR_DESCONOCIDO = {
+    explicacion: 'El SRI devolvió un mensaje que no está en el catálogo.',
+    sugerencia: 'Revise el mensaje y la información adicional del SRI.',
+    reintentable: false
+};
+
+/**
+ * Ficha del error: datos del catálogo más lo que respondió el SRI.
+ * @param {string|number} codigo - Identificador del mensaje del SRI
+ * @param {object} [respuesta] - { mensaje, informacionAdicional } tal como llegaron
+ */
+function describirErrorSri(codigo, { mensaje = null, informacionAdicional = null } = {}) {
+    const entrada = ERRORES_SRI[String(codigo)] || ERROR_DESCONOCIDO;
+    return {
+        codigo: String(codigo),
+        mensaje: mensaje || entrada.mensaje || null,
+        explicacion: entrada.explicacion,
+        sugerencia: entrada.sugerencia,
+        reintentable: entrada.reintentable,
+        informacion_adicional: informacionAdicional || null
+    };
+}
+
+/**
+ * Con qué numeración puede corregirse y reenviarse un comprobante rechazado con `codigo`.
+ * Sin código (o uno fuera del catálogo) se conserva la clave: es lo que admite el SRI
+ * para un comprobante que no llegó a registrarse.
+ */
+function modoDeReenvio(codigo) {
+    const entrada = codigo ? ERRORES_SRI[String(codigo)] : null;
+    return (entrada && entrada.reenvio) || REENVIO.MISMA_CLAVE;
+}
+
+/**
+ * Mensaje que explica el rechazo: el primero de tipo ERROR o, si no hay, el primero.
+ * @param {Array} mensajes - Mensajes normalizados por SriClient
+ */
+function errorPrincipal(mensajes) {
+    const conCodigo = (mensajes || []).filter(m => m && m.identificador);
+    return conCodigo.find(m => m.tipo === 'ERROR') || conCodigo[0] || null;
+}
+
+/**
+ * Valores para sri_error_codigo, sri_error_mensaje y sri_error_info (en ese orden).
+ */
+function columnasErrorSri(mensajes) {
+    const principal = errorPrincipal(mensajes);
+    return principal
+        ? [String(principal.identificador), principal.mensaje || null, principal.informacionAdicional || null]
+        : [null, null, null];
+}
+
+/**
+ * `error_sri` de una fila de invoices con las columnas sri_error_*; null si no tiene.
+ */
+function errorSriDeFactura(fila) {
+    if (!fila || !fila.sri_error_codigo) return null;
+    return describirErrorSri(fila.sri_error_codigo, {
+        mensaje: fila.sri_error_mensaje,
+        informacionAdicional: fila.sri_error_info
+    });
+}
+
+/**
+ * Todos los mensajes guardados en mensajes_sri, descritos con el catálogo. Admite el
+ * formato normalizado actual y el anterior (comprobantes del SRI anidados).
+ */
+function mensajesSriDescritos(mensajesSri) {
+    let datos = mensajesSri;
+    if (typeof datos === 'string') {
+        try {
+            datos = JSON.parse(datos);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    const encontrados = [];
+    (function recorrer(nodo) {
+        if (Array.isArray(nodo)) return nodo.forEach(recorrer);
+        if (!nodo || typeof nodo !== 'object') return;
+        if (nodo.identificador !== undefined && nodo.identificador !== null) {
+            encontrados.push(nodo);
+            return;
+        }
+        Object.values(nodo).forEach(recorrer);
+    })(datos);
+
+    return encontrados.map(m => describirErrorSri(m.identificador, m));
+}
+
+module.exports = {
+    ERRORES_SRI,
+    REENVIO,
+    modoDeReenvio,
+    describirErrorSri,
+    errorPrincipal,
+    columnasErrorSri,
+    errorSriDeFactura,
+    mensajesSriDescritos
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { create } = require('xmlbuilder2');
+const { validateXML } = require('xmllint-wasm');
+
+/**
+ * Validación local de comprobantes contra los XSD oficiales del SRI
+ * (src/schemas/sri, uno por tipo y versión según tiposDocumento).
+ * Los XSD son los de la ficha técnica sin modificar; importan ds:Signature de
+ * xmldsig-core-schema.xsd (W3C), que se incluye al lado y se precarga aquí.
+ * Funciona sin conexión: libxml2 compilado a WebAssembly.
+ */
+
+const DIRECTORIO_ESQUEMAS = path.join(__dirname, '..', 'schemas', 'sri');
+const ESQUEMA_XMLDSIG = 'xmldsig-core-schema.xsd';
+const ARCHIVO_XML = 'comprobante.xml';
+const esquemasCargados = {};
+
+function leerEsquema(archivo) {
+    if (!esquemasCargados[archivo]) {
+        esquemasCargados[archivo] = fs.readFileSync(path.join(DIRECTORIO_ESQUEMAS, archivo), 'utf8');
+    }
+    return esquemasCargados[archivo];
+}
+
+/**
+ * Ruta de cada elemento del XML indentado, indexada por la línea donde abre.
+ * Los hermanos repetidos llevan su posición: /factura/detalles/detalle[2]/cantidad
+ */
+function rutasPorLinea(xml) {
+    const etiqueta = /<(\/?)([A-Za-z_][\w.-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    const nodos = [];
+    const pila = [];
+    let linea = 1;
+    let posicion = 0;
+    let m;
+
+    while ((m = etiqueta.exec(xml))) {
+        for (; posicion < m.index; posicion++) if (xml[posicion] === '\n') linea++;
+        const [texto, cierre, nombre] = m;
+
+        if (cierre) {
+            pila.pop();
+            continue;
+        }
+        const padre = pila[pila.length - 1] || null;
+        const nodo = { nombre, padre, linea, hijos: {} };
+        if (padre) (padre.hijos[nombre] = padre.hijos[nombre] || []).push(nodo);
+        nodos.push(nodo);
+        if (!texto.endsWith('/>')) pila.push(nodo);
+    }
+
+    const ruta = (nodo) => {
+        if (!nodo.padre) return `/${nodo.nombre}`;
+        const hermanos = nodo.padre.hijos[nodo.nombre];
+        const indice = hermanos.length > 1 ? `[${hermanos.indexOf(nodo) + 1}]` : '';
+        return `${ruta(nodo.padre)}/${nodo.nombre}${indice}`;
+    };
+
+    const rutas = {};
+    nodos.forEach(nodo => {
+        if (!rutas[nodo.linea]) rutas[nodo.linea] = ruta(nodo);
+    });
+    return rutas;
+}
+
+/**
+ * Valida el XML (sin firmar) de un comprobante contra su XSD.
+ * @param {object} tipo - Entrada de TIPOS_DOCUMENTO
+ * @param {string} xmlString
+ * @returns {Promise<Array<{ruta: string|null, mensaje: string}>>} Violaciones; vacío si es válido
+ */
+async function validarEsquema(tipo, xmlString) {
+    // Se valida la versión indentada: un elemento por línea permite ubicar cada error
+    const xmlIndentado = create(xmlString).end({ prettyPrint: true });
+
+    const resultado = await validateXML({
+        xml: [{ fileName: ARCHIVO_XML, contents: xmlIndentado }],
+        schema: [{ fileName: tipo.xsd, contents: leerEsquema(tipo.xsd) }],
+        preload: [{ fileName: ESQUEMA_XMLDSIG, contents: leerEsquema(ESQUEMA_XMLDSIG) }]
+    });
+    if (resultado.valid) return [];
+
+    // libxml2 también avisa sobre los propios XSD (algunos oficiales declaran XML 1.1):
+    // solo cuentan los errores ubicados en el comprobante
+    const errores = resultado.errors.filter(error => error.loc && error.loc.fileName === ARCHIVO_XML);
+    if (errores.length === 0) {
+        throw new Error(`No se pudo cargar el XSD ${tipo.xsd}: ${resultado.errors.map(e => e.message).join(' ')}`);
+    }
+
+    const rutas = rutasPorLinea(xmlIndentado);
+    return errores.map(error => ({
+        ruta: error.loc ? rutas[error.loc.lineNumber] || null : null,
+        mensaje: error.message.replace(/^Schemas validity error\s*:\s*/, '').trim()
+    }));
+}
+
+module.exports = { validarEsquema };
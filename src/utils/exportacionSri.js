@@ -0,0 +1,137 @@
+const Decimal = require('decimal.js');
+const { TIPO_ID } = require('./identificacionSri');
+
+/**
+ * Factura de exportación (Ficha Técnica, campos de comercio exterior de infoFactura).
+ * Se activa enviando el bloque `exportacion`; el comprador debe tener identificación
+ * del exterior y las líneas van con IVA 0% (las exportaciones no gravan IVA).
+ * Flete, seguro y gastos son informativos: no se suman al importe total.
+ */
+
+// Incoterms 2020 (más DAT de la versión 2010, aún usado en contratos vigentes)
+const INCOTERMS = ['EXW', 'FCA', 'FAS', 'FOB', 'CFR', 'CIF', 'CPT', 'CIP', 'DAP', 'DPU', 'DDP', 'DAT'];
+
+const CAMPOS_TEXTO = [
+    ['lugar_incoterm', true],
+    ['puerto_embarque', true],
+    ['puerto_destino', true]
+];
+const CAMPOS_PAIS = [
+    ['pais_origen', true],
+    ['pais_destino', true],
+    ['pais_adquisicion', false]
+];
+const CAMPOS_VALOR = ['flete_internacional', 'seguro_internacional', 'gastos_aduaneros', 'gastos_transporte_otros'];
+
+const MAX_LONGITUD_TEXTO = 300;
+
+const Dec = Decimal.clone({ rounding: Decimal.ROUND_HALF_UP });
+
+const texto = (valor) => (valor === undefined || valor === null ? '' : String(valor).trim());
+const incoterm = (valor) => texto(valor).toUpperCase();
+const esNumero = (valor) => (typeof valor === 'number' && Number.isFinite(valor)) ||
+    (typeof valor === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(valor));
+
+/**
+ * Valida el bloque `exportacion`, el comprador y el IVA de las líneas ya calculadas.
+ * @param {object} exportacion
+ * @param {object} cliente
+ * @param {Array} detallesXml - Detalles de calcularTotalesEImpuestos
+ * @returns {Array<{ campo: string, mensaje: string }>} Errores por campo (vacío si todo es válido)
+ */
+function validarExportacion(exportacion, cliente, detallesXml) {
+    if (!exportacion || typeof exportacion !== 'object' || Array.isArray(exportacion)) {
+        return [{ campo: 'exportacion', mensaje: "El campo 'exportacion' debe ser un objeto." }];
+    }
+
+    const errores = [];
+    const tipoComprador = cliente && (cliente.tipo_id || cliente.tipoId);
+    if (tipoComprador !== TIPO_ID.EXTERIOR) {
+        errores.push({ campo: 'cliente.tipo_id', mensaje: `cliente.tipo_id: la factura de exportación requiere un comprador con identificación del exterior (${TIPO_ID.EXTERIOR}).` });
+    }
+
+    if (!INCOTERMS.includes(incoterm(exportacion.incoterm))) {
+        errores.push({ campo: 'exportacion.incoterm', mensaje: `exportacion.incoterm '${texto(exportacion.incoterm)}' no es un Incoterm válido (${INCOTERMS.join(', ')}).` });
+    }
+    if (exportacion.incoterm_total_sin_impuestos !== undefined &&
+        !INCOTERMS.includes(incoterm(exportacion.incoterm_total_sin_impuestos))) {
+        errores.push({ campo: 'exportacion.incoterm_total_sin_impuestos', mensaje: `exportacion.incoterm_total_sin_impuestos '${texto(exportacion.incoterm_total_sin_impuestos)}' no es un Incoterm válido.` });
+    }
+
+    CAMPOS_TEXTO.forEach(([campo, requerido]) => {
+        const valor = texto(exportacion[campo]);
+        if (!valor) {
+            if (requerido) errores.push({ campo: `exportacion.${campo}`, mensaje: `exportacion.${campo} es requerido.` });
+        } else if (valor.length > MAX_LONGITUD_TEXTO) {
+            errores.push({ campo: `exportacion.${campo}`, mensaje: `exportacion.${campo} admite máximo ${MAX_LONGITUD_TEXTO} caracteres.` });
+        }
+    });
+
+    CAMPOS_PAIS.forEach(([campo, requerido]) => {
+        const valor = texto(exportacion[campo]);
+        if (!valor) {
+            if (requerido) errores.push({ campo: `exportacion.${campo}`, mensaje: `exportacion.${campo} es requerido (código de país del SRI, 3 dígitos).` });
+        } else if (!/^\d{3}$/.test(valor)) {
+            errores.push({ campo: `exportacion.${campo}`, mensaje: `exportacion.${campo} '${valor}' debe ser el código de país del SRI de 3 dígitos.` });
+        }
+    });
+
+    CAMPOS_VALOR.forEach(campo => {
+        const valor = exportacion[campo];
+        if (valor === undefined) return;
+        if (!esNumero(valor) || new Dec(valor).lt(0)) {
+            errores.push({ campo: `exportacion.${campo}`, mensaje: `exportacion.${campo} debe ser numérico y mayor o igual a cero.` });
+        } else if (new Dec(valor).decimalPlaces() > 2) {
+            errores.push({ campo: `exportacion.${campo}`, mensaje: `exportacion.${campo} admite máximo 2 decimales.` });
+        }
+    });
+
+    // Las exportaciones de bienes y servicios tienen tarifa 0% (o no objeto / exento)
+    detallesXml.forEach((detalle, i) => {
+        const gravado = detalle.impuestos.impuesto.find(imp => !new Dec(imp.valor).isZero());
+        if (gravado) {
+            errores.push({ campo: `items[${i}]`, mensaje: `items[${i}]: una exportación no puede gravar impuestos (línea con impuesto ${gravado.codigo}/${gravado.codigoPorcentaje} de ${gravado.valor}).` });
+        }
+    });
+
+    return errores;
+}
+
+/**
+ * Campos de comercio exterior de <infoFactura>, separados según la posición que exige el XSD:
+ *  - cabecera: después de obligadoContabilidad (comercioExterior … paisAdquisicion)
+ *  - totalSinImpuestos: incoTermTotalSinImpuestos, tras totalSinImpuestos
+ *  - gastos: flete, seguro y gastos, tras la propina
+ */
+function exportacionXml(exportacion) {
+    const cabecera = {
+        comercioExterior: 'EXPORTADOR',
+        incoTermFactura: incoterm(exportacion.incoterm),
+        lugarIncoTerm: texto(exportacion.lugar_incoterm),
+        paisOrigen: texto(exportacion.pais_origen),
+        puertoEmbarque: texto(exportacion.puerto_embarque),
+        puertoDestino: texto(exportacion.puerto_destino),
+        paisDestino: texto(exportacion.pais_destino)
+    };
+    if (texto(exportacion.pais_adquisicion)) cabecera.paisAdquisicion = texto(exportacion.pais_adquisicion);
+
+    const gastos = {};
+    [
+        ['fleteInternacional', 'flete_internacional'],
+        ['seguroInternacional', 'seguro_internacional'],
+        ['gastosAduaneros', 'gastos_aduaneros'],
+        ['gastosTransporteOtros', 'gastos_transporte_otros']
+    ].forEach(([nodo, campo]) => {
+        if (exportacion[campo] !== undefined) gastos[nodo] = new Dec(exportacion[campo]).toFixed(2);
+    });
+
+    return {
+        cabecera,
+        totalSinImpuestos: {
+            incoTermTotalSinImpuestos: incoterm(exportacion.incoterm_total_sin_impuestos || exportacion.incoterm)
+        },
+        gastos
+    };
+}
+
+module.exports = { INCOTERMS, validarExportacion, exportacionXml };
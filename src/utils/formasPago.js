@@ -0,0 +1,96 @@
+const Decimal = require('decimal.js');
+
+/**
+ * Catálogo de formas de pago del SRI (Ficha técnica, tabla 24) y validación del bloque
+ * <pagos> de facturas, liquidaciones y notas de débito: la suma de los pagos debe ser
+ * exactamente el importe total del comprobante.
+ */
+
+const FORMAS_PAGO = {
+    '01': 'SIN UTILIZACION DEL SISTEMA FINANCIERO',
+    '15': 'COMPENSACIÓN DE DEUDAS',
+    '16': 'TARJETA DE DÉBITO',
+    '17': 'DINERO ELECTRÓNICO',
+    '18': 'TARJETA PREPAGO',
+    '19': 'TARJETA DE CRÉDITO',
+    '20': 'OTROS CON UTILIZACION DEL SISTEMA FINANCIERO',
+    '21': 'ENDOSO DE TÍTULOS'
+};
+
+const FORMA_PAGO_POR_DEFECTO = '01';
+
+const Dec = Decimal.clone({ rounding: Decimal.ROUND_HALF_UP });
+
+const esNumero = (valor) => (typeof valor === 'number' && Number.isFinite(valor)) ||
+    (typeof valor === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(valor));
+
+const formaDePago = (pago) => String(pago.forma_pago || pago.formaPago || FORMA_PAGO_POR_DEFECTO);
+
+/**
+ * Pagos enviados o, si se omiten, un único pago por el total con la forma por defecto.
+ */
+function pagosOPorDefecto(pagos, importeTotal) {
+    return Array.isArray(pagos) && pagos.length > 0
+        ? pagos
+        : [{ forma_pago: FORMA_PAGO_POR_DEFECTO, total: importeTotal }];
+}
+
+/**
+ * Valida formas de pago, montos y plazos, y que la suma coincida con el importe total.
+ * Si `pagos` se omite no hay nada que validar: se usará un único pago por el total.
+ * @param {Array|undefined} pagos
+ * @param {string} importeTotal - Total ya calculado del comprobante
+ * @returns {Array<{ campo: string, mensaje: string }>} Errores por campo (vacío si todo es válido)
+ */
+function validarPagos(pagos, importeTotal) {
+    if (pagos === undefined || pagos === null) return [];
+    if (!Array.isArray(pagos)) return [{ campo: 'pagos', mensaje: "El campo 'pagos' debe ser un arreglo." }];
+    if (pagos.length === 0) return [];
+
+    const errores = [];
+    let suma = new Dec(0);
+    let montosValidos = true;
+
+    pagos.forEach((pago, i) => {
+        const ruta = `pagos[${i}]`;
+        if (!pago || typeof pago !== 'object') {
+            errores.push({ campo: ruta, mensaje: `${ruta} debe ser un objeto.` });
+            montosValidos = false;
+            return;
+        }
+        if (!FORMAS_PAGO[formaDePago(pago)]) {
+            errores.push({ campo: `${ruta}.forma_pago`, mensaje: `${ruta}.forma_pago '${formaDePago(pago)}' no es una forma de pago del SRI (${Object.keys(FORMAS_PAGO).sort().join(', ')}).` });
+        }
+        if (!esNumero(pago.total) || new Dec(pago.total).lte(0)) {
+            errores.push({ campo: `${ruta}.total`, mensaje: `${ruta}.total debe ser numérico y mayor a cero.` });
+            montosValidos = false;
+        } else if (new Dec(pago.total).decimalPlaces() > 2) {
+            errores.push({ campo: `${ruta}.total`, mensaje: `${ruta}.total admite máximo 2 decimales.` });
+            montosValidos = false;
+        } else {
+            suma = suma.plus(pago.total);
+        }
+        if (pago.plazo !== undefined && !/^\d{1,14}$/.test(String(pago.plazo))) {
+            errores.push({ campo: `${ruta}.plazo`, mensaje: `${ruta}.plazo debe ser un número entero.` });
+        }
+    });
+
+    if (montosValidos && !suma.eq(importeTotal)) {
+        errores.push({ campo: 'pagos', mensaje: `La suma de los pagos (${suma.toFixed(2)}) no coincide con el importe total del comprobante (${importeTotal}).` });
+    }
+    return errores;
+}
+
+/**
+ * Bloque <pagos><pago> del XML.
+ */
+function pagosXml(pagos, importeTotal) {
+    return pagosOPorDefecto(pagos, importeTotal).map(p => ({
+        formaPago: formaDePago(p),
+        total: new Dec(p.total).toFixed(2),
+        plazo: String(p.plazo || '0'),
+        unidadTiempo: p.unidad_tiempo || p.unidadTiempo || 'dias'
+    }));
+}
+
+module.exports = { FORMAS_PAGO, FORMA_PAGO_POR_DEFECTO, validarPagos, pagosXml };
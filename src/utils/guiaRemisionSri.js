@@ -0,0 +1,218 @@
+const { formatearUnitario } = require('./calculadoraSri');
+const { obtenerFacturaSustento, datosSustento } = require('./sustentoSri');
+const { rechazo, emitirComprobante } = require('../services/emisionService');
+const { DateTime } = require('luxon');
+
+const COD_DOC_GUIA_REMISION = '06';
+const TIPOS_ID_TRANSPORTISTA = ['04', '05', '06', '08'];
+
+const texto = (valor, max) => String(valor === undefined || valor === null ? '' : valor).trim().substring(0, max);
+
+/**
+ * Valida destinatarios y detalles de la guía antes de tocar la BD.
+ * Los que enlazan una factura pueden omitir identificación, razón social y detalles:
+ * se completan luego con los datos de la factura.
+ */
+function validarDestinatarios(destinatarios) {
+    const errores = [];
+
+    destinatarios.forEach((d, i) => {
+        const ruta = `destinatarios[${i}]`;
+        const conFactura = !!d.factura_clave_acceso;
+
+        if (conFactura && !/^\d{49}$/.test(d.factura_clave_acceso)) {
+            errores.push({ campo: `${ruta}.factura_clave_acceso`, mensaje: `${ruta}.factura_clave_acceso debe tener 49 dígitos.` });
+        }
+        if (!conFactura && !texto(d.razon_social, 300)) errores.push({ campo: `${ruta}.razon_social`, mensaje: `${ruta}.razon_social es requerida.` });
+        if (!texto(d.direccion, 300)) errores.push({ campo: `${ruta}.direccion`, mensaje: `${ruta}.direccion es requerida.` });
+        if (!texto(d.motivo_traslado, 300)) errores.push({ campo: `${ruta}.motivo_traslado`, mensaje: `${ruta}.motivo_traslado es requerido.` });
+
+        const detalles = Array.isArray(d.detalles) ? d.detalles : [];
+        if (detalles.length === 0 && !conFactura) {
+            errores.push({ campo: `${ruta}.detalles`, mensaje: `${ruta}.detalles debe contener al menos un producto.` });
+        }
+        detalles.forEach((det, j) => {
+            if (!texto(det.descripcion, 300)) errores.push({ campo: `${ruta}.detalles[${j}].descripcion`, mensaje: `${ruta}.detalles[${j}].descripcion es requerida.` });
+            if (!(parseFloat(det.cantidad) > 0)) errores.push({ campo: `${ruta}.detalles[${j}].cantidad`, mensaje: `${ruta}.detalles[${j}].cantidad debe ser mayor a cero.` });
+        });
+    });
+
+    return errores;
+}
+
+/**
+ * Detalles de la guía a partir del <detalle> guardado en `datos_factura`.
+ */
+function detallesDesdeFactura(factura) {
+    let datos = factura.datos_factura || {};
+    if (typeof datos === 'string') {
+        try { datos = JSON.parse(datos); } catch (e) { datos = {}; }
+    }
+    const lista = datos.detalles && datos.detalles.detalle;
+    const detalles = Array.isArray(lista) ? lista : (lista ? [lista] : []);
+
+    return detalles.map(det => ({
+        codigo_interno: det.codigoPrincipal,
+        codigo_adicional: det.codigoAuxiliar,
+        descripcion: det.descripcion,
+        cantidad: det.cantidad
+    }));
+}
+
+/**
+ * Guía de Remisión (codDoc 06, esquema v1.1.0) para el traslado de mercadería
+ * entre establecimientos o hacia clientes. Cada destinatario puede enlazar una factura
+ * del emisor como comprobante de venta. Definición para el pipeline de emisión;
+ * el envío al SRI queda en manos de los jobs (estado FIRMADO).
+ */
+const GUIA_REMISION = {
+    codDoc: COD_DOC_GUIA_REMISION,
+
+    validar(guiaData, ctx) {
+        const transportista = guiaData.transportista || {};
+        if (!TIPOS_ID_TRANSPORTISTA.includes(transportista.tipo_id) || !transportista.identificacion || !transportista.razon_social) {
+            return rechazo(400, "El 'transportista' requiere tipo_id (04, 05, 06 u 08), identificacion y razon_social.");
+        }
+
+        const placa = String(guiaData.placa || '').trim().toUpperCase();
+        if (!/^[A-Z0-9-]{3,20}$/.test(placa)) {
+            return rechazo(400, "El campo 'placa' es requerido (solo letras, números y guiones).");
+        }
+
+        const fechaInicio = guiaData.fecha_inicio_transporte || ctx.ahora.toFormat('dd/MM/yyyy');
+        const fechaFin = guiaData.fecha_fin_transporte || fechaInicio;
+        const inicio = DateTime.fromFormat(String(fechaInicio), 'dd/MM/yyyy', { zone: 'America/Guayaquil' });
+        const fin = DateTime.fromFormat(String(fechaFin), 'dd/MM/yyyy', { zone: 'America/Guayaquil' });
+        if (!inicio.isValid || !fin.isValid) {
+            return rechazo(400, "Las fechas de transporte deben tener el formato dd/MM/yyyy.");
+        }
+        if (fin < inicio) {
+            return rechazo(400, "La 'fecha_fin_transporte' no puede ser anterior a la de inicio.");
+        }
+
+        if (!Array.isArray(guiaData.destinatarios) || guiaData.destinatarios.length === 0) {
+            return rechazo(400, "Debe indicar al menos un destinatario.");
+        }
+        const errores = validarDestinatarios(guiaData.destinatarios);
+        if (errores.length > 0) {
+            return rechazo(400, "La guía de remisión contiene datos inválidos.", { errores });
+        }
+
+        Object.assign(ctx, { transportista, placa, inicio, fin });
+        return null;
+    },
+
+    // Destinatarios: los que enlazan factura toman de ella comprador, número y detalles
+    async preparar(client, ctx) {
+        ctx.destinatariosXml = [];
+        ctx.facturaPrincipal = null;
+
+        for (const [i, d] of ctx.body.destinatarios.entries()) {
+            let factura = null;
+            if (d.factura_clave_acceso) {
+                factura = await obtenerFacturaSustento(client, d.factura_clave_acceso, ctx.emisorId);
+                if (!factura) {
+                    return rechazo(404, "La factura enlazada no existe o no te pertenece.", {
+                        errores: [{ campo: `destinatarios[${i}].factura_clave_acceso`, mensaje: 'La factura enlazada no existe o no te pertenece.' }]
+                    });
+                }
+                if (['DEVUELTA', 'RECHAZADO'].includes(factura.estado)) {
+                    const mensaje = `La factura enlazada fue ${factura.estado} por el SRI y no sustenta el traslado.`;
+                    return rechazo(409, mensaje, {
+                        errores: [{ campo: `destinatarios[${i}].factura_clave_acceso`, mensaje }]
+                    });
+                }
+                if (!ctx.facturaPrincipal) ctx.facturaPrincipal = factura;
+            }
+
+            const detalles = Array.isArray(d.detalles) && d.detalles.length > 0 ? d.detalles : detallesDesdeFactura(factura || {});
+            if (detalles.length === 0) {
+                return rechazo(400, "La guía de remisión contiene datos inválidos.", {
+                    errores: [{ campo: `destinatarios[${i}].detalles`, mensaje: "La factura enlazada no tiene detalles; envíe 'detalles'." }]
+                });
+            }
+
+            const destinatario = {
+                identificacionDestinatario: texto(d.identificacion || (factura && factura.identificacion_comprador), 20),
+                razonSocialDestinatario: texto(d.razon_social || (factura && factura.razon_social_comprador), 300),
+                dirDestinatario: texto(d.direccion, 300),
+                motivoTraslado: texto(d.motivo_traslado, 300)
+            };
+            if (!destinatario.identificacionDestinatario) delete destinatario.identificacionDestinatario;
+            if (d.doc_aduanero) destinatario.docAduaneroUnico = texto(d.doc_aduanero, 20);
+            if (d.cod_estab_destino) destinatario.codEstabDestino = texto(d.cod_estab_destino, 3).padStart(3, '0');
+            if (d.ruta) destinatario.ruta = texto(d.ruta, 300);
+
+            if (factura) {
+                const sustento = datosSustento(factura);
+                destinatario.codDocSustento = '01';
+                destinatario.numDocSustento = sustento.numDocModificado;
+                destinatario.numAutDocSustento = factura.clave_acceso;
+                destinatario.fechaEmisionDocSustento = sustento.fechaEmision;
+            }
+
+            destinatario.detalles = {
+                detalle: detalles.map(det => {
+                    const detalle = {};
+                    if (det.codigo_interno || det.codigoInterno) detalle.codigoInterno = texto(det.codigo_interno || det.codigoInterno, 25);
+                    if (det.codigo_adicional || det.codigoAdicional) detalle.codigoAdicional = texto(det.codigo_adicional || det.codigoAdicional, 25);
+                    detalle.descripcion = texto(det.descripcion, 300);
+                    detalle.cantidad = formatearUnitario(parseFloat(det.cantidad));
+                    return detalle;
+                })
+            };
+
+            ctx.destinatariosXml.push(destinatario);
+        }
+
+        return null;
+    },
+
+    construir(ctx) {
+        const { body: guiaData, emisor, puntoEmision, transportista } = ctx;
+
+        const dirEstablecimiento = puntoEmision.direccion_establecimiento || emisor.direccion_matriz;
+        const infoGuiaRemision = {
+            dirEstablecimiento,
+            dirPartida: texto(guiaData.dir_partida || dirEstablecimiento, 300),
+            razonSocialTransportista: texto(transportista.razon_social, 300),
+            tipoIdentificacionTransportista: transportista.tipo_id,
+            rucTransportista: texto(transportista.identificacion, 20),
+            obligadoContabilidad: emisor.obligado_contabilidad || 'NO'
+        };
+        if (emisor.contribuyente_especial) infoGuiaRemision.contribuyenteEspecial = emisor.contribuyente_especial;
+        infoGuiaRemision.fechaIniTransporte = ctx.inicio.toFormat('dd/MM/yyyy');
+        infoGuiaRemision.fechaFinTransporte = ctx.fin.toFormat('dd/MM/yyyy');
+        infoGuiaRemision.placa = ctx.placa;
+
+        return {
+            infoGuiaRemision,
+            destinatarios: {
+                destinatario: ctx.destinatariosXml
+            }
+        };
+    },
+
+    // La guía no tiene valores: se registra con importes en cero y el primer destinatario como "comprador"
+    registro(ctx) {
+        const primerDestinatario = ctx.destinatariosXml[0];
+        return {
+            identificacion: primerDestinatario.identificacionDestinatario || '',
+            razonSocial: primerDestinatario.razonSocialDestinatario,
+            importeTotal: '0.00',
+            email: ctx.body.email || (ctx.facturaPrincipal && ctx.facturaPrincipal.email_comprador),
+            docSustentoClave: ctx.facturaPrincipal ? ctx.facturaPrincipal.clave_acceso : null
+        };
+    },
+
+    respuesta(ctx) {
+        return {
+            destinatarios: ctx.destinatariosXml.length,
+            mensaje: "Guía de remisión firmada y en cola de envío al SRI."
+        };
+    }
+};
+
+const emitirGuiaRemisionCore = (req, res) => emitirComprobante(GUIA_REMISION, req, res);
+
+module.exports = { GUIA_REMISION, emitirGuiaRemisionCore };
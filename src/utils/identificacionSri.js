@@ -0,0 +1,169 @@
+/**
+ * Validación de identificaciones según los tipos de la Ficha Técnica del SRI (tabla 6).
+ * Cada validador devuelve `null` si la identificación es correcta o el mensaje de error.
+ */
+
+const TIPO_ID = {
+    RUC: '04',
+    CEDULA: '05',
+    PASAPORTE: '06',
+    CONSUMIDOR_FINAL: '07',
+    EXTERIOR: '08'
+};
+
+// Ventas sin identificar al comprador: identificación fija y monto máximo vigente del SRI
+// por comprobante (si la normativa cambia el tope, basta con actualizarlo aquí)
+const CONSUMIDOR_FINAL = {
+    identificacion: '9999999999999',
+    razonSocial: 'CONSUMIDOR FINAL',
+    montoMaximo: 50
+};
+
+const provinciaValida = (id) => {
+    const provincia = parseInt(id.substring(0, 2), 10);
+    return (provincia >= 1 && provincia <= 24) || provincia === 30;
+};
+
+/**
+ * Dígito verificador módulo 11 (RUC de sociedades): 11 − (Σ dígito × coeficiente mod 11),
+ * 0 si el residuo es 0. Un resultado de 10 no corresponde a ningún dígito y nunca coincide.
+ */
+function digitoModulo11(digitos, coeficientes) {
+    const suma = coeficientes.reduce((acumulado, coeficiente, i) => acumulado + coeficiente * parseInt(digitos[i], 10), 0);
+    const residuo = suma % 11;
+    return residuo === 0 ? 0 : 11 - residuo;
+}
+
+/**
+ * Cédula ecuatoriana: provincia 01-24 (o 30 para ecuatorianos en el exterior),
+ * tercer dígito menor a 6 y dígito verificador módulo 10.
+ */
+function validarCedula(cedula) {
+    const id = String(cedula || '');
+    if (!/^\d{10}$/.test(id)) return 'La cédula debe tener 10 dígitos.';
+
+    if (!provinciaValida(id)) return 'El código de provincia de la cédula no es válido.';
+    if (parseInt(id[2], 10) >= 6) return 'El tercer dígito de la cédula no es válido.';
+
+    let suma = 0;
+    for (let i = 0; i < 9; i++) {
+        let producto = parseInt(id[i], 10) * (i % 2 === 0 ? 2 : 1);
+        if (producto > 9) producto -= 9;
+        suma += producto;
+    }
+    const verificador = (10 - (suma % 10)) % 10;
+    return verificador === parseInt(id[9], 10) ? null : 'El dígito verificador de la cédula no es válido.';
+}
+
+/**
+ * RUC: 13 dígitos terminados en establecimiento distinto de 000. El tercer dígito define el tipo:
+ *  - 0 a 5: persona natural, los 10 primeros deben ser una cédula válida
+ *  - 6: sociedad pública, verificador módulo 11 en la posición 9 (coeficientes 3,2,7,6,5,4,3,2)
+ *  - 9: sociedad privada o extranjera, verificador módulo 11 en la posición 10 (4,3,2,7,6,5,4,3,2)
+ */
+function validarRuc(ruc) {
+    const id = String(ruc || '');
+    if (!/^\d{13}$/.test(id)) return 'El RUC debe tener 13 dígitos.';
+    if (id.substring(10) === '000') return 'El RUC debe terminar en un establecimiento válido (ej. 001).';
+    if (!provinciaValida(id)) return 'El código de provincia del RUC no es válido.';
+
+    const tercerDigito = parseInt(id[2], 10);
+    if (tercerDigito < 6) {
+        const errorCedula = validarCedula(id.substring(0, 10));
+        if (errorCedula) return `RUC de persona natural inválido: ${errorCedula}`;
+        return null;
+    }
+    if (tercerDigito === 6) {
+        if (id.substring(9) === '0000') return 'El RUC de sociedad pública debe terminar en un establecimiento válido (ej. 0001).';
+        return digitoModulo11(id, [3, 2, 7, 6, 5, 4, 3, 2]) === parseInt(id[8], 10)
+            ? null : 'El dígito verificador del RUC de sociedad pública no es válido.';
+    }
+    if (tercerDigito === 9) {
+        return digitoModulo11(id, [4, 3, 2, 7, 6, 5, 4, 3, 2]) === parseInt(id[9], 10)
+            ? null : 'El dígito verificador del RUC de sociedad privada no es válido.';
+    }
+    return 'El tercer dígito del RUC no corresponde a ningún tipo de contribuyente.';
+}
+
+/**
+ * Valida una identificación según su tipo SRI.
+ * @param {string} tipo - Código de la tabla 6 ('04', '05', '06', '07', '08')
+ * @param {string} identificacion
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+function validarIdentificacion(tipo, identificacion) {
+    const id = String(identificacion || '').trim();
+    if (!id) return 'La identificación es requerida.';
+
+    switch (tipo) {
+        case TIPO_ID.RUC:
+            return validarRuc(id);
+        case TIPO_ID.CEDULA:
+            return validarCedula(id);
+        case TIPO_ID.CONSUMIDOR_FINAL:
+            return id === CONSUMIDOR_FINAL.identificacion ? null : `El consumidor final se identifica con ${CONSUMIDOR_FINAL.identificacion}.`;
+        case TIPO_ID.PASAPORTE:
+        case TIPO_ID.EXTERIOR:
+            return /^[A-Za-z0-9-]{3,20}$/.test(id) ? null : 'La identificación debe tener entre 3 y 20 caracteres alfanuméricos.';
+        default:
+            return `Tipo de identificación ${tipo} no reconocido.`;
+    }
+}
+
+/**
+ * Valida el comprador de una factura (antes de consumir el secuencial): tipo e identificación,
+ * y las reglas del consumidor final (9999999999999 solo con tipo 07 y hasta el monto máximo).
+ * @param {object} cliente - { tipo_id, identificacion, nombre }
+ * @param {string|number} [importeTotal] - Para el tope de ventas a consumidor final
+ * @returns {Array<{ campo: string, mensaje: string }>} Errores por campo (vacío si es válido)
+ */
+function validarComprador(cliente, importeTotal) {
+    if (!cliente || typeof cliente !== 'object') {
+        return [{ campo: 'cliente', mensaje: 'Los datos del comprador son requeridos.' }];
+    }
+
+    const errores = [];
+    const tipo = cliente.tipo_id || cliente.tipoId;
+    const identificacion = String(cliente.identificacion || '').trim();
+
+    if (!Object.values(TIPO_ID).includes(tipo)) {
+        errores.push({ campo: 'cliente.tipo_id', mensaje: `Tipo de identificación '${tipo || ''}' no válido (04 RUC, 05 cédula, 06 pasaporte, 07 consumidor final, 08 exterior).` });
+    } else {
+        const errorIdentificacion = validarIdentificacion(tipo, identificacion);
+        if (errorIdentificacion) errores.push({ campo: 'cliente.identificacion', mensaje: errorIdentificacion });
+    }
+
+    if (tipo === TIPO_ID.CONSUMIDOR_FINAL) {
+        if (importeTotal !== undefined && parseFloat(importeTotal) > CONSUMIDOR_FINAL.montoMaximo) {
+            errores.push({
+                campo: 'cliente.tipo_id',
+                mensaje: `Las ventas a consumidor final no pueden superar USD ${CONSUMIDOR_FINAL.montoMaximo.toFixed(2)} (importe: ${importeTotal}); identifique al comprador.`
+            });
+        }
+    } else {
+        if (identificacion === CONSUMIDOR_FINAL.identificacion) {
+            errores.push({ campo: 'cliente.tipo_id', mensaje: `La identificación ${CONSUMIDOR_FINAL.identificacion} corresponde al consumidor final (tipo_id 07).` });
+        }
+        if (!String(cliente.nombre || cliente.razonSocial || '').trim()) {
+            errores.push({ campo: 'cliente.nombre', mensaje: 'La razón social o nombre del comprador es requerida.' });
+        }
+    }
+
+    return errores;
+}
+
+/**
+ * Datos del comprador tal como van al XML: identificación sin espacios y, para el
+ * consumidor final, la razón social "CONSUMIDOR FINAL" si no se envió otra.
+ */
+function datosComprador(cliente) {
+    const tipo = cliente.tipo_id || cliente.tipoId;
+    const nombre = String(cliente.nombre || cliente.razonSocial || '').trim();
+    return {
+        tipo,
+        identificacion: String(cliente.identificacion || '').trim(),
+        razonSocial: nombre || (tipo === TIPO_ID.CONSUMIDOR_FINAL ? CONSUMIDOR_FINAL.razonSocial : '')
+    };
+}
+
+module.exports = { TIPO_ID, CONSUMIDOR_FINAL, validarCedula, validarRuc, validarIdentificacion, validarComprador, datosComprador };
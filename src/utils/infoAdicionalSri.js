@@ -0,0 +1,91 @@
+/**
+ * Información adicional de los comprobantes: <infoAdicional><campoAdicional nombre="">
+ * a nivel de comprobante y <detallesAdicionales><detAdicional nombre="" valor=""/> por línea.
+ * Límites del XSD del SRI: 15 campos, 3 detalles por línea y textos de 1 a 300 caracteres.
+ */
+
+const MAX_CAMPOS_ADICIONALES = 15;
+const MAX_DETALLES_ADICIONALES = 3;
+const MAX_LONGITUD_TEXTO = 300;
+
+const texto = (valor) => (valor === undefined || valor === null ? '' : String(valor).trim());
+
+/**
+ * Valida una lista de pares { nombre, valor } contra el máximo de entradas y la longitud.
+ * @returns {Array<{ campo: string, mensaje: string }>} Errores por campo (vacío si todo es válido)
+ */
+function validarPares(pares, ruta, maximo) {
+    if (pares === undefined || pares === null) return [];
+    if (!Array.isArray(pares)) return [{ campo: ruta, mensaje: `${ruta} debe ser un arreglo de { nombre, valor }.` }];
+
+    const errores = [];
+    if (pares.length > maximo) {
+        errores.push({ campo: ruta, mensaje: `${ruta} admite máximo ${maximo} entradas (se enviaron ${pares.length}).` });
+    }
+    pares.forEach((par, i) => {
+        if (!par || typeof par !== 'object') {
+            errores.push({ campo: `${ruta}[${i}]`, mensaje: `${ruta}[${i}] debe ser un objeto { nombre, valor }.` });
+            return;
+        }
+        ['nombre', 'valor'].forEach(campo => {
+            const valor = texto(par[campo]);
+            if (!valor) {
+                errores.push({ campo: `${ruta}[${i}].${campo}`, mensaje: `${ruta}[${i}].${campo} es requerido.` });
+            } else if (valor.length > MAX_LONGITUD_TEXTO) {
+                errores.push({ campo: `${ruta}[${i}].${campo}`, mensaje: `${ruta}[${i}].${campo} admite máximo ${MAX_LONGITUD_TEXTO} caracteres (tiene ${valor.length}).` });
+            }
+        });
+    });
+    return errores;
+}
+
+/**
+ * Valida `info_adicional` del comprobante (hasta 15 pares).
+ */
+function validarInfoAdicional(info) {
+    return validarPares(info, 'info_adicional', MAX_CAMPOS_ADICIONALES);
+}
+
+/**
+ * Valida `detalles_adicionales` de una línea (hasta 3 pares).
+ * @param {Array|undefined} detalles
+ * @param {string} ruta - Prefijo del item en los mensajes, p. ej. "items[0]"
+ */
+function validarDetallesAdicionales(detalles, ruta) {
+    return validarPares(detalles, `${ruta}.detalles_adicionales`, MAX_DETALLES_ADICIONALES);
+}
+
+const hayPares = (pares) => Array.isArray(pares) && pares.length > 0;
+
+/**
+ * Nodos <infoAdicional> listos para esparcir en el comprobante (vacío si no hay campos).
+ */
+function infoAdicionalXml(info) {
+    if (!hayPares(info)) return {};
+    return {
+        infoAdicional: {
+            campoAdicional: info.map(c => ({ '@nombre': texto(c.nombre), '#': texto(c.valor) }))
+        }
+    };
+}
+
+/**
+ * Nodos <detallesAdicionales> de una línea (vacío si no hay detalles).
+ */
+function detallesAdicionalesXml(detalles) {
+    if (!hayPares(detalles)) return {};
+    return {
+        detallesAdicionales: {
+            detAdicional: detalles.map(d => ({ '@nombre': texto(d.nombre), '@valor': texto(d.valor) }))
+        }
+    };
+}
+
+module.exports = {
+    MAX_CAMPOS_ADICIONALES,
+    MAX_DETALLES_ADICIONALES,
+    validarInfoAdicional,
+    validarDetallesAdicionales,
+    infoAdicionalXml,
+    detallesAdicionalesXml
+};
@@ -0,0 +1,113 @@
+const { validarItems, calcularTotalesEImpuestos } = require('./calculadoraSri');
+const { TIPO_ID, validarIdentificacion } = require('./identificacionSri');
+const { validarPagos, pagosXml } = require('./formasPago');
+const { rechazo, emitirComprobante } = require('../services/emisionService');
+
+const COD_DOC_LIQUIDACION_COMPRA = '03';
+
+// El consumidor final no aplica: el proveedor siempre debe quedar identificado
+const TIPOS_ID_PROVEEDOR = [TIPO_ID.RUC, TIPO_ID.CEDULA, TIPO_ID.PASAPORTE, TIPO_ID.EXTERIOR];
+
+/**
+ * Liquidación de Compra de Bienes y Prestación de Servicios (codDoc 03, esquema v1.1.0)
+ * a proveedores que no pueden facturar (agricultores, informales). Totales con
+ * calcularTotalesEImpuestos, igual que la factura; definición para el pipeline de emisión.
+ */
+const LIQUIDACION_COMPRA = {
+    codDoc: COD_DOC_LIQUIDACION_COMPRA,
+
+    validar(lcData) {
+        const proveedor = lcData.proveedor || {};
+
+        if (!TIPOS_ID_PROVEEDOR.includes(proveedor.tipo_id)) {
+            return rechazo(400, "El 'proveedor.tipo_id' debe ser 04, 05, 06 u 08.");
+        }
+        const errorIdentificacion = validarIdentificacion(proveedor.tipo_id, proveedor.identificacion);
+        if (errorIdentificacion) {
+            return rechazo(400, "Los datos del proveedor son inválidos.", {
+                errores: [{ campo: 'proveedor.identificacion', mensaje: errorIdentificacion }]
+            });
+        }
+        if (!proveedor.razon_social || !String(proveedor.razon_social).trim()) {
+            return rechazo(400, "El campo 'proveedor.razon_social' es requerido.");
+        }
+        if (!Array.isArray(lcData.items) || lcData.items.length === 0) {
+            return rechazo(400, "Debe indicar al menos un item.");
+        }
+        const errores = validarItems(lcData.items);
+        if (errores.length > 0) {
+            return rechazo(400, "Los items contienen valores inválidos.", { errores });
+        }
+        const { totales } = calcularTotalesEImpuestos(lcData.items);
+        const erroresPagos = validarPagos(lcData.pagos, totales.importeTotal);
+        if (erroresPagos.length > 0) {
+            return rechazo(400, "Los pagos son inválidos.", { errores: erroresPagos, importe_total: totales.importeTotal });
+        }
+        return null;
+    },
+
+    async preparar(client, ctx) {
+        ctx.proveedor = ctx.body.proveedor;
+        ctx.calculos = calcularTotalesEImpuestos(ctx.body.items);
+        return null;
+    },
+
+    construir(ctx) {
+        const { body: lcData, emisor, puntoEmision, proveedor, calculos } = ctx;
+
+        const infoLiquidacionCompra = {
+            fechaEmision: ctx.ahora.toFormat('dd/MM/yyyy'),
+            dirEstablecimiento: puntoEmision.direccion_establecimiento || emisor.direccion_matriz
+        };
+        if (emisor.contribuyente_especial) infoLiquidacionCompra.contribuyenteEspecial = emisor.contribuyente_especial;
+        Object.assign(infoLiquidacionCompra, {
+            obligadoContabilidad: emisor.obligado_contabilidad || 'NO',
+            tipoIdentificacionProveedor: proveedor.tipo_id,
+            razonSocialProveedor: String(proveedor.razon_social).trim().substring(0, 300),
+            identificacionProveedor: String(proveedor.identificacion).trim()
+        });
+        if (proveedor.direccion) infoLiquidacionCompra.direccionProveedor = String(proveedor.direccion).trim().substring(0, 300);
+        Object.assign(infoLiquidacionCompra, {
+            totalSinImpuestos: calculos.totales.totalSinImpuestos,
+            totalDescuento: calculos.totales.totalDescuento,
+            totalConImpuestos: { totalImpuesto: calculos.totalConImpuestosXml },
+            importeTotal: calculos.totales.importeTotal,
+            moneda: 'DOLAR',
+            pagos: {
+                pago: pagosXml(lcData.pagos, calculos.totales.importeTotal)
+            }
+        });
+
+        return {
+            infoLiquidacionCompra,
+            detalles: {
+                detalle: calculos.detallesXml
+            }
+        };
+    },
+
+    // En la liquidación la contraparte es el proveedor
+    registro(ctx) {
+        const { proveedor, calculos } = ctx;
+        return {
+            identificacion: String(proveedor.identificacion).trim(),
+            razonSocial: String(proveedor.razon_social).trim(),
+            importeTotal: calculos.totales.importeTotal,
+            subtotalIva: calculos.totales.subtotal_iva,
+            subtotal0: calculos.totales.subtotal_0,
+            valorIva: calculos.totales.totalIva,
+            email: proveedor.email
+        };
+    },
+
+    respuesta(ctx) {
+        return {
+            importe_total: ctx.calculos.totales.importeTotal,
+            mensaje: "Liquidación de compra firmada y en cola de envío al SRI."
+        };
+    }
+};
+
+const emitirLiquidacionCompraCore = (req, res) => emitirComprobante(LIQUIDACION_COMPRA, req, res);
+
+module.exports = { LIQUIDACION_COMPRA, emitirLiquidacionCompraCore };
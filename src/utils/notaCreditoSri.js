@@ -0,0 +1,149 @@
+const Decimal = require('decimal.js');
+const { validarItems, calcularTotalesEImpuestos } = require('./calculadoraSri');
+const { obtenerFacturaSustento, datosSustento } = require('./sustentoSri');
+const { rechazo, emitirComprobante } = require('../services/emisionService');
+
+const COD_DOC_NOTA_CREDITO = '04';
+const Dec = Decimal.clone({ rounding: Decimal.ROUND_HALF_UP });
+
+// Montos en centavos enteros: evita que 0.1 + 0.2 deje pasar un crédito de más
+const aCentavos = (valor) => new Dec(valor || 0).times(100).toDecimalPlaces(0).toNumber();
+
+/**
+ * Saldo (en centavos) que aún puede acreditarse sobre la factura.
+ * Las notas DEVUELTA, RECHAZADO o ERROR nunca tuvieron validez, por eso no restan.
+ */
+async function saldoAcreditable(client, factura, emisorId) {
+    const res = await client.query(`
+        SELECT COALESCE(SUM(importe_total), 0) as acreditado
+        FROM invoices
+        WHERE emisor_id = $1
+          AND doc_sustento_clave = $2
+          AND tipo_documento = $3
+          AND estado NOT IN ('DEVUELTA', 'RECHAZADO', 'ERROR')
+    `, [emisorId, factura.clave_acceso, COD_DOC_NOTA_CREDITO]);
+
+    return aCentavos(factura.importe_total) - aCentavos(res.rows[0].acreditado);
+}
+
+/**
+ * Nota de Crédito (codDoc 04, esquema v1.1.0) sobre una factura autorizada.
+ * Definición para el pipeline de emisión; el envío al SRI queda en manos de los
+ * jobs de recepción y autorización (estado FIRMADO).
+ */
+const NOTA_CREDITO = {
+    codDoc: COD_DOC_NOTA_CREDITO,
+    puntoDesdeSustento: true,
+
+    validar(ncData) {
+        if (!/^\d{49}$/.test(ncData.clave_acceso || '')) {
+            return rechazo(400, "El campo 'clave_acceso' de la factura original debe tener 49 dígitos.");
+        }
+        if (!ncData.motivo || !String(ncData.motivo).trim()) {
+            return rechazo(400, "El campo 'motivo' es requerido.");
+        }
+        if (!Array.isArray(ncData.items) || ncData.items.length === 0) {
+            return rechazo(400, "Debe indicar al menos un item devuelto.");
+        }
+        const errores = validarItems(ncData.items);
+        if (errores.length > 0) {
+            return rechazo(400, "Los items contienen valores inválidos.", { errores });
+        }
+        return null;
+    },
+
+    async preparar(client, ctx) {
+        // 1. Factura que se modifica
+        const facturaOriginal = await obtenerFacturaSustento(client, ctx.body.clave_acceso, ctx.emisorId);
+        if (!facturaOriginal) {
+            return rechazo(404, "La factura original no existe o no te pertenece.");
+        }
+        if (facturaOriginal.estado !== 'AUTORIZADO') {
+            return rechazo(409, `Solo se pueden emitir notas de crédito sobre facturas AUTORIZADAS (estado actual: ${facturaOriginal.estado}).`);
+        }
+
+        // 2. Totales y tope: nunca acreditar más de lo que queda de la factura
+        const calculos = calcularTotalesEImpuestos(ctx.body.items);
+        const saldo = await saldoAcreditable(client, facturaOriginal, ctx.emisorId);
+        if (aCentavos(calculos.totales.importeTotal) > saldo) {
+            return rechazo(400,
+                `La nota de crédito (${calculos.totales.importeTotal}) excede el saldo disponible de la factura (${(saldo / 100).toFixed(2)}).`,
+                { saldo_disponible: (saldo / 100).toFixed(2) });
+        }
+
+        ctx.facturaOriginal = facturaOriginal;
+        ctx.calculos = calculos;
+        ctx.puntoPorDefectoId = facturaOriginal.punto_emision_id;
+        return null;
+    },
+
+    construir(ctx) {
+        const { emisor, puntoEmision, facturaOriginal, calculos } = ctx;
+        const sustento = datosSustento(facturaOriginal);
+
+        return {
+            infoNotaCredito: {
+                fechaEmision: ctx.ahora.toFormat('dd/MM/yyyy'),
+                dirEstablecimiento: puntoEmision.direccion_establecimiento || emisor.direccion_matriz,
+                tipoIdentificacionComprador: sustento.tipoIdentificacion,
+                razonSocialComprador: facturaOriginal.razon_social_comprador,
+                identificacionComprador: facturaOriginal.identificacion_comprador,
+                obligadoContabilidad: emisor.obligado_contabilidad || 'NO',
+                codDocModificado: '01',
+                numDocModificado: sustento.numDocModificado,
+                fechaEmisionDocSustento: sustento.fechaEmision,
+                totalSinImpuestos: calculos.totales.totalSinImpuestos,
+                valorModificacion: calculos.totales.importeTotal,
+                moneda: 'DOLAR',
+                totalConImpuestos: { totalImpuesto: calculos.totalConImpuestosXml },
+                motivo: String(ctx.body.motivo).trim().substring(0, 300)
+            },
+            detalles: {
+                // En notaCredito el código del item se llama codigoInterno
+                detalle: calculos.detallesXml.map(({ codigoPrincipal, ...resto }) => ({
+                    codigoInterno: codigoPrincipal,
+                    ...resto
+                }))
+            }
+        };
+    },
+
+    // Otra NC pudo registrarse mientras firmábamos: se revalida con la factura bloqueada
+    async verificar(client, ctx) {
+        const facturaBloqueada = await obtenerFacturaSustento(client, ctx.facturaOriginal.clave_acceso, ctx.emisorId);
+        const saldo = await saldoAcreditable(client, facturaBloqueada, ctx.emisorId);
+        if (aCentavos(ctx.calculos.totales.importeTotal) > saldo) {
+            return rechazo(409,
+                `Otra nota de crédito consumió el saldo de la factura. Saldo disponible: ${(saldo / 100).toFixed(2)}.`,
+                { saldo_disponible: (saldo / 100).toFixed(2) });
+        }
+        ctx.saldo = saldo;
+        return null;
+    },
+
+    registro(ctx) {
+        const { facturaOriginal, calculos } = ctx;
+        return {
+            identificacion: facturaOriginal.identificacion_comprador,
+            razonSocial: facturaOriginal.razon_social_comprador,
+            importeTotal: calculos.totales.importeTotal,
+            subtotalIva: calculos.totales.subtotal_iva,
+            subtotal0: calculos.totales.subtotal_0,
+            valorIva: calculos.totales.totalIva,
+            email: facturaOriginal.email_comprador,
+            docSustentoClave: facturaOriginal.clave_acceso
+        };
+    },
+
+    respuesta(ctx) {
+        return {
+            factura_modificada: ctx.facturaOriginal.clave_acceso,
+            saldo_restante: ((ctx.saldo - aCentavos(ctx.calculos.totales.importeTotal)) / 100).toFixed(2),
+            mensaje: "Nota de crédito firmada y en cola de envío al SRI."
+        };
+    }
+};
+
+const emitirNotaCreditoCore = (req, res) => emitirComprobante(NOTA_CREDITO, req, res);
+
+module.exports = { NOTA_CREDITO, emitirNotaCreditoCore };
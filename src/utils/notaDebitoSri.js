@@ -0,0 +1,154 @@
+const { calcularTotalesEImpuestos } = require('./calculadoraSri');
+const { TARIFAS_IVA_ADMITIDAS, buscarIvaPorTarifa } = require('./codigosImpuesto');
+const { obtenerFacturaSustento, datosSustento } = require('./sustentoSri');
+const { validarPagos, pagosXml } = require('./formasPago');
+const { rechazo, emitirComprobante } = require('../services/emisionService');
+
+const COD_DOC_NOTA_DEBITO = '05';
+
+/**
+ * Convierte los motivos de la nota de débito en items de una sola unidad,
+ * para que IVA y totales salgan del mismo cálculo (y catálogo de IVA) que la factura.
+ */
+function motivosComoItems(motivos, tarifaIvaGeneral) {
+    return motivos.map(m => ({
+        descripcion: m.razon,
+        cantidad: 1,
+        precioUnitario: m.valor,
+        tarifaIva: m.tarifaIva !== undefined ? m.tarifaIva : tarifaIvaGeneral
+    }));
+}
+
+/**
+ * Nota de Débito (codDoc 05, esquema v1.0.0) sobre una factura autorizada,
+ * p. ej. intereses por mora o recargos. Definición para el pipeline de emisión;
+ * el envío al SRI queda en manos de los jobs (estado FIRMADO).
+ */
+const NOTA_DEBITO = {
+    codDoc: COD_DOC_NOTA_DEBITO,
+    puntoDesdeSustento: true,
+
+    validar(ndData) {
+        if (!/^\d{49}$/.test(ndData.clave_acceso || '')) {
+            return rechazo(400, "El campo 'clave_acceso' de la factura original debe tener 49 dígitos.");
+        }
+        if (!Array.isArray(ndData.motivos) || ndData.motivos.length === 0) {
+            return rechazo(400, "Debe indicar al menos un motivo.");
+        }
+        const motivoInvalido = ndData.motivos.find(m => !m.razon || !String(m.razon).trim() || !(parseFloat(m.valor) > 0));
+        if (motivoInvalido) {
+            return rechazo(400, "Cada motivo requiere 'razon' y un 'valor' mayor a cero.");
+        }
+        const errores = motivosComoItems(ndData.motivos, ndData.tarifaIva || 0)
+            .map((item, i) => buscarIvaPorTarifa(item.tarifaIva) ? null : {
+                campo: `motivos[${i}].tarifaIva`,
+                mensaje: `motivos[${i}].tarifaIva ${item.tarifaIva} no es una tarifa de IVA vigente (${TARIFAS_IVA_ADMITIDAS.join(', ')}).`
+            })
+            .filter(Boolean);
+        if (errores.length > 0) {
+            return rechazo(400, "Los motivos contienen tarifas de IVA inválidas.", { errores });
+        }
+        // Los pagos son opcionales en la nota de débito; si se envían deben sumar el total
+        const { totales } = calcularTotalesEImpuestos(motivosComoItems(ndData.motivos, ndData.tarifaIva || 0));
+        const erroresPagos = validarPagos(ndData.pagos, totales.importeTotal);
+        if (erroresPagos.length > 0) {
+            return rechazo(400, "Los pagos son inválidos.", { errores: erroresPagos, importe_total: totales.importeTotal });
+        }
+        return null;
+    },
+
+    async preparar(client, ctx) {
+        const facturaOriginal = await obtenerFacturaSustento(client, ctx.body.clave_acceso, ctx.emisorId);
+        if (!facturaOriginal) {
+            return rechazo(404, "La factura original no existe o no te pertenece.");
+        }
+        if (facturaOriginal.estado !== 'AUTORIZADO') {
+            return rechazo(409, `Solo se pueden emitir notas de débito sobre facturas AUTORIZADAS (estado actual: ${facturaOriginal.estado}).`);
+        }
+
+        // Totales: mismos códigos de IVA que la factura
+        ctx.calculos = calcularTotalesEImpuestos(motivosComoItems(ctx.body.motivos, ctx.body.tarifaIva || 0));
+        ctx.facturaOriginal = facturaOriginal;
+        ctx.puntoPorDefectoId = facturaOriginal.punto_emision_id;
+        return null;
+    },
+
+    construir(ctx) {
+        const { body: ndData, emisor, puntoEmision, facturaOriginal, calculos } = ctx;
+
+        // El <impuesto> de la nota de débito sí lleva tarifa; se toma del detalle ya calculado
+        // (los motivos solo llevan IVA: es el único impuesto de cada detalle)
+        const tarifaPorCodigo = {};
+        calculos.detallesXml.forEach(d => {
+            const [iva] = d.impuestos.impuesto;
+            tarifaPorCodigo[iva.codigoPorcentaje] = iva.tarifa;
+        });
+
+        const sustento = datosSustento(facturaOriginal);
+        const infoNotaDebito = {
+            fechaEmision: ctx.ahora.toFormat('dd/MM/yyyy'),
+            dirEstablecimiento: puntoEmision.direccion_establecimiento || emisor.direccion_matriz,
+            tipoIdentificacionComprador: sustento.tipoIdentificacion,
+            razonSocialComprador: facturaOriginal.razon_social_comprador,
+            identificacionComprador: facturaOriginal.identificacion_comprador,
+            obligadoContabilidad: emisor.obligado_contabilidad || 'NO',
+            codDocModificado: '01',
+            numDocModificado: sustento.numDocModificado,
+            fechaEmisionDocSustento: sustento.fechaEmision,
+            totalSinImpuestos: calculos.totales.totalSinImpuestos,
+            impuestos: {
+                impuesto: calculos.totalConImpuestosXml.map(imp => ({
+                    codigo: imp.codigo,
+                    codigoPorcentaje: imp.codigoPorcentaje,
+                    tarifa: tarifaPorCodigo[imp.codigoPorcentaje],
+                    baseImponible: imp.baseImponible,
+                    valor: imp.valor
+                }))
+            },
+            valorTotal: calculos.totales.importeTotal
+        };
+
+        if (Array.isArray(ndData.pagos) && ndData.pagos.length > 0) {
+            infoNotaDebito.pagos = {
+                pago: pagosXml(ndData.pagos, calculos.totales.importeTotal)
+            };
+        }
+
+        return {
+            infoNotaDebito,
+            motivos: {
+                motivo: ndData.motivos.map((m, i) => ({
+                    razon: String(m.razon).trim().substring(0, 300),
+                    // Mismo valor redondeado que entra en totalSinImpuestos
+                    valor: calculos.detallesXml[i].precioTotalSinImpuesto
+                }))
+            }
+        };
+    },
+
+    registro(ctx) {
+        const { facturaOriginal, calculos } = ctx;
+        return {
+            identificacion: facturaOriginal.identificacion_comprador,
+            razonSocial: facturaOriginal.razon_social_comprador,
+            importeTotal: calculos.totales.importeTotal,
+            subtotalIva: calculos.totales.subtotal_iva,
+            subtotal0: calculos.totales.subtotal_0,
+            valorIva: calculos.totales.totalIva,
+            email: facturaOriginal.email_comprador,
+            docSustentoClave: facturaOriginal.clave_acceso
+        };
+    },
+
+    respuesta(ctx) {
+        return {
+            factura_modificada: ctx.facturaOriginal.clave_acceso,
+            valor_total: ctx.calculos.totales.importeTotal,
+            mensaje: "Nota de débito firmada y en cola de envío al SRI."
+        };
+    }
+};
+
+const emitirNotaDebitoCore = (req, res) => emitirComprobante(NOTA_DEBITO, req, res);
+
+module.exports = { NOTA_DEBITO, emitirNotaDebitoCore };
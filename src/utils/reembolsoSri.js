@@ -0,0 +1,224 @@
+const Decimal = require('decimal.js');
+const { DateTime } = require('luxon');
+const { TARIFAS_IVA_ADMITIDAS, buscarIvaPorTarifa } = require('./codigosImpuesto');
+const { TIPO_ID, validarIdentificacion } = require('./identificacionSri');
+
+/**
+ * Factura por reembolso de gastos: el intermediario (agencia de viajes, administrador...)
+ * refactura los comprobantes de terceros que pagó por cuenta del cliente. Cada comprobante
+ * reembolsado va en <reembolsos> con sus propios impuestos, y los totales de reembolso de
+ * <infoFactura> deben cuadrar con esos comprobantes y con los totales de la factura.
+ */
+
+// codDocReembolso de infoFactura: "Comprobante de venta emitido por reembolso" (tabla 4)
+const COD_DOC_REEMBOLSO = '41';
+
+const TIPOS_ID_PROVEEDOR = [TIPO_ID.RUC, TIPO_ID.CEDULA, TIPO_ID.PASAPORTE, TIPO_ID.EXTERIOR];
+const TIPO_PROVEEDOR = { PERSONA_NATURAL: '01', SOCIEDAD: '02' };
+
+// Diferencia admitida entre el impuesto declarado del comprobante de terceros y el recalculado
+const TOLERANCIA_IMPUESTO = new Decimal('0.01');
+
+const Dec = Decimal.clone({ rounding: Decimal.ROUND_HALF_UP });
+
+const texto = (valor) => (valor === undefined || valor === null ? '' : String(valor).trim());
+const esNumero = (valor) => (typeof valor === 'number' && Number.isFinite(valor) && valor >= 0) ||
+    (typeof valor === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(valor));
+const esValor = (valor) => esNumero(valor) && new Dec(valor).decimalPlaces() <= 2;
+
+/**
+ * Persona natural o sociedad: si no se indica, se deduce del tercer dígito del RUC
+ * (6 entidad pública y 9 sociedad privada).
+ */
+function tipoProveedor(proveedor) {
+    if (proveedor.tipo_proveedor) return texto(proveedor.tipo_proveedor);
+    const id = texto(proveedor.identificacion);
+    return proveedor.tipo_id === TIPO_ID.RUC && ['6', '9'].includes(id[2])
+        ? TIPO_PROVEEDOR.SOCIEDAD
+        : TIPO_PROVEEDOR.PERSONA_NATURAL;
+}
+
+/**
+ * Valida los impuestos de un comprobante reembolsado y los arma para el XML.
+ * Si el comprobante trae el valor del impuesto se respeta (fue calculado por el tercero),
+ * siempre que no difiera más de un centavo de base × tarifa.
+ */
+function construirImpuestos(impuestos, ruta, errores) {
+    if (!Array.isArray(impuestos) || impuestos.length === 0) {
+        errores.push({ campo: `${ruta}.impuestos`, mensaje: `${ruta}.impuestos debe contener al menos un impuesto.` });
+        return [];
+    }
+
+    return impuestos.map((imp, j) => {
+        const rutaImp = `${ruta}.impuestos[${j}]`;
+        const tarifaIva = imp && (imp.tarifa_iva !== undefined ? imp.tarifa_iva : imp.tarifaIva);
+        const infoSri = buscarIvaPorTarifa(tarifaIva);
+        if (!infoSri) {
+            errores.push({ campo: `${rutaImp}.tarifa_iva`, mensaje: `${rutaImp}.tarifa_iva '${texto(tarifaIva)}' no es una tarifa de IVA vigente (${TARIFAS_IVA_ADMITIDAS.join(', ')}).` });
+            return null;
+        }
+        if (!esValor(imp.base_imponible)) {
+            errores.push({ campo: `${rutaImp}.base_imponible`, mensaje: `${rutaImp}.base_imponible debe ser numérico, mayor o igual a cero y con máximo 2 decimales.` });
+            return null;
+        }
+
+        const base = new Dec(imp.base_imponible);
+        const calculado = base.times(infoSri.tarifa).div(100).toDecimalPlaces(2);
+        let valor = calculado;
+        if (imp.valor !== undefined) {
+            if (!esValor(imp.valor)) {
+                errores.push({ campo: `${rutaImp}.valor`, mensaje: `${rutaImp}.valor debe ser numérico, mayor o igual a cero y con máximo 2 decimales.` });
+                return null;
+            }
+            valor = new Dec(imp.valor);
+            if (valor.minus(calculado).abs().gt(TOLERANCIA_IMPUESTO)) {
+                errores.push({ campo: `${rutaImp}.valor`, mensaje: `${rutaImp}.valor ${valor.toFixed(2)} no corresponde al ${infoSri.tarifa}% de ${base.toFixed(2)} (${calculado.toFixed(2)}).` });
+                return null;
+            }
+        }
+
+        return {
+            codigo: infoSri.codigo,
+            codigoPorcentaje: infoSri.codigoPorcentaje,
+            tarifa: String(infoSri.tarifa),
+            base,
+            valor
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Valida el bloque `reembolso` y arma sus nodos XML. Los totales se recalculan a partir
+ * de los comprobantes; si el cliente los envía deben coincidir, y en cualquier caso deben
+ * cuadrar con el total sin impuestos y los impuestos de la propia factura.
+ *
+ * @param {object} reembolso - { documentos: [...], total_comprobantes?, total_base_imponible?, total_impuesto? }
+ * @param {object} totales - totales de calcularTotalesEImpuestos
+ * @param {DateTime} hoy - Fecha de emisión de la factura
+ * @returns {{ errores: Array<{ campo: string, mensaje: string }>, xml?: object }}
+ */
+function procesarReembolso(reembolso, totales, hoy) {
+    if (!reembolso || typeof reembolso !== 'object' || Array.isArray(reembolso)) {
+        return { errores: [{ campo: 'reembolso', mensaje: "El campo 'reembolso' debe ser un objeto con la lista 'documentos'." }] };
+    }
+    const documentos = reembolso.documentos;
+    if (!Array.isArray(documentos) || documentos.length === 0) {
+        return { errores: [{ campo: 'reembolso.documentos', mensaje: "reembolso.documentos debe contener al menos un comprobante reembolsado." }] };
+    }
+
+    const errores = [];
+    let totalBase = new Dec(0);
+    let totalImpuesto = new Dec(0);
+
+    const detalles = documentos.map((d, i) => {
+        const ruta = `reembolso.documentos[${i}]`;
+        if (!d || typeof d !== 'object') {
+            errores.push({ campo: ruta, mensaje: `${ruta} debe ser un objeto.` });
+            return null;
+        }
+
+        const proveedor = d.proveedor || {};
+        if (!TIPOS_ID_PROVEEDOR.includes(proveedor.tipo_id)) {
+            errores.push({ campo: `${ruta}.proveedor.tipo_id`, mensaje: `${ruta}.proveedor.tipo_id debe ser 04 RUC, 05 cédula, 06 pasaporte u 08 exterior.` });
+        } else {
+            const errorId = validarIdentificacion(proveedor.tipo_id, proveedor.identificacion);
+            if (errorId) errores.push({ campo: `${ruta}.proveedor.identificacion`, mensaje: `${ruta}.proveedor.identificacion: ${errorId}` });
+        }
+        if (!Object.values(TIPO_PROVEEDOR).includes(tipoProveedor(proveedor))) {
+            errores.push({ campo: `${ruta}.proveedor.tipo_proveedor`, mensaje: `${ruta}.proveedor.tipo_proveedor debe ser 01 (persona natural) o 02 (sociedad).` });
+        }
+        if (proveedor.cod_pais !== undefined && !/^\d{3}$/.test(texto(proveedor.cod_pais))) {
+            errores.push({ campo: `${ruta}.proveedor.cod_pais`, mensaje: `${ruta}.proveedor.cod_pais debe ser el código de país del SRI de 3 dígitos.` });
+        }
+
+        const codDoc = texto(d.cod_doc || '01');
+        if (!/^\d{2}$/.test(codDoc)) errores.push({ campo: `${ruta}.cod_doc`, mensaje: `${ruta}.cod_doc debe tener 2 dígitos (tabla 4 del SRI).` });
+
+        const numDoc = texto(d.num_doc).replace(/\D/g, '');
+        if (numDoc.length !== 15) errores.push({ campo: `${ruta}.num_doc`, mensaje: `${ruta}.num_doc debe tener el formato 001-001-000000001.` });
+
+        const fechaDoc = DateTime.fromFormat(texto(d.fecha_emision), 'dd/MM/yyyy', { zone: 'America/Guayaquil' });
+        if (!fechaDoc.isValid) {
+            errores.push({ campo: `${ruta}.fecha_emision`, mensaje: `${ruta}.fecha_emision debe tener el formato dd/MM/yyyy.` });
+        } else if (fechaDoc.startOf('day') > hoy.startOf('day')) {
+            errores.push({ campo: `${ruta}.fecha_emision`, mensaje: `${ruta}.fecha_emision no puede ser posterior a la fecha de la factura.` });
+        }
+
+        const autorizacion = texto(d.num_autorizacion);
+        if (!/^(\d{10}|\d{37}|\d{49})$/.test(autorizacion)) {
+            errores.push({ campo: `${ruta}.num_autorizacion`, mensaje: `${ruta}.num_autorizacion debe tener 10, 37 o 49 dígitos.` });
+        }
+
+        const impuestos = construirImpuestos(d.impuestos, ruta, errores);
+        impuestos.forEach(imp => {
+            totalBase = totalBase.plus(imp.base);
+            totalImpuesto = totalImpuesto.plus(imp.valor);
+        });
+
+        return {
+            tipoIdentificacionProveedorReembolso: proveedor.tipo_id,
+            identificacionProveedorReembolso: texto(proveedor.identificacion),
+            ...(proveedor.cod_pais !== undefined ? { codPaisPagoProveedorReembolso: texto(proveedor.cod_pais) } : {}),
+            tipoProveedorReembolso: tipoProveedor(proveedor),
+            codDocReembolso: codDoc,
+            estabDocReembolso: numDoc.substring(0, 3),
+            ptoEmiDocReembolso: numDoc.substring(3, 6),
+            secuencialDocReembolso: numDoc.substring(6),
+            fechaEmisionDocReembolso: texto(d.fecha_emision),
+            numeroautorizacionDocReemb: autorizacion,
+            detalleImpuestos: {
+                detalleImpuesto: impuestos.map(imp => ({
+                    codigo: imp.codigo,
+                    codigoPorcentaje: imp.codigoPorcentaje,
+                    tarifa: imp.tarifa,
+                    baseImponibleReembolso: imp.base.toFixed(2),
+                    impuestoReembolso: imp.valor.toFixed(2)
+                }))
+            }
+        };
+    });
+
+    if (errores.length > 0) return { errores };
+
+    const totalComprobantes = totalBase.plus(totalImpuesto);
+
+    // Totales declarados por el cliente (opcionales): deben coincidir con los comprobantes
+    [
+        ['total_comprobantes', totalComprobantes],
+        ['total_base_imponible', totalBase],
+        ['total_impuesto', totalImpuesto]
+    ].forEach(([campo, calculado]) => {
+        if (reembolso[campo] === undefined) return;
+        if (!esValor(reembolso[campo]) || !new Dec(reembolso[campo]).eq(calculado)) {
+            errores.push({ campo: `reembolso.${campo}`, mensaje: `reembolso.${campo} (${texto(reembolso[campo])}) no coincide con la suma de los comprobantes (${calculado.toFixed(2)}).` });
+        }
+    });
+
+    // Los comprobantes reembolsados son la factura: sus bases e impuestos deben cuadrar con ella
+    const impuestosFactura = new Dec(totales.totalIva).plus(totales.totalIce).plus(totales.totalIrbpnr);
+    if (!totalBase.eq(totales.totalSinImpuestos)) {
+        errores.push({ campo: 'reembolso.documentos', mensaje: `La suma de bases de los comprobantes reembolsados (${totalBase.toFixed(2)}) no coincide con el total sin impuestos de la factura (${totales.totalSinImpuestos}).` });
+    }
+    if (!totalImpuesto.eq(impuestosFactura)) {
+        errores.push({ campo: 'reembolso.documentos', mensaje: `La suma de impuestos de los comprobantes reembolsados (${totalImpuesto.toFixed(2)}) no coincide con los impuestos de la factura (${impuestosFactura.toFixed(2)}).` });
+    }
+
+    if (errores.length > 0) return { errores };
+
+    return {
+        errores,
+        xml: {
+            // Van en infoFactura después de totalDescuento
+            totales: {
+                codDocReembolso: COD_DOC_REEMBOLSO,
+                totalComprobantesReembolso: totalComprobantes.toFixed(2),
+                totalBaseImponibleReembolso: totalBase.toFixed(2),
+                totalImpuestoReembolso: totalImpuesto.toFixed(2)
+            },
+            // Van en la factura después de <detalles>
+            reembolsos: { reembolsoDetalle: detalles }
+        }
+    };
+}
+
+module.exports = { COD_DOC_REEMBOLSO, procesarReembolso };
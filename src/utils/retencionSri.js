@@ -0,0 +1,204 @@
+const Decimal = require('decimal.js');
+const { buscarIvaPorTarifa } = require('./codigosImpuesto');
+const { buscarCodigoRetencion } = require('./codigosRetencion');
+const { rechazo, emitirComprobante } = require('../services/emisionService');
+const { DateTime } = require('luxon');
+
+const COD_DOC_RETENCION = '07';
+const TIPOS_ID_SUJETO = ['04', '05', '06', '08'];
+
+const Dec = Decimal.clone({ rounding: Decimal.ROUND_HALF_UP });
+
+// 2 decimales con redondeo decimal (NaN si el valor no es numérico, para reportarlo)
+const redondear = (valor) =>
+    new Dec(Decimal.isDecimal(valor) ? valor : parseFloat(valor)).toDecimalPlaces(2).toNumber();
+
+/**
+ * Valida y arma los <docSustento> del comprobante de retención v2.0.0.
+ * Devuelve los errores encontrados en lugar de lanzar, para responder todos juntos.
+ */
+function construirDocsSustento(docs, hoy) {
+    const errores = [];
+    let totalRetenido = new Dec(0);
+
+    const docsXml = docs.map((d, i) => {
+        const ruta = `docs_sustento[${i}]`;
+        const numDoc = String(d.num_doc || '').replace(/\D/g, '');
+        const fechaDoc = DateTime.fromFormat(String(d.fecha_emision || ''), 'dd/MM/yyyy', { zone: 'America/Guayaquil' });
+
+        if (numDoc.length !== 15) errores.push({ campo: `${ruta}.num_doc`, mensaje: `${ruta}.num_doc debe tener el formato 001-001-000000001.` });
+        if (!fechaDoc.isValid) {
+            errores.push({ campo: `${ruta}.fecha_emision`, mensaje: `${ruta}.fecha_emision debe tener el formato dd/MM/yyyy.` });
+        } else if (fechaDoc.startOf('day') > hoy.startOf('day')) {
+            errores.push({ campo: `${ruta}.fecha_emision`, mensaje: `${ruta}.fecha_emision no puede ser posterior a la fecha de la retención.` });
+        }
+        if ((d.pago_loc_ext || '01') !== '01') {
+            errores.push({ campo: `${ruta}.pago_loc_ext`, mensaje: `${ruta}.pago_loc_ext: por ahora solo se admiten pagos locales ('01').` });
+        }
+
+        // Impuestos del documento sustento (IVA del proveedor)
+        const impuestos = Array.isArray(d.impuestos) ? d.impuestos : [];
+        if (impuestos.length === 0) errores.push({ campo: `${ruta}.impuestos`, mensaje: `${ruta}.impuestos debe contener al menos un impuesto.` });
+
+        const impuestosXml = impuestos.map((imp, j) => {
+            const tarifaIva = imp.tarifa_iva !== undefined ? imp.tarifa_iva : imp.tarifaIva;
+            const infoSri = buscarIvaPorTarifa(tarifaIva);
+            if (!infoSri) errores.push({ campo: `${ruta}.impuestos[${j}].tarifa_iva`, mensaje: `${ruta}.impuestos[${j}]: tarifa de IVA ${tarifaIva} no reconocida.` });
+            const tarifa = infoSri ? infoSri.tarifa : 0;
+
+            const base = redondear(imp.base_imponible || 0);
+            const valor = imp.valor !== undefined ? redondear(imp.valor) : redondear(new Dec(base).times(tarifa || 0).div(100));
+
+            return {
+                codImpuestoDocSustento: '2',
+                codigoPorcentaje: infoSri ? infoSri.codigoPorcentaje : '',
+                baseImponible: base.toFixed(2),
+                tarifa: String(tarifa),
+                valorImpuesto: valor.toFixed(2)
+            };
+        });
+
+        // Retenciones: el código debe existir en el catálogo y el porcentaje coincidir
+        const retenciones = Array.isArray(d.retenciones) ? d.retenciones : [];
+        if (retenciones.length === 0) errores.push({ campo: `${ruta}.retenciones`, mensaje: `${ruta}.retenciones debe contener al menos una retención.` });
+
+        const retencionesXml = retenciones.map((r, j) => {
+            const rutaRet = `${ruta}.retenciones[${j}]`;
+            const entrada = buscarCodigoRetencion(r.impuesto, r.codigo_retencion);
+            if (!entrada) {
+                errores.push({ campo: `${rutaRet}.codigo_retencion`, mensaje: `${rutaRet}: código ${r.codigo_retencion} no existe para el impuesto ${r.impuesto}.` });
+                return null;
+            }
+
+            let porcentaje = entrada.porcentaje;
+            if (porcentaje === null) {
+                porcentaje = parseFloat(r.porcentaje);
+                if (isNaN(porcentaje) || porcentaje < 0 || porcentaje > 100) {
+                    errores.push({ campo: `${rutaRet}.porcentaje`, mensaje: `${rutaRet}: el código ${r.codigo_retencion} requiere indicar 'porcentaje'.` });
+                    return null;
+                }
+            } else if (r.porcentaje !== undefined && parseFloat(r.porcentaje) !== porcentaje) {
+                errores.push({ campo: `${rutaRet}.porcentaje`, mensaje: `${rutaRet}: el código ${r.codigo_retencion} retiene el ${porcentaje}%, no el ${r.porcentaje}%.` });
+                return null;
+            }
+
+            const base = redondear(r.base_imponible || 0);
+            if (!(base >= 0)) errores.push({ campo: `${rutaRet}.base_imponible`, mensaje: `${rutaRet}.base_imponible inválida.` });
+            const valorRetenido = redondear(new Dec(base).times(porcentaje).div(100));
+            totalRetenido = totalRetenido.plus(valorRetenido);
+
+            return {
+                codigo: entrada.codigo,
+                codigoRetencion: String(r.codigo_retencion).toUpperCase(),
+                baseImponible: base.toFixed(2),
+                porcentajeRetener: String(porcentaje),
+                valorRetenido: valorRetenido.toFixed(2)
+            };
+        }).filter(Boolean);
+
+        const importeTotal = redondear(d.importe_total || 0);
+        const pagos = Array.isArray(d.pagos) && d.pagos.length > 0
+            ? d.pagos
+            : [{ forma_pago: '20', total: importeTotal }];
+
+        return {
+            codSustento: d.cod_sustento || '01',
+            codDocSustento: d.cod_doc || '01',
+            numDocSustento: numDoc,
+            fechaEmisionDocSustento: d.fecha_emision,
+            ...(d.num_autorizacion ? { numAutDocSustento: String(d.num_autorizacion) } : {}),
+            pagoLocExt: '01',
+            totalSinImpuestos: redondear(d.total_sin_impuestos || 0).toFixed(2),
+            importeTotal: importeTotal.toFixed(2),
+            impuestosDocSustento: { impuestoDocSustento: impuestosXml },
+            retenciones: { retencion: retencionesXml },
+            pagos: {
+                pago: pagos.map(p => ({
+                    formaPago: p.forma_pago || p.formaPago || '20',
+                    total: redondear(p.total).toFixed(2)
+                }))
+            }
+        };
+    });
+
+    return { docsXml, errores, totalRetenido: redondear(totalRetenido) };
+}
+
+/**
+ * Comprobante de Retención (codDoc 07, esquema v2.0.0) sobre uno o varios
+ * documentos del proveedor. Definición para el pipeline de emisión; el envío
+ * al SRI queda en manos de los jobs (estado FIRMADO).
+ */
+const RETENCION = {
+    codDoc: COD_DOC_RETENCION,
+
+    // Todo se valida y arma antes de tocar la BD: la retención no depende de otros registros
+    validar(retData, ctx) {
+        const sujeto = retData.sujeto_retenido || {};
+
+        if (!TIPOS_ID_SUJETO.includes(sujeto.tipo_id) || !sujeto.identificacion || !sujeto.razon_social) {
+            return rechazo(400, "El 'sujeto_retenido' requiere tipo_id (04, 05, 06 u 08), identificacion y razon_social.");
+        }
+        if (sujeto.tipo_id === '08' && !['01', '02'].includes(sujeto.tipo_sujeto)) {
+            return rechazo(400, "Para identificación del exterior indique 'tipo_sujeto' (01 persona natural, 02 sociedad).");
+        }
+        if (!Array.isArray(retData.docs_sustento) || retData.docs_sustento.length === 0) {
+            return rechazo(400, "Debe indicar al menos un documento sustento.");
+        }
+
+        const periodoFiscal = retData.periodo_fiscal || ctx.ahora.toFormat('MM/yyyy');
+        if (!/^(0[1-9]|1[0-2])\/\d{4}$/.test(periodoFiscal)) {
+            return rechazo(400, "El 'periodo_fiscal' debe tener el formato MM/yyyy.");
+        }
+
+        const { docsXml, errores, totalRetenido } = construirDocsSustento(retData.docs_sustento, ctx.ahora);
+        if (errores.length > 0) {
+            return rechazo(400, "La retención contiene datos inválidos.", { errores });
+        }
+
+        Object.assign(ctx, { sujeto, periodoFiscal, docsXml, totalRetenido });
+        return null;
+    },
+
+    construir(ctx) {
+        const { emisor, puntoEmision, sujeto } = ctx;
+
+        return {
+            infoCompRetencion: {
+                fechaEmision: ctx.ahora.toFormat('dd/MM/yyyy'),
+                dirEstablecimiento: puntoEmision.direccion_establecimiento || emisor.direccion_matriz,
+                obligadoContabilidad: emisor.obligado_contabilidad || 'NO',
+                tipoIdentificacionSujetoRetenido: sujeto.tipo_id,
+                ...(sujeto.tipo_id === '08' ? { tipoSujetoRetenido: sujeto.tipo_sujeto } : {}),
+                parteRel: sujeto.parte_relacionada === true || sujeto.parte_relacionada === 'SI' ? 'SI' : 'NO',
+                razonSocialSujetoRetenido: sujeto.razon_social,
+                identificacionSujetoRetenido: sujeto.identificacion,
+                periodoFiscal: ctx.periodoFiscal
+            },
+            docsSustento: {
+                docSustento: ctx.docsXml
+            }
+        };
+    },
+
+    // En la retención el "comprador" es el sujeto retenido y el importe es el total retenido
+    registro(ctx) {
+        return {
+            identificacion: ctx.sujeto.identificacion,
+            razonSocial: ctx.sujeto.razon_social,
+            importeTotal: ctx.totalRetenido.toFixed(2),
+            email: ctx.sujeto.email
+        };
+    },
+
+    respuesta(ctx) {
+        return {
+            total_retenido: ctx.totalRetenido.toFixed(2),
+            mensaje: "Comprobante de retención firmado y en cola de envío al SRI."
+        };
+    }
+};
+
+const emitirRetencionCore = (req, res) => emitirComprobante(RETENCION, req, res);
+
+module.exports = { RETENCION, emitirRetencionCore };
@@ -0,0 +1,85 @@
+const { DateTime } = require('luxon');
+
+/**
+ * Utilidades compartidas por los comprobantes que se apoyan en una factura
+ * (notas de crédito y débito, guías de remisión): búsqueda del documento
+ * sustento. `obtenerPuntoEmision` la usa el pipeline de emisión para todos los tipos.
+ */
+
+/**
+ * Busca la factura sustento del emisor y la bloquea hasta el fin de la TX,
+ * así dos comprobantes simultáneos sobre la misma factura se serializan.
+ */
+async function obtenerFacturaSustento(client, claveAcceso, emisorId) {
+    const res = await client.query(`
+        SELECT
+            i.id, i.clave_acceso, i.estado, i.secuencial, i.fecha_emision,
+            i.importe_total, i.identificacion_comprador, i.razon_social_comprador,
+            i.email_comprador, i.datos_factura, i.punto_emision_id,
+            p.codigo as punto_codigo,
+            e.codigo as estab_codigo
+        FROM invoices i
+        JOIN puntos_emision p ON i.punto_emision_id = p.id
+        JOIN establecimientos e ON p.establecimiento_id = e.id
+        WHERE i.clave_acceso = $1 AND i.emisor_id = $2 AND i.tipo_documento = '01'
+        FOR UPDATE OF i
+    `, [claveAcceso, emisorId]);
+
+    return res.rows[0] || null;
+}
+
+/**
+ * Tipo de identificación SRI deducido del formato, para facturas antiguas
+ * cuyo `datos_factura` no lo guardó.
+ */
+function inferirTipoIdentificacion(identificacion) {
+    const id = String(identificacion || '');
+    if (id === '9999999999999') return '07';
+    if (/^\d{13}$/.test(id)) return '04';
+    if (/^\d{10}$/.test(id)) return '05';
+    return '06';
+}
+
+/**
+ * Datos del comprador, número y fecha tal como quedaron en la factura original.
+ * `datos_factura` puede venir como texto o JSONB según la columna.
+ */
+function datosSustento(factura) {
+    let datos = factura.datos_factura || {};
+    if (typeof datos === 'string') {
+        try { datos = JSON.parse(datos); } catch (e) { datos = {}; }
+    }
+    const info = datos.infoFactura || {};
+
+    return {
+        tipoIdentificacion: info.tipoIdentificacionComprador || inferirTipoIdentificacion(factura.identificacion_comprador),
+        numDocModificado: `${factura.estab_codigo}-${factura.punto_codigo}-${String(factura.secuencial).padStart(9, '0')}`,
+        fechaEmision: info.fechaEmision
+            || DateTime.fromJSDate(new Date(factura.fecha_emision)).toFormat('dd/MM/yyyy')
+    };
+}
+
+/**
+ * Punto de emisión indicado en el body o, si no viene, el que fije el comprobante
+ * (p. ej. el de la factura sustento).
+ */
+async function obtenerPuntoEmision(client, emisorId, body, puntoPorDefectoId) {
+    const usarPuntoSustento = !body.establecimiento || !body.punto_emision;
+    const ptoRes = await client.query(`
+        SELECT
+            p.id as punto_id,
+            p.codigo as punto_codigo,
+            e.codigo as estab_codigo,
+            e.direccion as direccion_establecimiento,
+            e.nombre_comercial as nombre_establecimiento
+        FROM puntos_emision p
+        JOIN establecimientos e ON p.establecimiento_id = e.id
+        WHERE e.emisor_id = $1 AND ${usarPuntoSustento ? 'p.id = $2' : 'e.codigo = $2 AND p.codigo = $3'}
+    `, usarPuntoSustento
+        ? [emisorId, puntoPorDefectoId]
+        : [emisorId, body.establecimiento, body.punto_emision]);
+
+    return ptoRes.rows[0] || null;
+}
+
+module.exports = { obtenerFacturaSustento, inferirTipoIdentificacion, datosSustento, obtenerPuntoEmision };
@@ -0,0 +1,96 @@
+/**
+ * Registro de tipos de comprobante electrónico (Ficha Técnica SRI, tabla 3).
+ *
+ * Cada tipo declara su `codDoc` (el tipoComprobante de la clave de acceso),
+ * el elemento raíz, la versión y el archivo del XSD (src/schemas/sri) y el nodo
+ * con su información propia.
+ * El constructor del XML vive en el módulo de cada comprobante (definición que
+ * consume emisionService) y el renderer del RIDE en rideService, ambos indexados
+ * por `codDoc`.
+ */
+
+const TIPOS_DOCUMENTO = {
+    '01': {
+        codDoc: '01',
+        nombre: 'Factura',
+        raiz: 'factura',
+        version: '1.1.0',
+        nodoInfo: 'infoFactura',
+        xsd: 'factura_V1.1.0.xsd'
+    },
+    '03': {
+        codDoc: '03',
+        nombre: 'Liquidación de compra',
+        raiz: 'liquidacionCompra',
+        version: '1.1.0',
+        nodoInfo: 'infoLiquidacionCompra',
+        xsd: 'LiquidacionCompra_V1.1.0.xsd'
+    },
+    '04': {
+        codDoc: '04',
+        nombre: 'Nota de crédito',
+        raiz: 'notaCredito',
+        version: '1.1.0',
+        nodoInfo: 'infoNotaCredito',
+        xsd: 'NotaCredito_V1.1.0.xsd'
+    },
+    '05': {
+        codDoc: '05',
+        nombre: 'Nota de débito',
+        raiz: 'notaDebito',
+        version: '1.0.0',
+        nodoInfo: 'infoNotaDebito',
+        xsd: 'NotaDebito_V1.0.0.xsd'
+    },
+    '06': {
+        codDoc: '06',
+        nombre: 'Guía de remisión',
+        raiz: 'guiaRemision',
+        version: '1.1.0',
+        nodoInfo: 'infoGuiaRemision',
+        xsd: 'GuiaRemision_V1.1.0.xsd'
+    },
+    '07': {
+        codDoc: '07',
+        nombre: 'Comprobante de retención',
+        raiz: 'comprobanteRetencion',
+        version: '2.0.0',
+        nodoInfo: 'infoCompRetencion',
+        xsd: 'ComprobanteRetencion_V2.0.0.xsd'
+    }
+};
+
+const COD_DOC_FACTURA = '01';
+
+/**
+ * @param {string} codDoc - '01', '03', '04'...
+ * @returns {object|null} Definición registrada o null si el tipo no existe
+ */
+function obtenerTipoDocumento(codDoc) {
+    return TIPOS_DOCUMENTO[String(codDoc || COD_DOC_FACTURA)] || null;
+}
+
+/**
+ * Identifica el tipo a partir del XML ya parseado (por su elemento raíz).
+ * @param {object} xmlObj - Resultado de XMLParser.parse
+ */
+function tipoPorRaiz(xmlObj) {
+    return Object.values(TIPOS_DOCUMENTO).find(t => xmlObj && xmlObj[t.raiz]) || null;
+}
+
+/**
+ * Siguiente secuencial del punto de emisión para el tipo indicado.
+ * Las facturas conservan su contador histórico (generar_secuencial); el resto
+ * usa el contador por tipo de puntos_emision.secuenciales_documento.
+ */
+async function siguienteSecuencial(client, codDoc, puntoId) {
+    const res = codDoc === COD_DOC_FACTURA
+        ? await client.query('SELECT generar_secuencial($1) AS secuencial', [puntoId])
+        : await client.query('SELECT generar_secuencial_documento($1, $2) AS secuencial', [puntoId, codDoc]);
+
+    const secuencialRaw = res.rows[0].secuencial;
+    if (!secuencialRaw) throw new Error(`Secuencial nulo para el punto ${puntoId}.`);
+    return secuencialRaw.toString().padStart(9, '0');
+}
+
+module.exports = { TIPOS_DOCUMENTO, COD_DOC_FACTURA, obtenerTipoDocumento, tipoPorRaiz, siguienteSecuencial };
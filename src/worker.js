@@ -0,0 +1,75 @@
+const express = require('express');
+require('dotenv').config();
+
+const pool = require('./database/index');
+const { iniciarWorkers, detenerWorkers, estadoWorkers } = require('./workers/scheduler');
+
+/**
+ * Proceso dedicado a los jobs del SRI (firma, recepción y autorización):
+ *   node src/worker.js
+ * La API puede arrancar sin workers con SRI_WORKERS_ENABLED=false; con la cola
+ * SKIP LOCKED se pueden levantar tantas réplicas de este proceso como se necesite.
+ */
+
+const PORT = process.env.WORKER_PORT || 3001;
+// Un job en curso más tiempo que esto se considera colgado y la sonda responde 503
+const LIVENESS_MAX_SEG = parseInt(process.env.WORKER_LIVENESS_MAX_SEG, 10) || 600;
+// Tope para drenar antes de salir a la fuerza (debe ser menor al grace period del orquestador)
+const SHUTDOWN_TIMEOUT_SEG = parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_SEG, 10) || 90;
+
+const app = express();
+
+// --- SONDA DE VIDA ---
+app.get('/health', (req, res) => {
+    const estado = estadoWorkers(LIVENESS_MAX_SEG);
+    const colgados = estado.jobs.filter(j => j.colgado).map(j => j.nombre);
+
+    res.status(colgados.length > 0 ? 503 : 200).json({
+        status: colgados.length > 0 ? 'COLGADO' : (estado.deteniendo ? 'DRENANDO' : 'OK'),
+        uptime: process.uptime(),
+        timestamp: new Date(),
+        ...estado
+    });
+});
+
+app.use((req, res) => res.status(404).json({ ok: false, mensaje: "Ruta no encontrada o no implementada" }));
+
+const server = app.listen(PORT, () => {
+    console.log(`
+    ---------------------------------------------------
+    ⚙️  WORKER SRI LISTO (pid ${process.pid})
+    ---------------------------------------------------
+    ❤️  Sonda de vida: http://localhost:${PORT}/health
+    ---------------------------------------------------
+    `);
+    iniciarWorkers();
+});
+
+// --- APAGADO ORDENADO ---
+let apagando = false;
+
+async function apagar(senal) {
+    if (apagando) return;
+    apagando = true;
+    console.log(`[Worker] 📴 ${senal} recibido: terminando el comprobante en curso, sin reclamar nuevos...`);
+
+    const forzar = setTimeout(() => {
+        console.error(`[Worker] ⚠️ El drenado superó ${SHUTDOWN_TIMEOUT_SEG}s; saliendo. Los trabajos pendientes vuelven a la cola al vencer su visibilidad.`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_SEG * 1000);
+    forzar.unref();
+
+    try {
+        await detenerWorkers();
+        await new Promise(resolve => server.close(resolve));
+        await pool.pool.end();
+        console.log('[Worker] 👋 Apagado limpio.');
+        process.exit(0);
+    } catch (err) {
+        console.error('[Worker] ❌ Error durante el apagado:', err.message);
+        process.exit(1);
+    }
+}
+
+process.on('SIGTERM', () => apagar('SIGTERM'));
+process.on('SIGINT', () => apagar('SIGINT'));
@@ -1,119 +1,200 @@
 const pool = require('../database/index');
-const axios = require('axios');
-const { XMLParser } = require('fast-xml-parser');
 const { minioClient, downloadFile, uploadFile } = require('../services/storageService');
 const { notificarCambioEstado } = require('./notifierService');
 const emailService = require('../services/mailService');
 const { generarPDFStream } = require('../services/rideService');
+const { obtenerTipoDocumento } = require('../utils/tiposDocumento');
+const { TIPO_TRABAJO, archivarVencidos, reclamarTrabajo, completarTrabajo, fallarTrabajo, reencolarTrabajo } = require('../services/colaService');
+const { firmarYEnviarLote, registrarErrorFirma } = require('../services/sriService');
+const { SriClient } = require('../services/sriClient');
+const { columnasErrorSri } = require('../utils/erroresSri');
 
-const parser = new XMLParser({
-    ignoreAttributes: false,
-    trimValues: true
-});
-
-const URLS_SRI = {
-    pruebas: {
-        recepcion: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline?wsdl',
-        autorizacion: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline?wsdl'
-    },
-    produccion: {
-        recepcion: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline?wsdl',
-        autorizacion: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline?wsdl'
+// Trabajos que reclama cada ejecución del job (uno a la vez, para no retener leases)
+const LOTE_TRABAJOS = parseInt(process.env.SRI_JOBS_LOTE, 10) || 15;
+// Espera antes de volver a consultar una autorización que agotó sus intentos (6 horas)
+const REENCOLAR_AUTORIZACION_SEG = parseInt(process.env.SRI_JOBS_REENCOLAR_AUTORIZACION_SEG, 10) || 21600;
+
+/**
+ * Reclama y procesa hasta LOTE_TRABAJOS trabajos de la cola, de uno en uno.
+ * Si `procesar` lanza, el trabajo se reprograma con backoff (o pasa a MUERTO);
+ * las respuestas de negocio del SRI (DEVUELTA, RECHAZADO) completan el trabajo.
+ * `alAgotar(trabajo, mensaje)` es opcional: se llama cuando un trabajo pasa a MUERTO.
+ */
+async function procesarCola(tipo, etiqueta, procesar, alAgotar) {
+    for (const vencido of await archivarVencidos(tipo)) {
+        console.error(`[${etiqueta}] 💀 Trabajo ${vencido.id} (invoice ${vencido.invoice_id}) venció sin completar tras ${vencido.intentos} intentos.`);
+        if (alAgotar) await alAgotar(vencido, vencido.ultimo_error);
     }
-};
 
-// ─── HELPER: Reintento automático para conexiones inestables del SRI ──────────
-// Si el SRI corta la conexión (ECONNRESET, timeout, etc.), reintenta hasta 3 veces
-// esperando 2s, 4s y 6s entre cada intento antes de rendirse.
-async function axiosWithRetry(url, body, headers, maxRetries = 3) {
-    for (let intento = 1; intento <= maxRetries; intento++) {
+    for (let i = 0; i < LOTE_TRABAJOS; i++) {
+        const trabajo = await reclamarTrabajo(tipo);
+        if (!trabajo) return;
+
         try {
-            return await axios.post(url, body, { headers, timeout: 10000 });
+            await procesar(trabajo);
+            await completarTrabajo(trabajo);
         } catch (err) {
-            const esReintentable = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT'].includes(err.code);
-            if (esReintentable && intento < maxRetries) {
-                const espera = intento * 2000; // 2s → 4s → 6s
-                console.warn(`[SRI] ⚠️ Intento ${intento}/${maxRetries} fallido (${err.code}). Reintentando en ${espera / 1000}s...`);
-                await new Promise(r => setTimeout(r, espera));
+            const resultado = await fallarTrabajo(trabajo, err);
+            if (resultado === 'MUERTO') {
+                console.error(`[${etiqueta}] 💀 Trabajo ${trabajo.id} (invoice ${trabajo.invoice_id}) agotó ${trabajo.intentos} intentos: ${err.message}`);
+                if (alAgotar) await alAgotar(trabajo, err.message);
             } else {
-                throw err;
+                console.error(`[${etiqueta}] ❌ Intento ${trabajo.intentos}/${trabajo.max_intentos} fallido (invoice ${trabajo.invoice_id}): ${err.message}`);
             }
         }
     }
 }
 
+/**
+ * Datos mínimos para notificar por webhook un comprobante que no pasó por las consultas del job.
+ */
+async function facturaParaNotificar(fila) {
+    const perfil = await pool.query('SELECT id FROM profiles WHERE emisor_id = $1 LIMIT 1', [fila.emisor_id]);
+    return { ...fila, user_uid: perfil.rows[0] && perfil.rows[0].id };
+}
+
+/**
+ * La recepción agotó sus intentos sin respuesta RECIBIDA/DEVUELTA: el SRI no tiene el
+ * comprobante. Pasa a ERROR con el motivo en mensajes_sri, se devuelve el crédito y se
+ * notifica. Solo si sigue FIRMADO: si otro proceso ya lo resolvió, no se toca.
+ */
+async function registrarRecepcionAgotada(trabajo, detalle) {
+    const upd = await pool.query(
+        `UPDATE invoices SET estado = 'ERROR', mensajes_sri = $2, updated_at = NOW()
+          WHERE id = $1 AND estado = 'FIRMADO'
+      RETURNING id, clave_acceso, emisor_id`,
+        [trabajo.invoice_id, JSON.stringify(detalle)]
+    );
+    if (upd.rowCount === 0) return;
+    const factura = upd.rows[0];
+
+    // 💳 Reembolso del crédito
+    await pool.query(
+        'UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1',
+        [factura.emisor_id]
+    );
+
+    await notificarCambioEstado(await facturaParaNotificar(factura), 'ERROR', detalle);
+}
+
+/**
+ * La autorización agotó sus intentos, pero el SRI ya recibió el comprobante y puede
+ * autorizarlo más tarde: sigue RECIBIDA, se vuelve a encolar con una espera larga y el
+ * motivo queda en mensajes_sri (se limpia al autorizarse). Primero se encola, para que
+ * el comprobante nunca quede sin trabajo vivo.
+ */
+async function reprogramarAutorizacion(trabajo, detalle) {
+    await reencolarTrabajo(trabajo.invoice_id, TIPO_TRABAJO.AUTORIZACION, REENCOLAR_AUTORIZACION_SEG);
+
+    const upd = await pool.query(
+        `UPDATE invoices SET mensajes_sri = $2, updated_at = NOW()
+          WHERE id = $1 AND estado = 'RECIBIDA'
+      RETURNING id, clave_acceso, emisor_id`,
+        [trabajo.invoice_id, JSON.stringify(detalle)]
+    );
+    if (upd.rowCount === 0) return;
+
+    await notificarCambioEstado(await facturaParaNotificar(upd.rows[0]), 'RECIBIDA', detalle);
+}
+
+/**
+ * JOB 0: Firma de facturas PENDIENTE (POST /invoices/emit)
+ */
+async function firmarFactura(trabajo) {
+    const { rows } = await pool.query(
+        `SELECT * FROM invoices WHERE id = $1 AND estado = 'PENDIENTE'`,
+        [trabajo.invoice_id]
+    );
+    if (rows.length === 0) return;
+
+    await firmarYEnviarLote(rows[0]);
+}
+
+async function firmarFacturasPendientes() {
+    try {
+        await procesarCola(TIPO_TRABAJO.FIRMA, 'SRI Job0', firmarFactura, (trabajo, mensaje) =>
+            registrarErrorFirma(trabajo.invoice_id, {
+                mensaje: `No se pudo firmar la factura tras ${trabajo.intentos} intentos.`,
+                error: mensaje
+            })
+        );
+    } catch (error) {
+        console.error('[SRI Job0] ❌ Error Crítico Job Firma:', error.message);
+    }
+}
+
 /**
  * JOB 1: Recepción técnica en el SRI
  */
+async function enviarFactura(trabajo) {
+    const query1 = `
+        SELECT
+            i.id, i.xml_path, i.clave_acceso,
+            e.ambiente, e.id as emisor_db_id,
+            p.id as user_uid
+        FROM invoices i
+        JOIN emisores e ON i.emisor_id = e.id
+        JOIN profiles p ON e.id = p.emisor_id
+        WHERE i.id = $1 AND i.estado = 'FIRMADO'
+        LIMIT 1
+    `;
+    const { rows } = await pool.query(query1, [trabajo.invoice_id]);
+    // Ya no está FIRMADO (p. ej. lo envió el fast-track): no hay nada que hacer
+    if (rows.length === 0) return;
+
+    const factura = rows[0];
+    console.log(`[SRI Job1] Enviando clave: ${factura.clave_acceso}`);
+
+    const xmlBuffer = await downloadFile('invoices', factura.xml_path.replace('invoices/', ''));
+    const respRecepcion = await new SriClient(factura.ambiente).validarComprobante(xmlBuffer);
+
+    if (respRecepcion.estado === 'RECIBIDA') {
+        // El trigger de invoices encola la autorización en esta misma sentencia
+        const upd = await pool.query(
+            `UPDATE invoices SET estado = $1, fecha_envio_sri = NOW() WHERE id = $2 AND estado = 'FIRMADO'`,
+            ['RECIBIDA', factura.id]
+        );
+        if (upd.rowCount === 0) return;
+        console.log(`[SRI Job1] ✅ RECIBIDA: ${factura.clave_acceso}`);
+        await notificarCambioEstado(factura, 'RECIBIDA');
+
+    } else if (respRecepcion.estado === 'DEVUELTA') {
+        // ❌ SRI devolvió la factura por errores de validación — reembolsar crédito
+        const errorMsg = JSON.stringify(respRecepcion.mensajes);
+
+        const upd = await pool.query(
+            `UPDATE invoices
+                SET estado = $1, mensajes_sri = $2, fecha_envio_sri = NOW(),
+                    sri_error_codigo = $4, sri_error_mensaje = $5, sri_error_info = $6
+              WHERE id = $3 AND estado = 'FIRMADO'`,
+            ['DEVUELTA', errorMsg, factura.id, ...columnasErrorSri(respRecepcion.mensajes)]
+        );
+        // Otro proceso ya resolvió el comprobante: no se devuelve el crédito dos veces
+        if (upd.rowCount === 0) return;
+
+        // 💳 Reembolso del crédito
+        await pool.query(
+            'UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1',
+            [factura.emisor_db_id]
+        );
+
+        console.warn(`[SRI Job1] ⚠️ DEVUELTA: ${factura.clave_acceso} | Crédito devuelto al emisor ${factura.emisor_db_id} | Motivo: ${errorMsg}`);
+        await notificarCambioEstado(factura, 'DEVUELTA', respRecepcion.mensajes);
+
+    } else {
+        // Estado desconocido: no se sabe si el SRI lo tiene, se reintenta con backoff
+        throw new Error(`Respuesta de recepción inesperada para ${factura.clave_acceso}: ${respRecepcion.estado}`);
+    }
+}
+
 async function enviarFacturasAlSRI() {
     try {
-        const query1 = `
-            SELECT 
-                i.id, i.xml_path, i.clave_acceso,
-                e.ambiente, e.id as emisor_db_id,
-                p.id as user_uid
-            FROM invoices i
-            JOIN emisores e ON i.emisor_id = e.id
-            JOIN profiles p ON e.id = p.emisor_id
-            WHERE i.estado = 'FIRMADO'
-            ORDER BY i.created_at ASC
-            LIMIT 15
-        `;
-        const { rows } = await pool.query(query1);
-        if (rows.length === 0) return;
-
-        //console.log(`[SRI Job1] Procesando ${rows.length} facturas en estado FIRMADO...`);
-
-        for (const factura of rows) {
-            try {
-                console.log(`[SRI Job1] Enviando clave: ${factura.clave_acceso}`);
-
-                const xmlBuffer = await downloadFile('invoices', factura.xml_path.replace('invoices/', ''));
-                const urls = factura.ambiente === '2' ? URLS_SRI.produccion : URLS_SRI.pruebas;
-                const xmlBase64 = xmlBuffer.toString('base64');
-
-                const soapBody = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ec="http://ec.gob.sri.ws.recepcion"><soapenv:Body><ec:validarComprobante><xml>${xmlBase64}</xml></ec:validarComprobante></soapenv:Body></soapenv:Envelope>`;
-
-                const res = await axiosWithRetry(
-                    urls.recepcion,
-                    soapBody,
-                    { 'Content-Type': 'text/xml' }
-                );
-
-                const json = parser.parse(res.data);
-                const respRecepcion = json['soap:Envelope']['soap:Body']['ns2:validarComprobanteResponse'].RespuestaRecepcionComprobante;
-
-                if (respRecepcion.estado === 'RECIBIDA') {
-                    await pool.query(
-                        'UPDATE invoices SET estado = $1, fecha_envio_sri = NOW() WHERE id = $2',
-                        ['RECIBIDA', factura.id]
-                    );
-                    console.log(`[SRI Job1] ✅ RECIBIDA: ${factura.clave_acceso}`);
-                    await notificarCambioEstado(factura, 'RECIBIDA');
-
-                } else {
-                    // ❌ SRI devolvió la factura por errores de validación — reembolsar crédito
-                    const errorMsg = JSON.stringify(respRecepcion.comprobantes || respRecepcion);
-
-                    await pool.query(
-                        'UPDATE invoices SET estado = $1, mensajes_sri = $2, fecha_envio_sri = NOW() WHERE id = $3',
-                        ['DEVUELTA', errorMsg, factura.id]
-                    );
-
-                    // 💳 Reembolso del crédito
-                    await pool.query(
-                        'UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1',
-                        [factura.emisor_db_id]
-                    );
-
-                    console.warn(`[SRI Job1] ⚠️ DEVUELTA: ${factura.clave_acceso} | Crédito devuelto al emisor ${factura.emisor_db_id} | Motivo: ${errorMsg}`);
-                    await notificarCambioEstado(factura, 'DEVUELTA', respRecepcion);
-                }
-
-            } catch (err) {
-                console.error(`[SRI Job1] ❌ Error Recepción (${factura.clave_acceso}): ${err.message}`);
-            }
-        }
+        await procesarCola(TIPO_TRABAJO.RECEPCION, 'SRI Job1', enviarFactura, (trabajo, mensaje) =>
+            registrarRecepcionAgotada(trabajo, {
+                mensaje: `No se pudo enviar el comprobante al SRI tras ${trabajo.intentos} intentos.`,
+                error: mensaje
+            })
+        );
     } catch (error) {
         console.error('[SRI Job1] ❌ Error Crítico Job Envío:', error.message);
     }
@@ -122,129 +203,126 @@ async function enviarFacturasAlSRI() {
 /**
  * JOB 2: Autorización legal en el SRI
  */
-async function autorizarFacturasSRI() {
-    try {
-        const query2 = `
-            SELECT 
-                i.id, i.clave_acceso, i.email_comprador,
-                i.razon_social_comprador, i.secuencial, i.importe_total,
-                i.pdf_path,
-                e.ambiente, e.ruc, e.id as emisor_db_id, e.razon_social,
-                p.id as user_uid
-            FROM invoices i
-            JOIN emisores e ON i.emisor_id = e.id
-            JOIN profiles p ON e.id = p.emisor_id
-            WHERE i.estado = 'RECIBIDA'
-            ORDER BY i.created_at ASC
-            LIMIT 15
-        `;
-        const { rows } = await pool.query(query2);
-        if (rows.length === 0) return;
-
-        //console.log(`[SRI Job2] Procesando ${rows.length} facturas en estado RECIBIDA...`);
-
-        for (const factura of rows) {
+async function autorizarFactura(trabajo) {
+    const query2 = `
+        SELECT
+            i.id, i.clave_acceso, i.email_comprador,
+            i.razon_social_comprador, i.secuencial, i.importe_total,
+            i.pdf_path, i.tipo_documento,
+            e.ambiente, e.ruc, e.id as emisor_db_id, e.razon_social,
+            p.id as user_uid
+        FROM invoices i
+        JOIN emisores e ON i.emisor_id = e.id
+        JOIN profiles p ON e.id = p.emisor_id
+        WHERE i.id = $1 AND i.estado = 'RECIBIDA'
+        LIMIT 1
+    `;
+    const { rows } = await pool.query(query2, [trabajo.invoice_id]);
+    if (rows.length === 0) return;
+
+    const factura = rows[0];
+    //console.log(`[SRI Job2] Consultando autorización: ${factura.clave_acceso}`);
+
+    const autorizacion = await new SriClient(factura.ambiente).autorizacionComprobante(factura.clave_acceso);
+
+    // El SRI todavía no procesa la clave (o sigue EN PROCESO): se reintenta con backoff
+    if (!autorizacion.encontrado || !['AUTORIZADO', 'NO AUTORIZADO', 'RECHAZADO'].includes(autorizacion.estado)) {
+        throw new Error(`El SRI aún no registra autorización para ${factura.clave_acceso} (${autorizacion.estado || 'sin respuesta'})`);
+    }
+
+    if (autorizacion.estado === 'AUTORIZADO') {
+        const xmlAutorizado = autorizacion.comprobante;
+        const xmlAuthPath = `authorized/${factura.ruc}/${factura.clave_acceso}.xml`;
+
+        await uploadFile('invoices', xmlAuthPath, Buffer.from(xmlAutorizado), 'text/xml');
+
+        // Regenerar PDF con fecha de autorización real
+        const emisorCompleto = await pool.query(
+            'SELECT * FROM emisores WHERE id = $1', [factura.emisor_db_id]
+        );
+        const pdfActualizado = await generarPDFStream(
+            xmlAutorizado,
+            emisorCompleto.rows[0],
+            'AUTORIZADO',
+            autorizacion.fechaAutorizacion
+        );
+
+        // Sobreescribe el PDF firmado con el autorizado
+        const pdfPath = factura.pdf_path.replace('invoices/', '');
+        await minioClient.putObject('invoices', pdfPath, pdfActualizado, null, { 'Content-Type': 'application/pdf' });
+
+        const upd = await pool.query(
+            `UPDATE invoices SET estado = $1, xml_path = $2, fecha_autorizacion = $3, mensajes_sri = NULL WHERE id = $4 AND estado = 'RECIBIDA'`,
+            ['AUTORIZADO', `invoices/${xmlAuthPath}`, autorizacion.fechaAutorizacion, factura.id]
+        );
+        if (upd.rowCount === 0) return;
+
+        // ✅ Crédito ya descontado en el endpoint, no tocar aquí
+        console.log(`[SRI Job2] ✅ AUTORIZADO: ${factura.clave_acceso}`);
+        await notificarCambioEstado(factura, 'AUTORIZADO');
+
+        // 📧 Enviar correo solo si el comprador tiene email
+        if (factura.email_comprador) {
             try {
-                //console.log(`[SRI Job2] Consultando autorización: ${factura.clave_acceso}`);
-
-                const urls = factura.ambiente === '2' ? URLS_SRI.produccion : URLS_SRI.pruebas;
-                const soapBody = `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ec="http://ec.gob.sri.ws.autorizacion"><soapenv:Body><ec:autorizacionComprobante><claveAccesoComprobante>${factura.clave_acceso}</claveAccesoComprobante></ec:autorizacionComprobante></soapenv:Body></soapenv:Envelope>`;
-
-                const res = await axiosWithRetry(
-                    urls.autorizacion,
-                    soapBody,
-                    { 'Content-Type': 'text/xml' }
-                );
-
-                const json = parser.parse(res.data);
-                const respAuth = json['soap:Envelope']['soap:Body']['ns2:autorizacionComprobanteResponse'].RespuestaAutorizacionComprobante;
-
-                if (parseInt(respAuth.numeroComprobantes) > 0) {
-                    const autorizacion = Array.isArray(respAuth.autorizaciones.autorizacion)
-                        ? respAuth.autorizaciones.autorizacion[0]
-                        : respAuth.autorizaciones.autorizacion;
-
-                    if (autorizacion.estado === 'AUTORIZADO') {
-                        const xmlAutorizado = autorizacion.comprobante;
-                        const xmlAuthPath = `authorized/${factura.ruc}/${factura.clave_acceso}.xml`;
-
-                        await uploadFile('invoices', xmlAuthPath, Buffer.from(xmlAutorizado), 'text/xml');
-
-                        // Regenerar PDF con fecha de autorización real
-                        const emisorCompleto = await pool.query(
-                            'SELECT * FROM emisores WHERE id = $1', [factura.emisor_db_id]
-                        );
-                        const pdfActualizado = await generarPDFStream(
-                            xmlAutorizado,
-                            emisorCompleto.rows[0],
-                            'AUTORIZADO',
-                            autorizacion.fechaAutorizacion
-                        );
-
-                        // Sobreescribe el PDF firmado con el autorizado
-                        const pdfPath = factura.pdf_path.replace('invoices/', '');
-                        await minioClient.putObject('invoices', pdfPath, pdfActualizado, null, { 'Content-Type': 'application/pdf' });
-
-                        await pool.query(
-                            'UPDATE invoices SET estado = $1, xml_path = $2, fecha_autorizacion = $3 WHERE id = $4',
-                            ['AUTORIZADO', `invoices/${xmlAuthPath}`, autorizacion.fechaAutorizacion, factura.id]
-                        );
-
-                        // ✅ Crédito ya descontado en el endpoint, no tocar aquí
-                        console.log(`[SRI Job2] ✅ AUTORIZADO: ${factura.clave_acceso}`);
-                        await notificarCambioEstado(factura, 'AUTORIZADO');
-
-                        // 📧 Enviar correo solo si el comprador tiene email
-                        if (factura.email_comprador) {
-                            try {
-                                //console.log(`[SRI Job2] 📧 Enviando comprobante a ${factura.email_comprador}...`);
-                                const xmlBuffer = Buffer.from(xmlAutorizado);
-                                const pdfBuffer = await downloadFile('invoices', factura.pdf_path.replace('invoices/', ''));
-
-                                await emailService.enviarComprobante(factura.email_comprador, xmlBuffer, pdfBuffer, {
-                                    razonSocialEmisor: factura.razon_social,
-                                    nombreCliente: factura.razon_social_comprador,
-                                    secuencial: factura.secuencial,
-                                    claveAcceso: factura.clave_acceso,
-                                    total: factura.importe_total
-                                });
-
-                                //console.log(`[SRI Job2] ✅ Correo enviado a ${factura.email_comprador}`);
-                            } catch (emailErr) {
-                                // Error de correo no frena el flujo principal
-                                console.error(`[SRI Job2] ⚠️ Error enviando correo a ${factura.email_comprador}: ${emailErr.message}`);
-                            }
-                        } else {
-                            console.log(`[SRI Job2] ℹ️ Factura ${factura.clave_acceso} sin email, omitiendo envío.`);
-                        }
-
-                    } else {
-                        // ❌ SRI rechazó la factura — devolver 1 crédito al emisor
-                        const estadoFinal = autorizacion.estado === 'NO AUTORIZADO' ? 'RECHAZADO' : autorizacion.estado;
-                        const msg = JSON.stringify(autorizacion.mensajes);
-
-                        await pool.query(
-                            'UPDATE invoices SET estado = $1, mensajes_sri = $2 WHERE id = $3',
-                            [estadoFinal, msg, factura.id]
-                        );
-
-                        // 💳 Reembolso del crédito
-                        await pool.query(
-                            'UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1',
-                            [factura.emisor_db_id]
-                        );
-
-                        console.warn(`[SRI Job2] ⚠️ ${estadoFinal}: ${factura.clave_acceso} | Crédito devuelto al emisor ${factura.emisor_db_id} | Motivo: ${msg}`);
-                        await notificarCambioEstado(factura, estadoFinal, autorizacion.mensajes);
-                    }
-                }
-            } catch (err) {
-                console.error(`[SRI Job2] ❌ Error Autorización (${factura.clave_acceso}): ${err.message}`);
+                //console.log(`[SRI Job2] 📧 Enviando comprobante a ${factura.email_comprador}...`);
+                const xmlBuffer = Buffer.from(xmlAutorizado);
+                const pdfBuffer = await downloadFile('invoices', factura.pdf_path.replace('invoices/', ''));
+
+                const tipo = obtenerTipoDocumento(factura.tipo_documento);
+                await emailService.enviarComprobante(factura.email_comprador, xmlBuffer, pdfBuffer, {
+                    tipoDocumento: tipo ? tipo.nombre : 'Factura',
+                    razonSocialEmisor: factura.razon_social,
+                    nombreCliente: factura.razon_social_comprador,
+                    secuencial: factura.secuencial,
+                    claveAcceso: factura.clave_acceso,
+                    total: factura.importe_total
+                });
+
+                //console.log(`[SRI Job2] ✅ Correo enviado a ${factura.email_comprador}`);
+            } catch (emailErr) {
+                // Error de correo no frena el flujo principal
+                console.error(`[SRI Job2] ⚠️ Error enviando correo a ${factura.email_comprador}: ${emailErr.message}`);
             }
+        } else {
+            console.log(`[SRI Job2] ℹ️ Factura ${factura.clave_acceso} sin email, omitiendo envío.`);
         }
+
+    } else {
+        // ❌ SRI rechazó la factura — devolver 1 crédito al emisor
+        const estadoFinal = autorizacion.estado === 'NO AUTORIZADO' ? 'RECHAZADO' : autorizacion.estado;
+        const msg = JSON.stringify(autorizacion.mensajes);
+
+        const upd = await pool.query(
+            `UPDATE invoices
+                SET estado = $1, mensajes_sri = $2,
+                    sri_error_codigo = $4, sri_error_mensaje = $5, sri_error_info = $6
+              WHERE id = $3 AND estado = 'RECIBIDA'`,
+            [estadoFinal, msg, factura.id, ...columnasErrorSri(autorizacion.mensajes)]
+        );
+        if (upd.rowCount === 0) return;
+
+        // 💳 Reembolso del crédito
+        await pool.query(
+            'UPDATE user_credits SET balance = balance + 1 WHERE emisor_id = $1',
+            [factura.emisor_db_id]
+        );
+
+        console.warn(`[SRI Job2] ⚠️ ${estadoFinal}: ${factura.clave_acceso} | Crédito devuelto al emisor ${factura.emisor_db_id} | Motivo: ${msg}`);
+        await notificarCambioEstado(factura, estadoFinal, autorizacion.mensajes);
+    }
+}
+
+async function autorizarFacturasSRI() {
+    try {
+        await procesarCola(TIPO_TRABAJO.AUTORIZACION, 'SRI Job2', autorizarFactura, (trabajo, mensaje) =>
+            reprogramarAutorizacion(trabajo, {
+                mensaje: `El SRI no respondió la autorización tras ${trabajo.intentos} intentos; se volverá a consultar más tarde.`,
+                error: mensaje
+            })
+        );
     } catch (error) {
         console.error('[SRI Job2] ❌ Error Crítico Job Autorización:', error.message);
     }
 }
 
-module.exports = { enviarFacturasAlSRI, autorizarFacturasSRI };
\ No newline at end of file
+module.exports = { firmarFacturasPendientes, enviarFacturasAlSRI, autorizarFacturasSRI };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { errorPrincipal, describirErrorSri } = require('../utils/erroresSri');
 
 /**
  * Servicio centralizado de notificaciones
@@ -7,6 +8,9 @@ async function notificarCambioEstado(factura, estado, detalle = null) {
     const webhookUrl = process.env.WEB_HOOK_NOTIFICACIONES;
     if (!webhookUrl) return;
 
+    // DEVUELTA/RECHAZADO: además de los mensajes crudos, el error principal ya explicado
+    const principal = Array.isArray(detalle) ? errorPrincipal(detalle) : null;
+
     try {
         await axios.post(webhookUrl, {
             user_id: factura.user_uid,    // <--- ESTE ES EL UID DEL PERFIL
@@ -14,6 +18,7 @@ async function notificarCambioEstado(factura, estado, detalle = null) {
             clave_acceso: factura.clave_acceso,
             estado: estado,
             mensaje_sri: detalle,
+            error_sri: principal ? describirErrorSri(principal.identificador, principal) : null,
             fecha: new Date().toISOString()
         }, { timeout: 5000 });
         
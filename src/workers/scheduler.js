@@ -0,0 +1,91 @@
+const cron = require('node-cron');
+const { dejarDeReclamar } = require('../services/colaService');
+const { firmarFacturasPendientes, enviarFacturasAlSRI, autorizarFacturasSRI } = require('./authWorker');
+
+/**
+ * Planificador de los jobs del SRI. Lo arrancan el proceso dedicado (src/worker.js) y,
+ * si SRI_WORKERS_ENABLED no es "false", también la API. Los jobs nuevos se registran
+ * en JOBS y heredan el drenado y el estado que expone la sonda de vida.
+ */
+const JOBS = [
+    // Job 0: Firmar facturas PENDIENTES de POST /invoices/emit (Cada 15 segundos)
+    { nombre: 'firma', expresion: '*/15 * * * * *', ejecutar: firmarFacturasPendientes },
+    // Job 1: Enviar facturas FIRMADAS al SRI (Cada 30 segundos)
+    { nombre: 'recepcion', expresion: '*/30 * * * * *', ejecutar: enviarFacturasAlSRI },
+    // Job 2: Autorizar facturas RECIBIDAS (Cada minuto)
+    { nombre: 'autorizacion', expresion: '*/60 * * * * *', ejecutar: autorizarFacturasSRI }
+];
+
+const tareas = [];
+const enCurso = new Map();          // nombre → promesa de la ejecución actual
+const historial = {};               // nombre → { ultimo_inicio, ultimo_fin, ultimo_error }
+let deteniendo = false;
+
+/**
+ * Ejecuta un job si no hay otra ejecución suya en curso en este proceso.
+ * Entre procesos no hace falta: la cola reparte con SKIP LOCKED.
+ */
+function ejecutarJob(job) {
+    if (deteniendo || enCurso.has(job.nombre)) return;
+
+    const registro = historial[job.nombre] = historial[job.nombre] || {};
+    registro.ultimo_inicio = new Date();
+
+    const ejecucion = job.ejecutar()
+        .then(() => { registro.ultimo_error = null; })
+        .catch(err => {
+            registro.ultimo_error = err.message;
+            console.error(`❌ Error en Cron de ${job.nombre}:`, err.message);
+        })
+        .finally(() => {
+            registro.ultimo_fin = new Date();
+            enCurso.delete(job.nombre);
+        });
+
+    enCurso.set(job.nombre, ejecucion);
+}
+
+function iniciarWorkers() {
+    if (tareas.length > 0) return;
+    JOBS.forEach(job => tareas.push(cron.schedule(job.expresion, () => ejecutarJob(job))));
+    console.log(`[Workers] ⏱️ Jobs del SRI activos: ${JOBS.map(j => j.nombre).join(', ')}`);
+}
+
+/**
+ * Drenado: deja de programar y de reclamar trabajos, y espera a que termine el
+ * comprobante que cada job tiene entre manos.
+ */
+async function detenerWorkers() {
+    deteniendo = true;
+    dejarDeReclamar();
+    tareas.forEach(tarea => tarea.stop());
+
+    if (enCurso.size > 0) {
+        console.log(`[Workers] ⏳ Esperando a ${enCurso.size} job(s) en curso: ${[...enCurso.keys()].join(', ')}`);
+    }
+    await Promise.all(enCurso.values());
+    console.log('[Workers] 🛑 Jobs detenidos.');
+}
+
+/**
+ * Estado para la sonda de vida. Un job que lleva en curso más de `maxSegundos` se
+ * considera colgado.
+ */
+function estadoWorkers(maxSegundos) {
+    const ahora = Date.now();
+    const jobs = JOBS.map(job => {
+        const registro = historial[job.nombre] || {};
+        const corriendo = enCurso.has(job.nombre);
+        return {
+            nombre: job.nombre,
+            en_curso: corriendo,
+            colgado: corriendo && (ahora - registro.ultimo_inicio.getTime()) / 1000 > maxSegundos,
+            ultimo_inicio: registro.ultimo_inicio || null,
+            ultimo_fin: registro.ultimo_fin || null,
+            ultimo_error: registro.ultimo_error || null
+        };
+    });
+    return { activos: tareas.length > 0 && !deteniendo, deteniendo, jobs };
+}
+
+module.exports = { JOBS, iniciarWorkers, detenerWorkers, estadoWorkers };
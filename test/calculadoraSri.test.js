@@ -0,0 +1,212 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// calculadoraSri carga storageService, que crea el cliente de MinIO al importarse
+process.env.MINIO_ENDPOINT = process.env.MINIO_ENDPOINT || 'localhost';
+
+const { calcularTotalesEImpuestos, validarItems, validarPropina, opcionesDeCalculo } = require('../src/utils/calculadoraSri');
+const { validarComprador } = require('../src/utils/identificacionSri');
+
+/**
+ * Casos de la calculadora con los totales esperados al centavo, tal como los
+ * recalcula el SRI: cada línea se redondea a 2 decimales (mitad hacia arriba)
+ * y la cabecera suma esos valores ya redondeados.
+ */
+const CASOS_TOTALES = [
+    {
+        nombre: 'redondeo mitad hacia arriba: 3 × 0.335 = 1.005 → 1.01',
+        items: [{ cantidad: 3, precioUnitario: 0.335, tarifaIva: 15 }],
+        esperado: { totalSinImpuestos: '1.01', subtotal_iva: '1.01', totalIva: '0.15', importeTotal: '1.16' }
+    },
+    {
+        nombre: '0.1 + 0.2 sin error de coma flotante; IVA por línea (0.015 → 0.02)',
+        items: [
+            { cantidad: 1, precioUnitario: 0.1, tarifaIva: 15 },
+            { cantidad: 1, precioUnitario: 0.2, tarifaIva: 15 }
+        ],
+        esperado: { totalSinImpuestos: '0.30', totalIva: '0.05', importeTotal: '0.35' }
+    },
+    {
+        nombre: 'precio unitario con 6 decimales',
+        items: [{ cantidad: 3, precioUnitario: 0.333333, tarifaIva: 15 }],
+        esperado: { totalSinImpuestos: '1.00', totalIva: '0.15', importeTotal: '1.15' }
+    },
+    {
+        nombre: 'descuento por línea',
+        items: [{ cantidad: 2, precioUnitario: 10, descuento: 1.5, tarifaIva: 15 }],
+        esperado: { totalSinImpuestos: '18.50', totalDescuento: '1.50', totalIva: '2.78', importeTotal: '21.28' }
+    },
+    {
+        nombre: 'IVA 0%, no objeto y exento suman al subtotal 0%',
+        items: [
+            { cantidad: 1, precioUnitario: 10, tarifaIva: 0 },
+            { cantidad: 1, precioUnitario: 5, codigoPorcentajeIva: '6' },
+            { cantidad: 1, precioUnitario: 2.5, codigoPorcentajeIva: '7' },
+            { cantidad: 1, precioUnitario: 10, tarifaIva: 15 }
+        ],
+        esperado: { subtotal_0: '17.50', subtotal_iva: '10.00', totalIva: '1.50', importeTotal: '29.00' }
+    },
+    {
+        nombre: 'tarifa como fracción (0.15) equivale a 15%',
+        items: [{ cantidad: 1, precioUnitario: 100, tarifaIva: 0.15 }],
+        esperado: { totalIva: '15.00', importeTotal: '115.00' }
+    },
+    {
+        nombre: 'precios con IVA: 1.15 → base 1.00 + IVA 0.15',
+        opciones: { preciosIncluyenIva: true },
+        items: [{ cantidad: 1, precioUnitario: 1.15, tarifaIva: 15 }],
+        esperado: { totalSinImpuestos: '1.00', totalIva: '0.15', importeTotal: '1.15' }
+    },
+    {
+        nombre: 'precios con IVA: 3 × 9.99 conserva el total bruto',
+        opciones: { preciosIncluyenIva: true },
+        items: [{ cantidad: 3, precioUnitario: 9.99, tarifaIva: 15 }],
+        esperado: { totalSinImpuestos: '26.06', totalIva: '3.91', importeTotal: '29.97' }
+    },
+    {
+        nombre: 'precios con IVA y descuento bruto',
+        opciones: { preciosIncluyenIva: true },
+        items: [{ cantidad: 2, precioUnitario: 5.75, descuento: 0.5, tarifaIva: 15 }],
+        esperado: { totalSinImpuestos: '9.57', totalIva: '1.43', importeTotal: '11.00' }
+    },
+    {
+        nombre: 'ICE ad valorem forma parte de la base del IVA',
+        items: [{ cantidad: 1, precioUnitario: 100, tarifaIva: 15, impuestos: [{ impuesto: 'ICE', codigoPorcentaje: '3610' }] }],
+        esperado: { totalSinImpuestos: '100.00', totalIce: '20.00', subtotal_iva: '120.00', totalIva: '18.00', importeTotal: '138.00' }
+    },
+    {
+        nombre: 'IRBPNR específico por botella, fuera de la base del IVA',
+        items: [{ cantidad: 10, precioUnitario: 0.5, tarifaIva: 15, impuestos: [{ impuesto: 'IRBPNR', codigoPorcentaje: '5001' }] }],
+        esperado: { totalSinImpuestos: '5.00', totalIrbpnr: '0.20', totalIva: '0.75', importeTotal: '5.95' }
+    },
+    {
+        nombre: 'propina en dólares',
+        opciones: { propina: 10 },
+        items: [{ cantidad: 1, precioUnitario: 100, tarifaIva: 15 }],
+        esperado: { propina: '10.00', importeTotal: '125.00' }
+    },
+    {
+        nombre: 'propina porcentual redondeada sobre el subtotal sin impuestos',
+        opciones: { propinaPorcentaje: 10 },
+        items: [{ cantidad: 1, precioUnitario: 33.33, tarifaIva: 15 }],
+        esperado: { propina: '3.33', totalIva: '5.00', importeTotal: '41.66' }
+    },
+    {
+        nombre: 'subsidio por unidad (precioSinSubsidio)',
+        opciones: { admiteSubsidio: true },
+        items: [{ cantidad: 2, precioUnitario: 1.6, precioSinSubsidio: 12, tarifaIva: 0 }],
+        esperado: { totalSinImpuestos: '3.20', totalSubsidio: '20.80', importeTotal: '3.20' }
+    }
+];
+
+describe('calcularTotalesEImpuestos', () => {
+    CASOS_TOTALES.forEach(({ nombre, items, opciones, esperado }) => {
+        it(nombre, () => {
+            const { totales } = calcularTotalesEImpuestos(items, opciones);
+            const obtenidos = Object.fromEntries(Object.keys(esperado).map(campo => [campo, totales[campo]]));
+            assert.deepEqual(obtenidos, esperado);
+        });
+    });
+
+    it('cantidad × precioUnitario − descuento de cada detalle da su base (precios con IVA)', () => {
+        const { detallesXml } = calcularTotalesEImpuestos(
+            [{ cantidad: 7, precioUnitario: 3.33, descuento: 1, tarifaIva: 15 }],
+            { preciosIncluyenIva: true }
+        );
+        const [d] = detallesXml;
+        const base = (Number(d.cantidad) * Number(d.precioUnitario) - Number(d.descuento)).toFixed(2);
+        assert.equal(base, d.precioTotalSinImpuesto);
+    });
+});
+
+/**
+ * Payloads rechazados y el campo que debe señalar cada error.
+ */
+const CASOS_ITEMS = [
+    { nombre: 'item válido', items: [{ cantidad: 1, precioUnitario: 10, tarifaIva: 15 }], campos: [] },
+    { nombre: 'item que no es objeto', items: [null], campos: ['items[0]'] },
+    { nombre: 'cantidad cero', items: [{ cantidad: 0, precioUnitario: 1 }], campos: ['items[0].cantidad'] },
+    { nombre: 'cantidad no numérica', items: [{ cantidad: 'dos', precioUnitario: 1 }], campos: ['items[0].cantidad'] },
+    { nombre: 'precio con 7 decimales', items: [{ cantidad: 1, precioUnitario: 1.1234567 }], campos: ['items[0].precioUnitario'] },
+    { nombre: 'descuento con 3 decimales', items: [{ cantidad: 1, precioUnitario: 1, descuento: 0.125 }], campos: ['items[0].descuento'] },
+    { nombre: 'descuento mayor al subtotal', items: [{ cantidad: 2, precioUnitario: 1, descuento: 2.01 }], campos: ['items[0].descuento'] },
+    { nombre: 'tarifa de IVA no vigente', items: [{ cantidad: 1, precioUnitario: 1, tarifaIva: 16 }], campos: ['items[0].tarifaIva'] },
+    { nombre: 'código de IVA fuera del catálogo', items: [{ cantidad: 1, precioUnitario: 1, codigoPorcentajeIva: '99' }], campos: ['items[0].codigoPorcentajeIva'] },
+    {
+        nombre: 'ICE con precios que incluyen IVA',
+        opciones: { preciosIncluyenIva: true },
+        items: [{ cantidad: 1, precioUnitario: 1, impuestos: [{ impuesto: 'ICE', codigoPorcentaje: '3610' }] }],
+        campos: ['items[0].impuestos[0]']
+    },
+    {
+        nombre: 'dos ICE en la misma línea',
+        items: [{ cantidad: 1, precioUnitario: 1, impuestos: [{ impuesto: 'ICE', codigoPorcentaje: '3610' }, { impuesto: 'ICE', codigoPorcentaje: '3610' }] }],
+        campos: ['items[0].impuestos']
+    },
+    {
+        nombre: 'ICE específico sin tarifa ni valor',
+        items: [{ cantidad: 1, precioUnitario: 1, impuestos: [{ impuesto: 'ICE', codigoPorcentaje: '3011' }] }],
+        campos: ['items[0].impuestos[0]']
+    },
+    {
+        nombre: 'precioSinSubsidio menor al precio',
+        opciones: { admiteSubsidio: true },
+        items: [{ cantidad: 1, precioUnitario: 2, precioSinSubsidio: 1 }],
+        campos: ['items[0].precioSinSubsidio']
+    },
+    {
+        nombre: 'precioSinSubsidio fuera de una factura',
+        items: [{ cantidad: 1, precioUnitario: 2, precioSinSubsidio: 3 }],
+        campos: ['items[0].precioSinSubsidio']
+    }
+];
+
+describe('validarItems', () => {
+    CASOS_ITEMS.forEach(({ nombre, items, opciones, campos }) => {
+        it(nombre, () => {
+            const errores = validarItems(items, opciones);
+            assert.deepEqual(errores.map(e => e.campo), campos);
+            errores.forEach(e => assert.equal(typeof e.mensaje, 'string'));
+        });
+    });
+});
+
+describe('validarPropina', () => {
+    const totalesDe = (facturaData) => calcularTotalesEImpuestos(facturaData.items, opcionesDeCalculo(facturaData)).totales;
+    const items = [{ cantidad: 1, precioUnitario: 25, tarifaIva: 15 }];
+
+    [
+        { nombre: 'sin propina', factura: { items }, campos: [] },
+        { nombre: 'propina en el tope del 10%', factura: { items, propina: 2.5 }, campos: [] },
+        { nombre: 'propina sobre el tope del 10%', factura: { items, propina: 2.51 }, campos: ['propina'] },
+        { nombre: 'propina con 3 decimales', factura: { items, propina: 1.005 }, campos: ['propina'] },
+        { nombre: 'propina negativa', factura: { items, propina: -1 }, campos: ['propina'] },
+        { nombre: 'propina y porcentaje a la vez', factura: { items, propina: 1, propina_porcentaje: 5 }, campos: ['propina'] },
+        { nombre: 'porcentaje sobre 10', factura: { items, propina_porcentaje: 10.5 }, campos: ['propina_porcentaje'] }
+    ].forEach(({ nombre, factura, campos }) => {
+        it(nombre, () => {
+            const errores = validarPropina(opcionesDeCalculo(factura), totalesDe(factura));
+            assert.deepEqual(errores.map(e => e.campo), campos);
+        });
+    });
+});
+
+describe('validarComprador (consumidor final)', () => {
+    const consumidorFinal = { tipo_id: '07', identificacion: '9999999999999' };
+
+    [
+        { nombre: 'consumidor final hasta USD 50.00', cliente: consumidorFinal, importe: '50.00', campos: [] },
+        { nombre: 'consumidor final sobre USD 50.00', cliente: consumidorFinal, importe: '50.01', campos: ['cliente.tipo_id'] },
+        {
+            nombre: 'identificación de consumidor final con otro tipo',
+            cliente: { tipo_id: '05', identificacion: '9999999999999', nombre: 'CLIENTE' },
+            importe: '10.00',
+            campos: ['cliente.identificacion', 'cliente.tipo_id']
+        },
+        { nombre: 'sin datos del comprador', cliente: undefined, importe: '10.00', campos: ['cliente'] }
+    ].forEach(({ nombre, cliente, importe, campos }) => {
+        it(nombre, () => {
+            assert.deepEqual(validarComprador(cliente, importe).map(e => e.campo), campos);
+        });
+    });
+});